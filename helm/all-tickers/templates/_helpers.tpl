@@ -65,4 +65,26 @@ Create the name of the service account to use
 {{- else }}
 {{- default "default" .Values.serviceAccount.name }}
 {{- end }}
-{{- end }}
\ No newline at end of file
+{{- end }}
+
+{{/*
+Outbound proxy pool env vars (PROXY_URLS from a Secret when proxies.existingSecret is set)
+*/}}
+{{- define "all-tickers.proxyEnv" -}}
+{{- if .Values.proxies.existingSecret }}
+- name: PROXY_URLS
+  valueFrom:
+    secretKeyRef:
+      name: {{ .Values.proxies.existingSecret }}
+      key: {{ .Values.proxies.secretKey | default "proxy-urls" }}
+{{- else if .Values.proxies.urls }}
+- name: PROXY_URLS
+  value: {{ join "," .Values.proxies.urls | quote }}
+{{- end }}
+- name: PROXY_EVICT_MINUTES
+  value: {{ .Values.proxies.evictMinutes | default 15 | quote }}
+{{- if .Values.proxies.maxRate }}
+- name: PROXY_MAX_RATE
+  value: {{ .Values.proxies.maxRate | quote }}
+{{- end }}
+{{- end }}
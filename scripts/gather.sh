@@ -1,4 +1,4 @@
 #!/bin/bash
 # Collect comprehensive data script with memory allocation
 cd "$(dirname "$0")/.."
-node --max-old-space-size=10240 src/return-data/return-data.js
\ No newline at end of file
+node --max-old-space-size=10240 src/return-data/return-data.js "$@"
\ No newline at end of file
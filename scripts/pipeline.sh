@@ -11,9 +11,15 @@ echo ""
 echo "📊 Step 1: Generating ticker combinations..."
 node --max-old-space-size=10240 src/db/generate-tickers.js
 
+echo ""
+echo "🎯 Step 1b: Ranking candidates by likelihood..."
+# Skipped while an interrupted validation run is waiting to be resumed below
+node --max-old-space-size=10240 src/db/rank-tickers.js --skip-if-unfinished
+
 echo ""
 echo "🔍 Step 2: Validating tickers..."
-node --max-old-space-size=10240 src/validate/validate-tickers.js
+# Pick up an interrupted run (e.g. after a pod restart) before starting a new one
+node --max-old-space-size=10240 src/validate/validate-tickers.js --resume latest
 
 echo ""
 echo "✅ Step 3: Revalidating active tickers..."
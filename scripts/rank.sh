@@ -0,0 +1,4 @@
+#!/bin/bash
+# Rank unvalidated candidates by likelihood with memory allocation
+cd "$(dirname "$0")/.."
+node --max-old-space-size=10240 src/db/rank-tickers.js "$@"
@@ -0,0 +1,4 @@
+#!/bin/bash
+# Revalidate whatever is due on the revalidation schedule script with memory allocation
+cd "$(dirname "$0")/.."
+node --max-old-space-size=10240 src/validate/validate-tickers.js --mode due "$@"
\ No newline at end of file
@@ -1,4 +1,4 @@
 #!/bin/bash
 # Revalidate inactive tickers script with memory allocation
 cd "$(dirname "$0")/.."
-node --max-old-space-size=10240 src/validate/revalidate-inactive.js
\ No newline at end of file
+node --max-old-space-size=10240 src/validate/revalidate-inactive.js "$@"
\ No newline at end of file
@@ -0,0 +1,4 @@
+#!/bin/bash
+# Report ticker listings, delistings and exchange moves over a date range
+cd "$(dirname "$0")/.."
+node src/export/status-report.js "$@"
@@ -0,0 +1,141 @@
+#!/bin/bash
+# Deterministic end-to-end check against the mock market data provider (no network):
+# generate 1-letter candidates, validate them, revalidate the due ones, retry the transient
+# failures and collect the active tickers, asserting the outcomes of the fixture symbols
+# (src/providers/fixtures/mock-market-data.json) in a throwaway database.
+cd "$(dirname "$0")/.."
+
+TEST_DIR=$(mktemp -d)
+trap 'rm -rf "$TEST_DIR"' EXIT
+
+export MARKET_DATA_PROVIDER=mock
+export DB_PATH="$TEST_DIR"
+export OUTPUT_PATH="$TEST_DIR"
+failures=0
+
+# Run one pipeline step, keeping its output in the test directory unless it fails
+step() {
+    local name=$1
+    shift
+    echo "▶️  $name"
+    if ! node "$@" > "$TEST_DIR/step.log" 2>&1; then
+        echo "❌ $name failed:"
+        tail -20 "$TEST_DIR/step.log"
+        exit 1
+    fi
+}
+
+# Rows of a query against tickers.db (or the database file named by $2), one per line with
+# columns joined by |
+query() {
+    node -e "
+        const sqlite3 = require('sqlite3');
+        const db = new sqlite3.Database(process.argv[1]);
+        db.all(process.argv[2], (err, rows) => {
+            if (err) {
+                console.error(err.message);
+                process.exitCode = 1;
+            } else {
+                rows.forEach(row => console.log(Object.values(row).join('|')));
+            }
+            db.close();
+        });
+    " "$DB_PATH/${2:-tickers.db}" "$1"
+}
+
+# Compare a query's rows with the expected lines ($4 names another database file)
+expect() {
+    local name=$1 sql=$2 expected=$3
+    local actual
+    actual=$(query "$sql" "$4")
+    if [ "$actual" == "$expected" ]; then
+        echo "   ✅ $name"
+    else
+        echo "   ❌ $name"
+        echo "      expected: $(echo "$expected" | paste -sd ' ')"
+        echo "      actual:   $(echo "$actual" | paste -sd ' ')"
+        failures=$((failures + 1))
+    fi
+}
+
+echo "🧪 All-Tickers mock pipeline test ($TEST_DIR)"
+echo "============================================="
+
+step "Generating 1-letter candidates" src/db/generate-tickers.js --lengths 1
+expect "26 candidates generated" \
+    "SELECT COUNT(*), SUM(price IS NULL) FROM tickers" \
+    "26|26"
+
+step "Validating candidates" src/validate/validate-tickers.js
+expect "active, inactive and transient outcomes" \
+    "SELECT ticker, active, validation_status, price IS NULL, next_retry_at IS NOT NULL FROM tickers WHERE ticker IN ('A', 'B', 'C', 'D', 'E', 'F') ORDER BY ticker" \
+    "A|1|ACTIVE|0|0
+B|0|NO_PRICE|0|0
+C|0|RATE_LIMITED|1|1
+D|0|TIMEOUT|1|1
+E|0|SERVER_ERROR|1|1
+F|0|NOT_FOUND|0|0"
+expect "A recorded as discovered" \
+    "SELECT ticker, event FROM ticker_status_history ORDER BY id" \
+    "A|DISCOVERED"
+expect "checked rows scheduled by tier" \
+    "SELECT check_tier, COUNT(*) FROM tickers WHERE price IS NOT NULL GROUP BY check_tier ORDER BY check_tier" \
+    "dead|22
+thin|1"
+
+# Make every checked row due and revalidate it
+query "UPDATE tickers SET next_check_at = datetime('now', '-1 minutes') WHERE price IS NOT NULL" > /dev/null
+step "Revalidating due tickers" src/validate/validate-tickers.js --mode due
+expect "revalidation keeps outcomes" \
+    "SELECT SUM(active = 1), SUM(active = 0 AND price = -1), SUM(price IS NULL) FROM tickers" \
+    "1|22|3"
+expect "revalidation run checked every due row" \
+    "SELECT status, processed, active_count FROM validation_runs WHERE script = 'revalidate-due'" \
+    "completed|23|1"
+expect "no status change recorded" \
+    "SELECT COUNT(*) FROM ticker_status_history" \
+    "1"
+
+# Transient failures wait for their backoff: a run before it is over leaves them alone
+step "Validating before the retry backoff" src/validate/validate-tickers.js
+expect "transient failures wait for their backoff" \
+    "SELECT ticker, retry_count FROM tickers WHERE price IS NULL ORDER BY ticker" \
+    "C|3
+D|3
+E|3"
+
+# Once the backoff is over they are retried and stay queued
+query "UPDATE tickers SET next_retry_at = datetime('now', '-1 minutes') WHERE next_retry_at IS NOT NULL" > /dev/null
+step "Retrying transient failures" src/validate/validate-tickers.js
+expect "transient failures retried" \
+    "SELECT ticker, retry_count, price IS NULL, next_retry_at > CURRENT_TIMESTAMP FROM tickers WHERE price IS NULL ORDER BY ticker" \
+    "C|6|1|1
+D|6|1|1
+E|6|1|1"
+
+# Aliases are collected once, under their canonical symbol
+printf 'AAPL\nBRKB\n' > "$TEST_DIR/seed.txt"
+step "Importing seed symbols" src/db/generate-tickers.js --import "$TEST_DIR/seed.txt"
+step "Validating seed symbols" src/validate/validate-tickers.js
+expect "BRKB recorded as an alias of BRK-B" \
+    "SELECT alias, canonical FROM ticker_aliases" \
+    "BRKB|BRK-B"
+step "Collecting active tickers" src/return-data/return-data.js
+expect "aliases not collected" \
+    "SELECT ticker FROM ticker_data ORDER BY ticker" \
+    "A
+AAPL
+BRK-B" ticker_data.db
+if [ -f "$OUTPUT_PATH/Return-Data-Summary.json" ]; then
+    echo "   ✅ summary written to OUTPUT_PATH"
+else
+    echo "   ❌ summary written to OUTPUT_PATH"
+    failures=$((failures + 1))
+fi
+
+echo ""
+if [ "$failures" -gt 0 ]; then
+    echo "💥 $failures check(s) failed"
+    exit 1
+fi
+echo "🎉 All checks passed"
@@ -1,4 +1,4 @@
 #!/bin/bash
 # Validate tickers script with memory allocation
 cd "$(dirname "$0")/.."
-node --max-old-space-size=10240 src/validate/validate-tickers.js
+node --max-old-space-size=10240 src/validate/validate-tickers.js "$@"
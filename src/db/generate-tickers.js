@@ -1,138 +1,342 @@
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
 const path = require('path');
+const { initTickersTable } = require('./schema');
+const { loadGrammar, expandVariants, countVariants } = require('./symbol-grammar');
+const { parseList } = require('./ticker-filters');
+const { loadSeeds, selectUniverses } = require('./universes');
+const { readSymbolFile, seedSource } = require('./seed-import');
+const { sourceBoost } = require('./likelihood-model');
+
+// How generation treats tickers that already exist in the database.
+// No mode ever resets active / price / last_checked on rows it keeps, and replace only
+// deletes rows that were never validated.
+const GENERATION_MODES = {
+    append: 'insert new candidates only, existing rows untouched',
+    merge: 'insert new candidates and refresh metadata on existing rows',
+    replace: 'merge, then delete never-validated rows of this generator that it no longer produces'
+};
+const DEFAULT_GENERATION_MODE = 'merge';
 
 class TickerGenerator {
-    constructor() {
+    constructor(options = {}) {
         // Use mounted volume path for database storage
         this.dbPath = path.join(process.env.DB_PATH || '/app/output', 'tickers.db');
         this.db = new sqlite3.Database(this.dbPath);
+        this.grammar = options.grammar || loadGrammar();
+        this.mode = options.mode || DEFAULT_GENERATION_MODE;
+        this.alphabet = this.grammar.alphabet;
+        this.chunkSize = 10000; // Tickers per insert transaction
+        this.progressInterval = 100000; // Log progress every N insertions
     }
 
     // Initialize the database with the required table
     async initDatabase() {
+        try {
+            await initTickersTable(this.db);
+            console.log('✅ Database table initialized');
+        } catch (err) {
+            console.error('❌ Error creating table:', err);
+            throw err;
+        }
+    }
+
+    // Lazily yield every ticker combination between minLength and maxLength letters.
+    // Symbols are produced in order (A..Z, AA..ZZ, ...) one at a time, so even the
+    // 11.8M symbol 5-letter space never has to be held in memory.
+    *generateTickerCombinations(minLength = 1, maxLength = 2, alphabet = this.alphabet) {
+        for (let length = minLength; length <= maxLength; length++) {
+            const indices = new Array(length).fill(0);
+
+            while (true) {
+                let ticker = '';
+                for (let i = 0; i < length; i++) {
+                    ticker += alphabet[indices[i]];
+                }
+                yield ticker;
+
+                // Advance the rightmost position like an odometer
+                let position = length - 1;
+                while (position >= 0 && ++indices[position] === alphabet.length) {
+                    indices[position] = 0;
+                    position--;
+                }
+                if (position < 0) {
+                    break;
+                }
+            }
+        }
+    }
+
+    // Number of symbols generateTickerCombinations() will yield for a length range
+    countTickerCombinations(minLength = 1, maxLength = 2, alphabet = this.alphabet) {
+        let total = 0;
+        for (let length = minLength; length <= maxLength; length++) {
+            total += Math.pow(alphabet.length, length);
+        }
+        return total;
+    }
+
+    // Active base symbols that class/unit/warrant/preferred variants can be derived from
+    async getVariantBases() {
         return new Promise((resolve, reject) => {
-            const createTableQuery = `
-                CREATE TABLE IF NOT EXISTS tickers (
-                    ticker TEXT PRIMARY KEY,
-                    active BOOLEAN DEFAULT 0,
-                    price REAL DEFAULT NULL,
-                    exchange TEXT DEFAULT NULL,
-                    last_checked DATETIME DEFAULT NULL
-                )
+            const query = `
+                SELECT ticker
+                FROM tickers
+                WHERE active = 1 AND base_ticker IS NULL
+                ORDER BY ticker
             `;
-            
-            this.db.run(createTableQuery, (err) => {
+
+            this.db.all(query, (err, rows) => {
                 if (err) {
-                    console.error('❌ Error creating table:', err);
                     reject(err);
                 } else {
-                    console.log('✅ Database table initialized');
-                    resolve();
+                    // Only symbols built purely from the base alphabet can take a suffix
+                    const bases = rows
+                        .map(row => row.ticker)
+                        .filter(ticker => [...ticker].every(char => this.alphabet.includes(char)));
+                    resolve(bases);
                 }
             });
         });
     }
 
-    // Generate all possible ticker combinations from A to ZZZZ
-    generateTickerCombinations() {
-        const tickers = [];
-        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    // Lazily yield grammar variants for every base symbol
+    *generateVariants(bases) {
+        for (const base of bases) {
+            yield* expandVariants(base, this.grammar);
+        }
+    }
+
+    // Load Yahoo market suffixes (.TO, .L, .AX, ...) and keep only the requested ones
+    loadExchangeSuffixes(suffixFile = null, selected = []) {
+        const filePath = suffixFile || path.join(__dirname, 'exchange-suffixes.json');
+        const markets = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        if (selected.length === 0 || selected.includes('all')) {
+            return markets;
+        }
 
-        // Generate 1-letter tickers (A-Z)
-        for (let i = 0; i < alphabet.length; i++) {
-            tickers.push(alphabet[i]);
+        const wanted = selected.map(suffix => (suffix.startsWith('.') ? suffix : `.${suffix}`).toUpperCase());
+        const unknown = wanted.filter(suffix => !markets.some(market => market.suffix === suffix));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown exchange suffix(es): ${unknown.join(', ')} (see ${filePath})`);
         }
 
-        // tickers.push('KO')
+        return markets.filter(market => wanted.includes(market.suffix));
+    }
+
+    // Pair candidate roots with every market suffix.
+    // Markets that define their own roots (e.g. numeric .HK/.T codes) use those;
+    // the rest use `roots`, an array of symbols or a { minLength, maxLength } range.
+    *generateSuffixedTickers(markets, roots) {
+        for (const market of markets) {
+            const marketRoots = market.roots
+                ? this.generateTickerCombinations(market.roots.minLength, market.roots.maxLength, market.roots.alphabet || this.alphabet)
+                : (Array.isArray(roots) ? roots : this.generateTickerCombinations(roots.minLength, roots.maxLength));
 
-        // Generate 2-letter tickers (AA-ZZ)
-        for (let i = 0; i < alphabet.length; i++) {
-            for (let j = 0; j < alphabet.length; j++) {
-                tickers.push(alphabet[i] + alphabet[j]);
+            for (const root of marketRoots) {
+                yield {
+                    ticker: `${root}${market.suffix}`,
+                    exchange_suffix: market.suffix,
+                    market: market.market,
+                    country: market.country
+                };
             }
         }
+    }
 
-    //     // Generate 3-letter tickers (AAA-ZZZ)
-    //     for (let i = 0; i < alphabet.length; i++) {
-    //         for (let j = 0; j < alphabet.length; j++) {
-    //             for (let k = 0; k < alphabet.length; k++) {
-    //                 tickers.push(alphabet[i] + alphabet[j] + alphabet[k]);
-    //             }
-    //         }
-    //     }
-
-    //     //Generate 4-letter tickers (AAAA-ZZZZ)
-    //     for (let i = 0; i < alphabet.length; i++) {
-    //         for (let j = 0; j < alphabet.length; j++) {
-    //             for (let k = 0; k < alphabet.length; k++) {
-    //                 for (let l = 0; l < alphabet.length; l++) {
-    //                     tickers.push(alphabet[i] + alphabet[j] + alphabet[k] + alphabet[l]);
-    //                 }
-    //             }
-    //         }
-    //     }
-
-    //   //  (NOTE!) this command will run into the time limit of the Yahoo Finance API, still working on a solution!
-    //   //  the 5-letter ticker generation is commented out for now to prevent excessive API calls, it is anticipated that it will take 100+ hours to complete validation of all 1-5 letter tickers alone which is way beyond the scopt, so i may need to figure out a way to batch the tickers and have a checkpoint system to resume where it left off.
-       
-    //   //  Generate 5-letter tickers (AAAAA-ZZZZZ)
-    //     for (let i = 0; i < alphabet.length; i++) {
-    //         for (let j = 0; j < alphabet.length; j++) {
-    //             for (let k = 0; k < alphabet.length; k++) {
-    //                 for (let l = 0; l < alphabet.length; l++) {
-    //                     for (let m = 0; m < alphabet.length; m++) {
-    //                         tickers.push(alphabet[i] + alphabet[j] + alphabet[k] + alphabet[l] + alphabet[m]);
-    //                     }
-    //                 }
-    //             }
-    //         }
-    //     }
-
-        return tickers;
-    }
-
-    // Bulk insert tickers into the database
-    async insertTickers(tickers) {
+    // Number of symbols generateSuffixedTickers() will yield
+    countSuffixedTickers(markets, roots) {
+        return markets.reduce((total, market) => {
+            if (market.roots) {
+                return total + this.countTickerCombinations(market.roots.minLength, market.roots.maxLength, market.roots.alphabet || this.alphabet);
+            }
+            return total + (Array.isArray(roots) ? roots.length : this.countTickerCombinations(roots.minLength, roots.maxLength));
+        }, 0);
+    }
+
+    // Import normalized symbols from a CSV / TXT / JSON listing.
+    // In merge mode existing rows are re-labelled with the seed source so they are validated first.
+    async importSymbolFile(filePath) {
+        const { symbols, read, invalid, duplicates } = readSymbolFile(filePath);
+        const source = seedSource(filePath);
+
+        console.log(`📄 ${filePath}: ${read.toLocaleString()} rows, ${symbols.length.toLocaleString()} symbols (${invalid} invalid, ${duplicates} duplicates)`);
+
+        const result = await this.insertTickers(symbols, {
+            total: symbols.length,
+            source
+        });
+
+        return { file: filePath, source, symbols: symbols.length, ...result };
+    }
+
+    // Yield index, FX, crypto and futures symbols tagged with their instrument class
+    *generateUniverseTickers(universes, seeds) {
+        for (const universe of universes) {
+            for (const ticker of universe.generate(seeds)) {
+                yield { ticker, instrument_class: universe.instrumentClass };
+            }
+        }
+    }
+
+    // Insert a single chunk of tickers inside its own transaction.
+    // `candidateStmt` (replace mode) also records each ticker in the candidate set. Rows that
+    // already exist are skipped; any other failed insert rolls the whole chunk back and rejects,
+    // so a replace never deletes rows whose candidates went unrecorded.
+    async insertChunk(stmt, chunk, columns = [], defaults = {}, candidateStmt = null) {
+        // Resolves with an error message, or null when the row was written or already there
+        const insert = (statement, params, ticker) => new Promise((resolve) => {
+            statement.run(params, (err) => {
+                resolve(err && !err.message.includes('UNIQUE constraint failed') ? `${ticker}: ${err.message}` : null);
+            });
+        });
+
+        // Prepared statements are not queued behind db.run, so open the transaction first
+        await this.run('BEGIN TRANSACTION');
+
+        const inserts = [];
+        chunk.forEach((row) => {
+            const record = typeof row === 'string' ? { ticker: row } : row;
+            const params = [record.ticker, ...columns.map(column => record[column] ?? defaults[column] ?? null)];
+
+            inserts.push(insert(stmt, params, record.ticker));
+            if (candidateStmt) {
+                inserts.push(insert(candidateStmt, [record.ticker], record.ticker));
+            }
+        });
+
+        const failures = (await Promise.all(inserts)).filter(Boolean);
+        if (failures.length > 0) {
+            await this.run('ROLLBACK');
+            failures.forEach(failure => console.error(`❌ Error inserting ${failure}`));
+            throw new Error(`${failures.length} inserts failed - rolled back the chunk of ${chunk.length} tickers`);
+        }
+        await this.run('COMMIT');
+    }
+
+    // Bulk insert tickers into the database.
+    // Accepts any iterable (array or generator) of ticker strings or row objects and
+    // writes it in bounded chunks, each committed in its own transaction, so memory
+    // use stays constant. `columns` lists extra row fields to store alongside ticker
+    // and `source` labels where the rows came from. The generation mode decides what
+    // happens to existing rows: append ignores them, merge refreshes their metadata
+    // columns, replace merges and then deletes the never-validated rows with the same
+    // source inside `scope` ({ clause, params } describing the regenerated range, the
+    // whole source by default) that were not generated again. Curated sources (seed
+    // lists, universes) start with a boosted validation priority.
+    async insertTickers(tickers, { total = null, columns = [], source = null, scope = null } = {}) {
+        const boost = sourceBoost(source);
+        const insertColumns = [...columns, ...(source ? ['source'] : []), ...(boost > 0 ? ['priority'] : [])];
+        const defaults = { source, priority: boost };
+        const columnList = ['ticker', 'active', ...insertColumns].join(', ');
+        const placeholders = ['?', '0', ...insertColumns.map(() => '?')].join(', ');
+        let insertQuery = `INSERT OR IGNORE INTO tickers (${columnList}) VALUES (${placeholders})`;
+        if ((this.mode === 'merge' || this.mode === 'replace') && insertColumns.length > 0) {
+            const updates = insertColumns.map((column) => {
+                // Seed-list provenance wins over generated provenance, otherwise keep the first label
+                if (column === 'source') {
+                    return `source = CASE WHEN tickers.source IS NULL OR excluded.source LIKE 'seed:%' THEN excluded.source ELSE tickers.source END`;
+                }
+                // Never lower a priority the ranker has already assigned
+                if (column === 'priority') {
+                    return 'priority = MAX(COALESCE(tickers.priority, 0), excluded.priority)';
+                }
+                return `${column} = COALESCE(excluded.${column}, tickers.${column})`;
+            }).join(', ');
+            insertQuery = `INSERT INTO tickers (${columnList}) VALUES (${placeholders}) ON CONFLICT(ticker) DO UPDATE SET ${updates}`;
+        }
+
+        const replacing = this.mode === 'replace' && source;
+        if (replacing) {
+            await this.run('DROP TABLE IF EXISTS temp.generated_candidates');
+            await this.run('CREATE TEMP TABLE generated_candidates (ticker TEXT PRIMARY KEY) WITHOUT ROWID');
+        }
+
+        const stmt = this.db.prepare(insertQuery);
+        const candidateStmt = replacing ? this.db.prepare('INSERT OR IGNORE INTO temp.generated_candidates (ticker) VALUES (?)') : null;
+        const expected = total || (Array.isArray(tickers) ? tickers.length : null);
+
+        let completed = 0;
+        let nextProgress = this.progressInterval;
+        let chunk = [];
+
+        console.log(`📊 Starting bulk insert of ${expected !== null ? expected.toLocaleString() : 'streamed'} tickers (${this.chunkSize.toLocaleString()} per transaction)...`);
+
+        const flush = async () => {
+            await this.insertChunk(stmt, chunk, insertColumns, defaults, candidateStmt);
+            completed += chunk.length;
+            chunk = [];
+
+            // Show progress every progressInterval insertions
+            if (completed >= nextProgress) {
+                const percentage = expected ? ` (${Math.round(completed / expected * 100)}%)` : '';
+                console.log(`📈 Progress: ${completed.toLocaleString()}/${expected !== null ? expected.toLocaleString() : '?'}${percentage}`);
+                nextProgress += this.progressInterval;
+            }
+        };
+
+        try {
+            for (const ticker of tickers) {
+                chunk.push(ticker);
+                if (chunk.length >= this.chunkSize) {
+                    await flush();
+                }
+            }
+            if (chunk.length > 0) {
+                await flush();
+            }
+        } finally {
+            await new Promise(resolve => stmt.finalize(resolve));
+            if (candidateStmt) {
+                await new Promise(resolve => candidateStmt.finalize(resolve));
+            }
+        }
+
+        if (replacing) {
+            await this.deleteStaleCandidates(source, scope);
+        }
+
+        console.log(`✅ Bulk insert completed!`);
+        console.log(`📊 Total: ${completed.toLocaleString()}`);
+        return { completed };
+    }
+
+    // Promise wrapper around db.run, resolving with the number of changed rows
+    async run(query, params = []) {
         return new Promise((resolve, reject) => {
-            const insertQuery = 'INSERT OR IGNORE INTO tickers (ticker, active) VALUES (?, 0)';
-            const stmt = this.db.prepare(insertQuery);
-            
-            let completed = 0;
-            let errors = 0;
-            
-            console.log(`📊 Starting bulk insert of ${tickers.length} tickers...`);
-            
-            // Start transaction for better performance
-            this.db.run('BEGIN TRANSACTION');
-            
-            tickers.forEach((ticker, index) => {
-                stmt.run(ticker, (err) => {
-                    if (err && !err.message.includes('UNIQUE constraint failed')) {
-                        errors++;
-                        console.error(`❌ Error inserting ${ticker}:`, err.message);
-                    }
-                    
-                    completed++;
-                    
-                    // Show progress every 10,000 insertions
-                    if (completed % 10000 === 0) {
-                        console.log(`📈 Progress: ${completed}/${tickers.length} (${Math.round(completed/tickers.length*100)}%)`);
-                    }
-                    
-                    // Complete when all tickers processed
-                    if (completed === tickers.length) {
-                        this.db.run('COMMIT');
-                        stmt.finalize();
-                        
-                        console.log(`✅ Bulk insert completed!`);
-                        console.log(`📊 Total: ${tickers.length}, Errors: ${errors}`);
-                        resolve();
-                    }
-                });
+            this.db.run(query, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
             });
         });
     }
 
+    // Replace mode: delete never-validated rows of `source` inside `scope` that are not in the
+    // candidate set just generated (legacy rows without a source count as brute force).
+    // Validated rows are kept whether or not they were generated again.
+    async deleteStaleCandidates(source, scope = null) {
+        const conditions = [
+            source === 'brute-force' ? '(source = ? OR source IS NULL)' : 'source = ?',
+            'price IS NULL',
+            'ticker NOT IN (SELECT ticker FROM temp.generated_candidates)'
+        ];
+        const params = [source];
+        if (scope) {
+            conditions.push(`(${scope.clause})`);
+            params.push(...scope.params);
+        }
+
+        try {
+            const removed = await this.run(`DELETE FROM tickers WHERE ${conditions.join(' AND ')}`, params);
+            console.log(`🧹 Replace mode: removed ${removed.toLocaleString()} never-validated ${source} tickers that are no longer generated`);
+            return removed;
+        } finally {
+            await this.run('DROP TABLE IF EXISTS temp.generated_candidates');
+        }
+    }
+
     // Get database statistics
     async getStats() {
         return new Promise((resolve, reject) => {
@@ -166,72 +370,262 @@ class TickerGenerator {
     }
 }
 
+// Parse the ticker length range from the command line.
+// Supports --lengths 3-5 (or a single length, --lengths 4) and --min-length / --max-length.
+function parseLengthRange(args) {
+    let minLength = 1;
+    let maxLength = 2;
+
+    const lengthsIndex = args.indexOf('--lengths');
+    if (lengthsIndex !== -1 && args[lengthsIndex + 1]) {
+        const [min, max] = args[lengthsIndex + 1].split('-').map(value => parseInt(value));
+        minLength = min;
+        maxLength = Number.isNaN(max) || max === undefined ? min : max;
+    }
+
+    const minIndex = args.indexOf('--min-length');
+    if (minIndex !== -1 && args[minIndex + 1]) {
+        minLength = parseInt(args[minIndex + 1]);
+    }
+
+    const maxIndex = args.indexOf('--max-length');
+    if (maxIndex !== -1 && args[maxIndex + 1]) {
+        maxLength = parseInt(args[maxIndex + 1]);
+    }
+
+    if (!Number.isInteger(minLength) || !Number.isInteger(maxLength) || minLength < 1 || maxLength < minLength) {
+        throw new Error(`Invalid ticker length range: ${minLength}-${maxLength}`);
+    }
+
+    return { minLength, maxLength };
+}
+
+// Expand active base symbols into share class, unit, warrant and preferred variants
+async function generateVariantTickers(generator) {
+    console.log('🧬 Expanding active tickers into grammar variants...');
+    const startTime = Date.now();
+    
+    const bases = await generator.getVariantBases();
+    if (bases.length === 0) {
+        console.log('⚠️  No active base tickers found - run validation before expanding variants');
+        return;
+    }
+    
+    const perBase = countVariants(generator.grammar);
+    const total = bases.length * perBase;
+    console.log(`📊 ${bases.length.toLocaleString()} active base tickers × ${perBase} variants = ${total.toLocaleString()} candidates`);
+    generator.grammar.variants.forEach((variant) => {
+        const separators = variant.separators || generator.grammar.separators;
+        console.log(`   • ${variant.type}: ${variant.suffixes.join(', ')} (separators: ${separators.join(' ')})`);
+    });
+    
+    await generator.insertTickers(generator.generateVariants(bases), {
+        total,
+        columns: ['base_ticker', 'variant_type'],
+        source: 'grammar'
+    });
+    
+    const finalStats = await generator.getStats();
+    console.log(`\n📈 Variant Generation Complete!`);
+    console.log(`⏱️  Total time: ${Math.round((Date.now() - startTime) / 1000)}s`);
+    console.log(`💾 Database: ${finalStats.total} tickers (variants are validated like any other row)`);
+}
+
+// Pair candidate roots with Yahoo market suffixes (.TO, .L, .AX, .HK, .DE, ...)
+async function generateSuffixedTickers(generator, { suffixes, suffixFile, rootSource, minLength, maxLength }) {
+    console.log('🌍 Generating international exchange-suffixed tickers...');
+    const startTime = Date.now();
+    
+    const markets = generator.loadExchangeSuffixes(suffixFile, suffixes);
+    
+    // Roots are either the brute-force length range or already-active US symbols (cross-listings)
+    let roots;
+    if (rootSource === 'active') {
+        roots = await generator.getVariantBases();
+        console.log(`🌱 Using ${roots.length.toLocaleString()} active tickers as roots`);
+    } else if (rootSource === 'generated') {
+        roots = { minLength, maxLength };
+        console.log(`🌱 Using generated ${minLength}- to ${maxLength}-letter roots`);
+    } else {
+        throw new Error(`Unknown root source: ${rootSource} (expected generated or active)`);
+    }
+    
+    const total = generator.countSuffixedTickers(markets, roots);
+    console.log(`📊 ${markets.length} markets, ${total.toLocaleString()} candidates:`);
+    markets.forEach((market) => {
+        const rootInfo = market.roots ? `own ${market.roots.minLength}-${market.roots.maxLength} character codes` : 'shared roots';
+        console.log(`   • ${market.suffix} ${market.market} (${market.country}) - ${rootInfo}`);
+    });
+    
+    await generator.insertTickers(generator.generateSuffixedTickers(markets, roots), {
+        total,
+        columns: ['exchange_suffix', 'market', 'country'],
+        source: 'suffix',
+        scope: { clause: `exchange_suffix IN (${markets.map(() => '?').join(', ')})`, params: markets.map(market => market.suffix) }
+    });
+    
+    const finalStats = await generator.getStats();
+    console.log(`\n📈 Suffix Generation Complete!`);
+    console.log(`⏱️  Total time: ${Math.round((Date.now() - startTime) / 1000)}s`);
+    console.log(`💾 Database: ${finalStats.total} tickers ready for validation`);
+}
+
+// Import known listings (NASDAQ files, watchlists, previous exports) ahead of brute force
+async function importSeedTickers(generator, files) {
+    if (files.length === 0) {
+        throw new Error('--import needs one or more comma separated file paths');
+    }
+    
+    console.log(`📥 Importing seed symbols from ${files.length} file(s)...`);
+    const startTime = Date.now();
+    
+    const results = [];
+    for (const file of files) {
+        results.push(await generator.importSymbolFile(file));
+    }
+    
+    const finalStats = await generator.getStats();
+    console.log(`\n📈 Seed Import Complete!`);
+    results.forEach((result) => {
+        console.log(`   • ${result.source}: ${result.symbols.toLocaleString()} symbols`);
+    });
+    console.log(`⏱️  Total time: ${Math.round((Date.now() - startTime) / 1000)}s`);
+    console.log(`💾 Database: ${finalStats.total} tickers (seeded symbols are validated first)`);
+}
+
+// Build index, FX, crypto and futures symbols from seed lists
+async function generateUniverseTickers(generator, { names, seedFile }) {
+    console.log('🌐 Generating non-equity instrument universes...');
+    const startTime = Date.now();
+    
+    const universes = selectUniverses(names);
+    const seeds = loadSeeds(seedFile);
+    if (seedFile) {
+        console.log(`🌱 Using seed lists from ${seedFile}`);
+    }
+    
+    const total = universes.reduce((sum, universe) => sum + universe.count(seeds), 0);
+    console.log(`📊 ${total.toLocaleString()} candidates:`);
+    universes.forEach((universe) => {
+        console.log(`   • ${universe.instrumentClass}: ${universe.count(seeds).toLocaleString()} - ${universe.description}`);
+    });
+    
+    await generator.insertTickers(generator.generateUniverseTickers(universes, seeds), {
+        total,
+        columns: ['instrument_class'],
+        source: 'universe',
+        scope: { clause: `instrument_class IN (${universes.map(() => '?').join(', ')})`, params: universes.map(universe => universe.instrumentClass) }
+    });
+    
+    const finalStats = await generator.getStats();
+    console.log(`\n📈 Universe Generation Complete!`);
+    console.log(`⏱️  Total time: ${Math.round((Date.now() - startTime) / 1000)}s`);
+    console.log(`💾 Database: ${finalStats.total} tickers ready for validation`);
+}
+
+// Read the generation mode from --mode (or --mode=...) or the GENERATE_MODE env var
+function parseGenerationMode(args) {
+    const inline = args.find(arg => arg.startsWith('--mode='));
+    const modeIndex = args.indexOf('--mode');
+    const mode = (inline ? inline.split('=')[1] : (modeIndex !== -1 ? args[modeIndex + 1] : process.env.GENERATE_MODE)) || DEFAULT_GENERATION_MODE;
+
+    if (!GENERATION_MODES[mode]) {
+        throw new Error(`Unknown generation mode: ${mode} (expected ${Object.keys(GENERATION_MODES).join(', ')})`);
+    }
+    return mode;
+}
+
 // Main execution
 async function main() {
     console.log('🚀 All-Tickers Bulk Generator v2.0');
     console.log('====================================');
     
-    const generator = new TickerGenerator();
+    // Parse command line arguments
+    const args = process.argv.slice(2);
+    const grammarIndex = args.indexOf('--grammar');
+    const grammarPath = grammarIndex !== -1 ? args[grammarIndex + 1] : null;
+    const variantsMode = args.includes('--variants');
+    const valueOf = (flag) => (args.indexOf(flag) !== -1 ? args[args.indexOf(flag) + 1] : null);
+    const suffixMode = args.includes('--suffixes');
+    const universeMode = args.includes('--universe');
+    const importMode = args.includes('--import');
+    
+    let generator;
     
     try {
+        generator = new TickerGenerator({
+            grammar: loadGrammar(grammarPath),
+            mode: parseGenerationMode(args)
+        });
+        const { minLength, maxLength } = parseLengthRange(args);
+        
+        if (grammarPath) {
+            console.log(`📐 Using symbol grammar: ${grammarPath}`);
+        }
+        
         // Initialize database
         await generator.initDatabase();
         
-        // Check if database already has data
+        // Existing rows are never wiped implicitly - the generation mode decides what happens to them
         const stats = await generator.getStats();
+        console.log(`⚙️  Generation mode: ${generator.mode} - ${GENERATION_MODES[generator.mode]}`);
         if (stats.total > 0) {
             console.log(`📊 Database already contains ${stats.total} tickers`);
             console.log(`✅ Active: ${stats.active_count}, Inactive: ${stats.inactive_count}`);
-            
-            const readline = require('readline');
-            const rl = readline.createInterface({
-                input: process.stdin,
-                output: process.stdout
-            });
-            
-            const answer = await new Promise((resolve) => {
-                rl.question('Do you want to regenerate all tickers? (y/N): ', (answer) => {
-                    rl.close();
-                    resolve(answer.toLowerCase());
-                });
+        }
+        
+        // Variant mode expands already-discovered symbols instead of brute forcing
+        if (variantsMode) {
+            await generateVariantTickers(generator);
+            return;
+        }
+        
+        // Import mode loads known listings from external symbol files
+        if (importMode) {
+            await importSeedTickers(generator, parseList(valueOf('--import')));
+            return;
+        }
+        
+        // Universe mode seeds non-equity symbol families
+        if (universeMode) {
+            await generateUniverseTickers(generator, {
+                names: parseList(valueOf('--universe')),
+                seedFile: valueOf('--seed-file')
             });
-            
-            if (answer !== 'y' && answer !== 'yes') {
-                console.log('🔄 Skipping generation. Database unchanged.');
-                generator.close();
-                return;
-            }
-            
-            // Clear existing data
-            await new Promise((resolve, reject) => {
-                generator.db.run('DELETE FROM tickers', (err) => {
-                    if (err) reject(err);
-                    else {
-                        console.log('🧹 Cleared existing ticker data');
-                        resolve();
-                    }
-                });
+            return;
+        }
+        
+        // Suffix mode pairs roots with international market suffixes
+        if (suffixMode) {
+            await generateSuffixedTickers(generator, {
+                suffixes: parseList(valueOf('--suffixes')),
+                suffixFile: valueOf('--suffix-file'),
+                rootSource: valueOf('--roots') || 'generated',
+                minLength,
+                maxLength
             });
+            return;
         }
         
-        // Generate all ticker combinations
-        console.log('🎯 Generating ticker combinations...');
+        // Stream ticker combinations straight into the database
+        console.log(`🎯 Generating ${minLength}- to ${maxLength}-letter ticker combinations...`);
         const startTime = Date.now();
-        const tickers = generator.generateTickerCombinations();
-        const generationTime = Date.now() - startTime;
+        const total = generator.countTickerCombinations(minLength, maxLength);
         
-        console.log(`✅ Generated ${tickers.length} ticker combinations in ${generationTime}ms`);
         console.log(`📊 Breakdown:`);
-        console.log(`   • 1-letter: 26 tickers (A-Z)`);
-        console.log(`   • 2-letter: 676 tickers (AA-ZZ)`);
-        console.log(`   • 3-letter: 17,576 tickers (AAA-ZZZ)`);
-        console.log(`   • 4-letter: 456,976 tickers (AAAA-ZZZZ)`);
-        console.log(`   • 5-letter: 11,881,376 tickers (AAAAA-ZZZZZ)`);
+        for (let length = minLength; length <= maxLength; length++) {
+            const first = generator.alphabet[0].repeat(length);
+            const last = generator.alphabet[generator.alphabet.length - 1].repeat(length);
+            console.log(`   • ${length}-letter: ${generator.countTickerCombinations(length, length).toLocaleString()} tickers (${first}-${last})`);
+        }
+        console.log(`   • Total: ${total.toLocaleString()} tickers`);
         
         // Insert tickers into database
-        const insertStartTime = Date.now();
-        await generator.insertTickers(tickers);
-        const insertTime = Date.now() - insertStartTime;
+        await generator.insertTickers(generator.generateTickerCombinations(minLength, maxLength), {
+            total,
+            source: 'brute-force',
+            scope: { clause: 'LENGTH(ticker) BETWEEN ? AND ?', params: [minLength, maxLength] }
+        });
         
         // Final statistics
         const finalStats = await generator.getStats();
@@ -243,7 +637,9 @@ async function main() {
         console.error('❌ Error during generation:', error);
         process.exit(1);
     } finally {
-        generator.close();
+        if (generator) {
+            generator.close();
+        }
     }
 }
 
@@ -253,3 +649,4 @@ if (require.main === module) {
 }
 
 module.exports = TickerGenerator;
+module.exports.GENERATION_MODES = GENERATION_MODES;
@@ -0,0 +1,167 @@
+// Likelihood model for ranking unvalidated ticker candidates.
+// Learns from tickers already found active: letter bigram frequencies, how
+// pronounceable real symbols are, which prefixes are popular and which lengths
+// have the best hit rate. Scores are in [0, 1]; higher means more likely to be live.
+
+const VOWELS = new Set(['A', 'E', 'I', 'O', 'U', 'Y']);
+const START = '^';
+const END = '$';
+
+// Relative weight of each signal in the final score
+const WEIGHTS = {
+    ngram: 0.4,
+    pronounceability: 0.15,
+    prefix: 0.2,
+    length: 0.25
+};
+
+// Priority added on top of the score for curated sources, so known listings always come first
+const SOURCE_BOOST = {
+    seed: 2,
+    universe: 1
+};
+
+// Letters-only root of a symbol: BRK-B => BRK, SHOP.TO => SHOP, ^GSPC => GSPC
+function symbolRoot(ticker) {
+    const match = ticker.toUpperCase().replace(/^\^/, '').match(/^[A-Z]+/);
+    return match ? match[0] : '';
+}
+
+// Build the model from active tickers and per-length validation counts
+// (rows of { length, active, validated })
+function buildModel(activeTickers, lengthStats = []) {
+    const bigrams = new Map();
+    const contexts = new Map();
+    const prefixes = new Map();
+    const alphabet = new Set();
+    let pronounceTotal = 0;
+    let roots = 0;
+
+    activeTickers.forEach((ticker) => {
+        const root = symbolRoot(ticker);
+        if (!root) {
+            return;
+        }
+        roots++;
+
+        const tokens = [START, ...root, END];
+        for (let i = 0; i < tokens.length - 1; i++) {
+            const key = tokens[i] + tokens[i + 1];
+            bigrams.set(key, (bigrams.get(key) || 0) + 1);
+            contexts.set(tokens[i], (contexts.get(tokens[i]) || 0) + 1);
+            if (tokens[i] !== START) {
+                alphabet.add(tokens[i]);
+            }
+        }
+
+        const prefix = root.slice(0, 2);
+        prefixes.set(prefix, (prefixes.get(prefix) || 0) + 1);
+        pronounceTotal += pronounceability(root);
+    });
+
+    const lengthRates = new Map();
+    lengthStats.forEach(({ length, active, validated }) => {
+        if (validated > 0) {
+            lengthRates.set(length, active / validated);
+        }
+    });
+
+    return {
+        roots,
+        bigrams,
+        contexts,
+        prefixes,
+        maxPrefixCount: Math.max(1, ...prefixes.values()),
+        vocabularySize: Math.max(alphabet.size, 26) + 1, // letters plus the end token
+        averagePronounceability: roots > 0 ? pronounceTotal / roots : 0.5,
+        lengthRates,
+        maxLengthRate: Math.max(0, ...lengthRates.values())
+    };
+}
+
+// 1 for symbols that alternate vowels and consonants naturally, falling
+// towards 0 as runs of three or more consonants / vowels appear
+function pronounceability(root) {
+    if (root.length <= 2) {
+        return 1;
+    }
+
+    let awkward = 0;
+    let run = 1;
+    for (let i = 1; i < root.length; i++) {
+        run = VOWELS.has(root[i]) === VOWELS.has(root[i - 1]) ? run + 1 : 1;
+        if (run >= 3) {
+            awkward++;
+        }
+    }
+    return 1 - awkward / (root.length - 2);
+}
+
+// Average bigram log-likelihood ratio against a uniform alphabet, squashed into (0, 1).
+// A symbol exactly as likely as random letters scores 0.5.
+function ngramScore(model, root) {
+    if (model.roots === 0) {
+        return 0.5;
+    }
+
+    const tokens = [START, ...root, END];
+    let logRatio = 0;
+    for (let i = 0; i < tokens.length - 1; i++) {
+        const count = model.bigrams.get(tokens[i] + tokens[i + 1]) || 0;
+        const context = model.contexts.get(tokens[i]) || 0;
+        const probability = (count + 1) / (context + model.vocabularySize); // add-one smoothing
+        logRatio += Math.log(probability * model.vocabularySize);
+    }
+
+    const average = logRatio / (tokens.length - 1);
+    return 1 / (1 + Math.exp(-average));
+}
+
+// Share of active tickers starting with the same two letters, relative to the most popular prefix
+function prefixScore(model, root) {
+    return (model.prefixes.get(root.slice(0, 2)) || 0) / model.maxPrefixCount;
+}
+
+// Hit rate for the root length relative to the best length; shorter roots win before any data exists
+function lengthScore(model, root) {
+    if (model.maxLengthRate > 0 && model.lengthRates.has(root.length)) {
+        return model.lengthRates.get(root.length) / model.maxLengthRate;
+    }
+    return 1 / Math.max(root.length, 1);
+}
+
+// Likelihood score in [0, 1] for a candidate symbol
+function scoreTicker(model, ticker) {
+    const root = symbolRoot(ticker);
+    if (!root) {
+        return 0;
+    }
+
+    // Pronounceability counts relative to how pronounceable real symbols tend to be
+    const pronounce = Math.min(1, pronounceability(root) / Math.max(model.averagePronounceability, 0.01));
+
+    return WEIGHTS.ngram * ngramScore(model, root) +
+        WEIGHTS.pronounceability * pronounce +
+        WEIGHTS.prefix * prefixScore(model, root) +
+        WEIGHTS.length * lengthScore(model, root);
+}
+
+// Base priority for a row's source before any scoring (seed lists and curated universes first)
+function sourceBoost(source) {
+    if (!source) {
+        return 0;
+    }
+    if (source.startsWith('seed:')) {
+        return SOURCE_BOOST.seed;
+    }
+    return SOURCE_BOOST[source] || 0;
+}
+
+module.exports = {
+    WEIGHTS,
+    SOURCE_BOOST,
+    symbolRoot,
+    buildModel,
+    scoreTicker,
+    sourceBoost
+};
@@ -0,0 +1,250 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { initTickersTable } = require('./schema');
+const { buildModel, scoreTicker, sourceBoost, symbolRoot } = require('./likelihood-model');
+const { DEFAULT_INSTRUMENT_CLASS } = require('./universes');
+const ValidationRunStore = require('../validate/validation-runs');
+
+class TickerRanker {
+    constructor() {
+        // Use mounted volume path for database storage
+        this.dbPath = path.join(process.env.DB_PATH || '/app/output', 'tickers.db');
+        this.db = new sqlite3.Database(this.dbPath);
+        this.pageSize = 10000; // Rows scored per update transaction
+        this.progressInterval = 500000; // Log progress every N scored rows
+    }
+
+    // Make sure the priority column and index exist
+    async initDatabase() {
+        await initTickersTable(this.db);
+    }
+
+    // Newest unfinished validate-tickers run (null when there is none)
+    async getUnfinishedValidationRun() {
+        const runs = new ValidationRunStore(this.db);
+        await runs.initTable();
+        return runs.getLatestUnfinishedRun('validate-tickers');
+    }
+
+    // Equity symbols already confirmed active - the training set for the model
+    async getActiveTickers() {
+        return new Promise((resolve, reject) => {
+            const query = `SELECT ticker FROM tickers WHERE active = 1 AND COALESCE(instrument_class, '${DEFAULT_INSTRUMENT_CLASS}') = '${DEFAULT_INSTRUMENT_CLASS}'`;
+
+            this.db.all(query, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => row.ticker));
+                }
+            });
+        });
+    }
+
+    // Hit rate per root length among validated plain symbols
+    async getLengthStats() {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT
+                    LENGTH(ticker) as length,
+                    SUM(CASE WHEN active = 1 THEN 1 ELSE 0 END) as active,
+                    COUNT(*) as validated
+                FROM tickers
+                WHERE price IS NOT NULL AND base_ticker IS NULL AND exchange_suffix IS NULL
+                GROUP BY LENGTH(ticker)
+            `;
+
+            this.db.all(query, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Next page of unvalidated rows after a rowid
+    async getUnvalidatedPage(afterRowid) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT rowid, ticker, source, instrument_class
+                FROM tickers
+                WHERE price IS NULL AND rowid > ?
+                ORDER BY rowid
+                LIMIT ?
+            `;
+
+            this.db.all(query, [afterRowid, this.pageSize], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Write one page of priorities inside its own transaction
+    async updatePriorities(updates) {
+        return new Promise((resolve, reject) => {
+            this.db.serialize(() => {
+                this.db.run('BEGIN TRANSACTION');
+
+                const stmt = this.db.prepare('UPDATE tickers SET priority = ? WHERE rowid = ?');
+                updates.forEach(({ rowid, priority }) => {
+                    stmt.run([priority, rowid]);
+                });
+                stmt.finalize();
+
+                this.db.run('COMMIT', (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        });
+    }
+
+    // Build the model from active tickers
+    async buildModel() {
+        const activeTickers = await this.getActiveTickers();
+        const lengthStats = await this.getLengthStats();
+        return buildModel(activeTickers, lengthStats);
+    }
+
+    // Score every unvalidated candidate and store it in tickers.priority, one page at a time
+    async rankUnvalidated(model) {
+        let lastRowid = 0;
+        let ranked = 0;
+        let nextProgress = this.progressInterval;
+
+        while (true) {
+            const rows = await this.getUnvalidatedPage(lastRowid);
+            if (rows.length === 0) {
+                break;
+            }
+
+            // The letter model only describes equity symbols; other classes rank on their source alone
+            const updates = rows.map((row) => {
+                const isEquity = (row.instrument_class || DEFAULT_INSTRUMENT_CLASS) === DEFAULT_INSTRUMENT_CLASS;
+                const score = isEquity ? scoreTicker(model, row.ticker) : 0;
+                return {
+                    rowid: row.rowid,
+                    priority: Math.round((sourceBoost(row.source) + score) * 1e6) / 1e6
+                };
+            });
+            await this.updatePriorities(updates);
+
+            ranked += rows.length;
+            lastRowid = rows[rows.length - 1].rowid;
+
+            if (ranked >= nextProgress) {
+                console.log(`📈 Progress: ${ranked.toLocaleString()} candidates ranked`);
+                nextProgress += this.progressInterval;
+            }
+        }
+
+        return ranked;
+    }
+
+    // Highest-priority unvalidated candidates
+    async getTopCandidates(limit) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT ticker, priority, source
+                FROM tickers
+                WHERE price IS NULL
+                ORDER BY priority DESC, rowid
+                LIMIT ?
+            `;
+
+            this.db.all(query, [limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Close database connection
+    close() {
+        this.db.close((err) => {
+            if (err) {
+                console.error('❌ Error closing database:', err);
+            } else {
+                console.log('✅ Database connection closed');
+            }
+        });
+    }
+}
+
+// Main execution
+async function main() {
+    console.log('🎯 All-Tickers Candidate Ranker');
+    console.log('===============================');
+
+    const args = process.argv.slice(2);
+    const topIndex = args.indexOf('--top');
+    const top = topIndex !== -1 ? parseInt(args[topIndex + 1]) || 20 : 20;
+    const explainIndex = args.indexOf('--explain');
+    const explain = explainIndex !== -1 ? args[explainIndex + 1] : null;
+
+    const ranker = new TickerRanker();
+
+    try {
+        await ranker.initDatabase();
+        const startTime = Date.now();
+
+        // The pipeline resumes an interrupted validation run right after ranking; keep the
+        // priorities that run was started with until it has finished
+        if (args.includes('--skip-if-unfinished')) {
+            const run = await ranker.getUnfinishedValidationRun();
+            if (run) {
+                console.log(`⏭️  Validation run ${run.run_id} is unfinished (${run.processed} processed) - skipping ranking until it completes`);
+                return;
+            }
+        }
+
+        const model = await ranker.buildModel();
+        if (model.roots === 0) {
+            console.log('⚠️  No active tickers yet - ranking falls back to source and length only');
+        } else {
+            console.log(`🧠 Model trained on ${model.roots.toLocaleString()} active symbols (${model.bigrams.size} bigrams, ${model.prefixes.size} prefixes)`);
+        }
+
+        // Score a single symbol without touching the database
+        if (explain) {
+            const symbol = explain.toUpperCase();
+            console.log(`🔎 ${symbol} (root ${symbolRoot(symbol) || '-'}): score ${scoreTicker(model, symbol).toFixed(4)}`);
+            return;
+        }
+
+        const ranked = await ranker.rankUnvalidated(model);
+        console.log(`✅ Ranked ${ranked.toLocaleString()} unvalidated candidates in ${Math.round((Date.now() - startTime) / 1000)}s`);
+
+        const candidates = await ranker.getTopCandidates(top);
+        if (candidates.length > 0) {
+            console.log(`\n🏆 Top ${candidates.length} candidates for the next validation run:`);
+            candidates.forEach((row, index) => {
+                console.log(`   ${index + 1}. ${row.ticker} - ${row.priority.toFixed(4)}${row.source ? ` (${row.source})` : ''}`);
+            });
+        }
+    } catch (error) {
+        console.error('❌ Error during ranking:', error);
+        process.exit(1);
+    } finally {
+        ranker.close();
+    }
+}
+
+// Handle command line execution
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = TickerRanker;
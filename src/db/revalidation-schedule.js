@@ -0,0 +1,140 @@
+// Revalidation schedule for checked tickers in tickers.db.
+// Every checked row gets a tier and a next_check_at time. Triggers on tickers recompute both
+// whenever a check stamps last_checked, so the revalidators only have to select rows whose
+// next_check_at has passed (one range scan on idx_tickers_next_check) instead of testing a
+// flat 24-hour rule row by row.
+
+// Tiers in the order they are tested, with their revalidation interval (an SQLite date modifier)
+const SCHEDULE_TIERS = [
+    { tier: 'recent', interval: '+1 hours', description: 'Status or exchange changed in the last 7 days' },
+    { tier: 'thin', interval: '+7 days', description: 'Active on an OTC market or no trade for 7 days' },
+    { tier: 'liquid', interval: '+1 days', description: 'Active' },
+    { tier: 'inactive', interval: '+7 days', description: 'Inactive, status changed in the last 90 days' },
+    { tier: 'dead', interval: '+30 days', description: 'Inactive and unchanged for 90 days (or never active)' }
+];
+
+// Yahoo exchange codes for OTC / pink sheet quotes
+const OTC_EXCHANGES = ['PNK', 'OTC', 'OBB', 'OQB', 'OQX', 'OEM', 'OGM'];
+
+// WHERE fragment for checked rows that are due. Matches the partial index below.
+const DUE_SQL = 'price IS NOT NULL AND next_check_at <= CURRENT_TIMESTAMP';
+
+// Tier expression for a row. `ref` prefixes column names ('NEW.' in triggers, 'tickers.' in
+// UPDATEs); `changedSql` is true when the write being scheduled changed the row's status.
+// Events without a previous price are a ticker's first check, not a change, and are ignored.
+function tierSql(ref, changedSql = '0') {
+    const recentEvent = days => `EXISTS (SELECT 1 FROM ticker_status_history h WHERE h.ticker = ${ref}ticker
+        AND h.previous_price IS NOT NULL AND h.changed_at >= datetime('now', '-${days} days'))`;
+    return `CASE
+        WHEN ${changedSql} OR ${recentEvent(7)} THEN 'recent'
+        WHEN ${ref}active = 1 AND (${ref}exchange IN (${OTC_EXCHANGES.map(code => `'${code}'`).join(', ')})
+            OR ${ref}regular_market_time < datetime('now', '-7 days')) THEN 'thin'
+        WHEN ${ref}active = 1 THEN 'liquid'
+        WHEN ${recentEvent(90)} THEN 'inactive'
+        ELSE 'dead'
+    END`;
+}
+
+// Interval modifier for the tier stored in `column`
+function intervalSql(column) {
+    return `CASE ${column} ${SCHEDULE_TIERS.map(({ tier, interval }) => `WHEN '${tier}' THEN '${interval}'`).join(' ')} END`;
+}
+
+const SCHEDULE_STATEMENTS = [
+    'CREATE INDEX IF NOT EXISTS idx_tickers_next_check ON tickers (next_check_at) WHERE price IS NOT NULL',
+    // Triggers are recreated so databases created by older versions pick up the current bodies
+    'DROP TRIGGER IF EXISTS trg_tickers_schedule_update',
+    'DROP TRIGGER IF EXISTS trg_tickers_schedule_insert',
+    // A check stamps last_checked: re-tier the row and schedule its next check from that time.
+    // The first check of a never-checked row (OLD.price IS NULL) is not a status change.
+    `CREATE TRIGGER trg_tickers_schedule_update
+        AFTER UPDATE OF last_checked ON tickers
+        WHEN NEW.price IS NOT NULL AND NEW.last_checked IS NOT NULL
+    BEGIN
+        UPDATE tickers SET check_tier = ${tierSql('NEW.', `(OLD.price IS NOT NULL AND (COALESCE(OLD.active, 0) != COALESCE(NEW.active, 0)
+            OR (NEW.active = 1 AND OLD.exchange IS NOT NEW.exchange)))`)}
+        WHERE rowid = NEW.rowid;
+        UPDATE tickers SET next_check_at = datetime(NEW.last_checked, ${intervalSql('check_tier')})
+        WHERE rowid = NEW.rowid;
+    END`,
+    // Rows inserted already checked (canonical symbols discovered through an alias) are tiered
+    // like any other first check
+    `CREATE TRIGGER trg_tickers_schedule_insert
+        AFTER INSERT ON tickers
+        WHEN NEW.price IS NOT NULL AND NEW.last_checked IS NOT NULL
+    BEGIN
+        UPDATE tickers SET check_tier = ${tierSql('NEW.')}
+        WHERE rowid = NEW.rowid;
+        UPDATE tickers SET next_check_at = datetime(NEW.last_checked, ${intervalSql('check_tier')})
+        WHERE rowid = NEW.rowid;
+    END`
+];
+
+// Create the schedule index and triggers
+async function initRevalidationSchedule(db) {
+    for (const statement of SCHEDULE_STATEMENTS) {
+        await new Promise((resolve, reject) => {
+            db.run(statement, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+}
+
+// Schedule rows checked before the schedule existed: never-rechecked rows are due now, the
+// rest one interval after their last check. A one-off migration run by initTickersTable().
+// Resolves with the number of rows scheduled.
+async function backfillSchedule(db) {
+    const statements = [
+        `UPDATE tickers SET check_tier = ${tierSql('tickers.')}
+            WHERE price IS NOT NULL AND next_check_at IS NULL`,
+        `UPDATE tickers SET next_check_at = CASE WHEN last_checked IS NULL THEN CURRENT_TIMESTAMP
+                ELSE datetime(last_checked, ${intervalSql('check_tier')}) END
+            WHERE price IS NOT NULL AND next_check_at IS NULL`
+    ];
+
+    let scheduled = 0;
+    for (const statement of statements) {
+        scheduled = await new Promise((resolve, reject) => {
+            db.run(statement, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+    return scheduled;
+}
+
+// Due / scheduled row counts per tier, in SCHEDULE_TIERS order
+async function getScheduleSummary(db) {
+    const rows = await new Promise((resolve, reject) => {
+        const query = `
+            SELECT check_tier,
+                   SUM(CASE WHEN next_check_at <= CURRENT_TIMESTAMP THEN 1 ELSE 0 END) as due,
+                   COUNT(*) as scheduled,
+                   MIN(next_check_at) as next_due
+            FROM tickers
+            WHERE price IS NOT NULL
+            GROUP BY check_tier
+        `;
+
+        db.all(query, (err, result) => {
+            if (err) reject(err);
+            else resolve(result);
+        });
+    });
+
+    return SCHEDULE_TIERS.map(({ tier, interval }) => {
+        const row = rows.find(entry => entry.check_tier === tier) || { due: 0, scheduled: 0, next_due: null };
+        return { tier, interval, due: row.due, scheduled: row.scheduled, nextDue: row.next_due };
+    });
+}
+
+module.exports = {
+    SCHEDULE_TIERS,
+    DUE_SQL,
+    initRevalidationSchedule,
+    backfillSchedule,
+    getScheduleSummary
+};
@@ -0,0 +1,140 @@
+// Shared schema for the tickers table in tickers.db.
+// Every script that reads or writes tickers calls initTickersTable() so that
+// databases created by older versions pick up new columns automatically and
+// have their existing rows migrated once.
+
+const { initStatusHistory, backfillDiscoveredEvents } = require('./ticker-history');
+const { initRevalidationSchedule, backfillSchedule } = require('./revalidation-schedule');
+
+// Columns added after the original (ticker, active, price, exchange, last_checked) table
+const TICKER_COLUMNS = [
+    { name: 'base_ticker', definition: 'TEXT DEFAULT NULL' },
+    { name: 'variant_type', definition: 'TEXT DEFAULT NULL' },
+    { name: 'exchange_suffix', definition: 'TEXT DEFAULT NULL' },
+    { name: 'market', definition: 'TEXT DEFAULT NULL' },
+    { name: 'country', definition: 'TEXT DEFAULT NULL' },
+    { name: 'instrument_class', definition: "TEXT DEFAULT 'EQUITY'" },
+    { name: 'source', definition: 'TEXT DEFAULT NULL' },
+    { name: 'priority', definition: 'REAL DEFAULT 0' },
+    { name: 'validation_status', definition: 'TEXT DEFAULT NULL' },
+    { name: 'retry_count', definition: 'INTEGER DEFAULT 0' },
+    { name: 'next_retry_at', definition: 'DATETIME DEFAULT NULL' },
+    // Chart metadata from the last successful validation (see src/validate/chart-meta.js)
+    { name: 'canonical_symbol', definition: 'TEXT DEFAULT NULL' },
+    { name: 'currency', definition: 'TEXT DEFAULT NULL' },
+    { name: 'instrument_type', definition: 'TEXT DEFAULT NULL' },
+    { name: 'full_exchange_name', definition: 'TEXT DEFAULT NULL' },
+    { name: 'timezone', definition: 'TEXT DEFAULT NULL' },
+    { name: 'first_trade_date', definition: 'DATETIME DEFAULT NULL' },
+    { name: 'regular_market_time', definition: 'DATETIME DEFAULT NULL' },
+    { name: 'previous_close', definition: 'REAL DEFAULT NULL' },
+    // Failed checks of an active ticker before it is marked inactive (see src/validate/inactive-strikes.js)
+    { name: 'failure_strikes', definition: 'INTEGER DEFAULT 0' },
+    { name: 'strike_status', definition: 'TEXT DEFAULT NULL' },
+    { name: 'strike_run', definition: 'TEXT DEFAULT NULL' },
+    { name: 'last_strike_at', definition: 'DATETIME DEFAULT NULL' },
+    // Revalidation tier and due time of checked rows (see src/db/revalidation-schedule.js)
+    { name: 'check_tier', definition: 'TEXT DEFAULT NULL' },
+    { name: 'next_check_at', definition: 'DATETIME DEFAULT NULL' }
+];
+
+// Indexes created after the columns exist
+const TICKER_INDEXES = [
+    // Validation pulls unvalidated candidates highest priority first
+    { name: 'idx_tickers_unvalidated_priority', definition: 'ON tickers (priority DESC) WHERE price IS NULL' }
+];
+
+// One-off migrations of rows written by older versions, in order. PRAGMA user_version of
+// tickers.db counts the ones already applied, so each runs once per database.
+const TICKER_MIGRATIONS = [
+    { description: 'first checks recorded as LISTED relabelled DISCOVERED', migrate: backfillDiscoveredEvents },
+    { description: 'checked rows scheduled for revalidation', migrate: backfillSchedule }
+];
+
+// PRAGMA user_version of a database with every migration applied
+const SCHEMA_VERSION = TICKER_MIGRATIONS.length;
+
+// Create the tickers table if needed, add any missing columns, install the status history
+// and revalidation schedule triggers and apply pending migrations
+async function initTickersTable(db) {
+    await new Promise((resolve, reject) => {
+        const createTableQuery = `
+            CREATE TABLE IF NOT EXISTS tickers (
+                ticker TEXT PRIMARY KEY,
+                active BOOLEAN DEFAULT 0,
+                price REAL DEFAULT NULL,
+                exchange TEXT DEFAULT NULL,
+                last_checked DATETIME DEFAULT NULL
+            )
+        `;
+
+        db.run(createTableQuery, (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+
+    const existingColumns = await new Promise((resolve, reject) => {
+        db.all('PRAGMA table_info(tickers)', (err, rows) => {
+            if (err) reject(err);
+            else resolve(new Set(rows.map(row => row.name)));
+        });
+    });
+
+    for (const column of TICKER_COLUMNS) {
+        if (existingColumns.has(column.name)) {
+            continue;
+        }
+
+        await new Promise((resolve, reject) => {
+            db.run(`ALTER TABLE tickers ADD COLUMN ${column.name} ${column.definition}`, (err) => {
+                if (err) reject(err);
+                else {
+                    console.log(`🔧 Added column tickers.${column.name}`);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    for (const index of TICKER_INDEXES) {
+        await new Promise((resolve, reject) => {
+            db.run(`CREATE INDEX IF NOT EXISTS ${index.name} ${index.definition}`, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    await initStatusHistory(db);
+    await initRevalidationSchedule(db);
+
+    const version = await new Promise((resolve, reject) => {
+        db.get('PRAGMA user_version', (err, row) => {
+            if (err) reject(err);
+            else resolve(row.user_version);
+        });
+    });
+
+    for (let applied = version; applied < SCHEMA_VERSION; applied++) {
+        const { description, migrate } = TICKER_MIGRATIONS[applied];
+        const changes = await migrate(db);
+        if (changes > 0) {
+            console.log(`🔧 Migrated tickers.db: ${changes} ${description}`);
+        }
+
+        await new Promise((resolve, reject) => {
+            db.run(`PRAGMA user_version = ${applied + 1}`, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    TICKER_COLUMNS,
+    TICKER_INDEXES,
+    initTickersTable
+};
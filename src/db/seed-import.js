@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+// Header names that identify the symbol column in CSV / pipe-delimited listings
+// (NASDAQ's nasdaqtraded.txt uses "Symbol", otherlisted.txt "ACT Symbol")
+const SYMBOL_HEADERS = ['symbol', 'ticker', 'act symbol', 'nasdaq symbol', 'cqs symbol', 'code'];
+
+// Characters Yahoo uses in symbols: letters, digits, class/suffix separators, ^ for indices, = for FX/futures
+const VALID_SYMBOL = /^[A-Z0-9^][A-Z0-9.\-=^&]{0,19}$/;
+
+// Normalize a raw symbol from an external list into Yahoo's format.
+// Returns null when the value cannot be a symbol.
+function normalizeSymbol(raw) {
+    if (raw === null || raw === undefined) {
+        return null;
+    }
+
+    let symbol = String(raw).trim().replace(/^["']|["']$/g, '').toUpperCase();
+
+    // Watchlists often write cashtags ($AAPL)
+    symbol = symbol.replace(/^\$/, '');
+    // NASDAQ listings write preferred series as ABC$A and classes as ABC/B; Yahoo uses ABC-PA and ABC-B
+    symbol = symbol.replace(/\$([A-Z]*)$/, '-P$1').replace(/\//g, '-');
+    symbol = symbol.replace(/\s+/g, '');
+
+    return VALID_SYMBOL.test(symbol) ? symbol : null;
+}
+
+// Pick the delimiter used by the first line of a delimited file
+function detectDelimiter(line) {
+    const candidates = ['|', '\t', ','];
+    return candidates.find(delimiter => line.includes(delimiter)) || null;
+}
+
+// Extract raw symbols from CSV / TSV / pipe-delimited / plain text content
+function parseDelimited(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const delimiter = detectDelimiter(lines[0]);
+    if (!delimiter) {
+        // One symbol per line
+        return lines;
+    }
+
+    const header = lines[0].split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, '').toLowerCase());
+    const symbolColumn = header.findIndex(cell => SYMBOL_HEADERS.includes(cell));
+    const testIssueColumn = header.indexOf('test issue');
+    const dataLines = symbolColumn !== -1 ? lines.slice(1) : lines;
+    const column = symbolColumn !== -1 ? symbolColumn : 0;
+
+    return dataLines
+        // NASDAQ files end with a "File Creation Time" trailer and flag test symbols
+        .filter(line => !line.startsWith('File Creation Time'))
+        .map(line => line.split(delimiter))
+        .filter(cells => testIssueColumn === -1 || (cells[testIssueColumn] || '').trim() !== 'Y')
+        .map(cells => cells[column]);
+}
+
+// Extract raw symbols from JSON: an array of strings, an array of objects with
+// ticker/symbol keys, or an export object with a `tickers` array (active_tickers.json)
+function parseJSON(content) {
+    const data = JSON.parse(content);
+    const list = Array.isArray(data) ? data : (data.tickers || data.symbols || []);
+
+    return list.map(item => (typeof item === 'string' ? item : (item.ticker || item.symbol)));
+}
+
+// Read one seed file and return its normalized, de-duplicated symbols
+function readSymbolFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    const rawSymbols = extension === '.json' ? parseJSON(content) : parseDelimited(content);
+
+    const symbols = new Set();
+    let invalid = 0;
+
+    rawSymbols.forEach((raw) => {
+        const symbol = normalizeSymbol(raw);
+        if (symbol) {
+            symbols.add(symbol);
+        } else {
+            invalid++;
+        }
+    });
+
+    return {
+        symbols: [...symbols],
+        read: rawSymbols.length,
+        invalid,
+        duplicates: rawSymbols.length - invalid - symbols.size
+    };
+}
+
+// Source label stored in tickers.source for symbols imported from a file
+function seedSource(filePath) {
+    return `seed:${path.basename(filePath)}`;
+}
+
+module.exports = {
+    normalizeSymbol,
+    readSymbolFile,
+    seedSource
+};
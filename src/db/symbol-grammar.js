@@ -0,0 +1,76 @@
+const fs = require('fs');
+
+// Default symbol grammar.
+// - alphabet: characters used for brute-force base symbols
+// - separators: default separators placed between a base symbol and its suffix
+// - variants: suffix sets that turn a base symbol into class/unit/warrant/preferred
+//   listings, e.g. BRK + '-' + 'B' => BRK-B. A variant may override the separators.
+const DEFAULT_GRAMMAR = {
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    separators: ['-', '.'],
+    variants: [
+        { type: 'class', suffixes: ['A', 'B', 'C'] },
+        { type: 'unit', suffixes: ['U', 'UN'] },
+        { type: 'warrant', suffixes: ['W', 'WS', 'WT'] },
+        { type: 'right', suffixes: ['R', 'RT'] },
+        { type: 'preferred', separators: ['-'], suffixes: ['P', 'PA', 'PB', 'PC', 'PD', 'PE', 'PF', 'PG', 'PH', 'PI', 'PJ', 'PK'] }
+    ]
+};
+
+// Load a grammar from a JSON file, falling back to the defaults for missing keys
+function loadGrammar(grammarPath = null) {
+    if (!grammarPath) {
+        return DEFAULT_GRAMMAR;
+    }
+
+    const custom = JSON.parse(fs.readFileSync(grammarPath, 'utf8'));
+    const grammar = {
+        alphabet: custom.alphabet || DEFAULT_GRAMMAR.alphabet,
+        separators: custom.separators || DEFAULT_GRAMMAR.separators,
+        variants: custom.variants || DEFAULT_GRAMMAR.variants
+    };
+
+    if (typeof grammar.alphabet !== 'string' || grammar.alphabet.length === 0) {
+        throw new Error(`Invalid grammar in ${grammarPath}: alphabet must be a non-empty string`);
+    }
+    grammar.variants.forEach((variant) => {
+        if (!variant.type || !Array.isArray(variant.suffixes)) {
+            throw new Error(`Invalid grammar in ${grammarPath}: every variant needs a type and a suffixes array`);
+        }
+    });
+
+    return grammar;
+}
+
+// Yield every class/unit/warrant/preferred variant of a base symbol as
+// { ticker, base_ticker, variant_type } rows ready for insertion
+function* expandVariants(baseTicker, grammar = DEFAULT_GRAMMAR) {
+    for (const variant of grammar.variants) {
+        const separators = variant.separators || grammar.separators;
+
+        for (const separator of separators) {
+            for (const suffix of variant.suffixes) {
+                yield {
+                    ticker: `${baseTicker}${separator}${suffix}`,
+                    base_ticker: baseTicker,
+                    variant_type: variant.type
+                };
+            }
+        }
+    }
+}
+
+// Number of variants expandVariants() yields per base symbol
+function countVariants(grammar = DEFAULT_GRAMMAR) {
+    return grammar.variants.reduce((total, variant) => {
+        const separators = variant.separators || grammar.separators;
+        return total + separators.length * variant.suffixes.length;
+    }, 0);
+}
+
+module.exports = {
+    DEFAULT_GRAMMAR,
+    loadGrammar,
+    expandVariants,
+    countVariants
+};
@@ -0,0 +1,97 @@
+// Symbol aliases in tickers.db. When Yahoo answers a requested symbol with data for a
+// different canonical symbol (BRKB -> BRK-B, or a renamed company's old symbol), the pair
+// is recorded here so exports can show one row per real instrument.
+
+// WHERE fragment dropping rows that are known aliases of another symbol.
+// `schema` names an attached database (e.g. 'validation') when querying across databases.
+function aliasExcludeSql(column = 'ticker', schema = '') {
+    const table = schema ? `${schema}.ticker_aliases` : 'ticker_aliases';
+    return `${column} NOT IN (SELECT alias FROM ${table})`;
+}
+
+// SELECT expression listing a tickers row's aliases as a comma separated string (or NULL)
+const ALIAS_LIST_SQL = "(SELECT GROUP_CONCAT(alias, ',') FROM ticker_aliases WHERE ticker_aliases.canonical = tickers.ticker) AS aliases";
+
+// True when a response for `requested` came back under a different symbol
+function isAlias(requested, canonical) {
+    return Boolean(canonical) && canonical.toUpperCase() !== requested.toUpperCase();
+}
+
+class TickerAliasStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Create the ticker_aliases table if needed
+    async initTable() {
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS ticker_aliases (
+                    alias TEXT PRIMARY KEY,
+                    canonical TEXT NOT NULL,
+                    source TEXT DEFAULT NULL,
+                    first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_seen DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.db.run('CREATE INDEX IF NOT EXISTS idx_ticker_aliases_canonical ON ticker_aliases (canonical)', (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    // Record { alias, canonical } pairs seen by `source` (the script name).
+    // A later answer for the same alias replaces its canonical symbol.
+    async recordAliases(pairs, source) {
+        if (pairs.length === 0) {
+            return 0;
+        }
+
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO ticker_aliases (alias, canonical, source)
+                VALUES (?, ?, ?)
+                ON CONFLICT(alias) DO UPDATE SET
+                    canonical = excluded.canonical,
+                    source = excluded.source,
+                    last_seen = CURRENT_TIMESTAMP
+            `;
+            let firstError = null;
+
+            this.db.serialize(() => {
+                const stmt = this.db.prepare(query);
+                pairs.forEach(({ alias, canonical }) => {
+                    stmt.run([alias, canonical, source], (err) => {
+                        firstError = firstError || err;
+                    });
+                });
+                stmt.finalize((err) => {
+                    if (firstError || err) reject(firstError || err);
+                    else resolve(pairs.length);
+                });
+            });
+        });
+    }
+
+    // All alias pairs, grouped by canonical symbol
+    async listAliases() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT alias, canonical, source, first_seen, last_seen FROM ticker_aliases ORDER BY canonical, alias', (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+}
+
+module.exports = TickerAliasStore;
+module.exports.ALIAS_LIST_SQL = ALIAS_LIST_SQL;
+module.exports.aliasExcludeSql = aliasExcludeSql;
+module.exports.isAlias = isAlias;
@@ -0,0 +1,106 @@
+// Shared WHERE-clause builder for selecting subsets of the tickers table.
+// Used by the validators (which rows to probe) and the exporters (which rows to write).
+
+const { DEFAULT_INSTRUMENT_CLASS } = require('./universes');
+
+// Bare symbols without an exchange suffix are US listings
+const DEFAULT_COUNTRY = 'US';
+
+// Split a comma separated command line value into a clean list
+function parseList(value) {
+    if (!value) {
+        return [];
+    }
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Read the standard filter flags from command line arguments
+function parseTickerFilterArgs(args) {
+    const valueOf = (flag) => {
+        const index = args.indexOf(flag);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    return {
+        countries: parseList(valueOf('--country')).map(country => country.toUpperCase()),
+        suffixes: parseList(valueOf('--suffix')).map(suffix => (suffix.startsWith('.') ? suffix : `.${suffix}`).toUpperCase()),
+        instrumentClasses: parseList(valueOf('--instrument-class')).map(value => value.toUpperCase()),
+        excludeClasses: parseList(valueOf('--exclude-class')).map(value => value.toUpperCase()),
+        // Chart metadata stored by validation
+        instrumentTypes: parseList(valueOf('--instrument-type')).map(value => value.toUpperCase()),
+        maxQuoteAgeDays: valueOf('--max-quote-age') ? parseFloat(valueOf('--max-quote-age')) : null
+    };
+}
+
+// Build an SQL fragment (without the leading AND) plus its parameters.
+// Returns { clause: '', params: [] } when no filter is set.
+function buildTickerFilter(filters = {}, tableAlias = '') {
+    const column = (name) => (tableAlias ? `${tableAlias}.${name}` : name);
+    const conditions = [];
+    const params = [];
+
+    if (filters.countries && filters.countries.length > 0) {
+        conditions.push(`COALESCE(${column('country')}, '${DEFAULT_COUNTRY}') IN (${filters.countries.map(() => '?').join(',')})`);
+        params.push(...filters.countries);
+    }
+
+    if (filters.suffixes && filters.suffixes.length > 0) {
+        conditions.push(`${column('exchange_suffix')} IN (${filters.suffixes.map(() => '?').join(',')})`);
+        params.push(...filters.suffixes);
+    }
+
+    if (filters.instrumentClasses && filters.instrumentClasses.length > 0) {
+        conditions.push(`COALESCE(${column('instrument_class')}, '${DEFAULT_INSTRUMENT_CLASS}') IN (${filters.instrumentClasses.map(() => '?').join(',')})`);
+        params.push(...filters.instrumentClasses);
+    }
+
+    if (filters.excludeClasses && filters.excludeClasses.length > 0) {
+        conditions.push(`COALESCE(${column('instrument_class')}, '${DEFAULT_INSTRUMENT_CLASS}') NOT IN (${filters.excludeClasses.map(() => '?').join(',')})`);
+        params.push(...filters.excludeClasses);
+    }
+
+    if (filters.instrumentTypes && filters.instrumentTypes.length > 0) {
+        conditions.push(`${column('instrument_type')} IN (${filters.instrumentTypes.map(() => '?').join(',')})`);
+        params.push(...filters.instrumentTypes);
+    }
+
+    // Only symbols whose last regular market trade is recent enough
+    if (filters.maxQuoteAgeDays) {
+        conditions.push(`${column('regular_market_time')} >= datetime('now', ?)`);
+        params.push(`-${filters.maxQuoteAgeDays} days`);
+    }
+
+    return { clause: conditions.join(' AND '), params };
+}
+
+// Human readable description of active filters for progress output
+function describeTickerFilter(filters = {}) {
+    const parts = [];
+    if (filters.countries && filters.countries.length > 0) {
+        parts.push(`country ${filters.countries.join(', ')}`);
+    }
+    if (filters.suffixes && filters.suffixes.length > 0) {
+        parts.push(`suffix ${filters.suffixes.join(', ')}`);
+    }
+    if (filters.instrumentClasses && filters.instrumentClasses.length > 0) {
+        parts.push(`class ${filters.instrumentClasses.join(', ')}`);
+    }
+    if (filters.excludeClasses && filters.excludeClasses.length > 0) {
+        parts.push(`excluding ${filters.excludeClasses.join(', ')}`);
+    }
+    if (filters.instrumentTypes && filters.instrumentTypes.length > 0) {
+        parts.push(`type ${filters.instrumentTypes.join(', ')}`);
+    }
+    if (filters.maxQuoteAgeDays) {
+        parts.push(`quoted within ${filters.maxQuoteAgeDays} days`);
+    }
+    return parts.join('; ');
+}
+
+module.exports = {
+    DEFAULT_COUNTRY,
+    parseList,
+    parseTickerFilterArgs,
+    buildTickerFilter,
+    describeTickerFilter
+};
@@ -0,0 +1,146 @@
+// Append-only log of ticker status changes in tickers.db.
+// Triggers on the tickers table write a ticker_status_history row whenever a write flips
+// `active` or moves an active ticker to another exchange, so every validator (and anything
+// else that updates tickers) is covered without each one having to read the old row first.
+// The first check of a never-checked candidate (OLD.price IS NULL) that finds it active is
+// DISCOVERED rather than LISTED: the symbol may have traded for years before we generated it.
+
+const { buildTickerFilter } = require('./ticker-filters');
+
+const STATUS_EVENTS = {
+    DISCOVERED: 'DISCOVERED', // Active on its first check
+    LISTED: 'LISTED', // Active after checks that found it inactive
+    RELISTED: 'RELISTED', // Active again after an earlier delisting
+    DELISTED: 'DELISTED', // Was active, now inactive
+    EXCHANGE_CHANGED: 'EXCHANGE_CHANGED' // Still active, different exchange
+};
+
+// Event name for a change from OLD to NEW inside a trigger
+const EVENT_SQL = `
+    CASE
+        WHEN COALESCE(NEW.active, 0) = 1 AND COALESCE(OLD.active, 0) = 0 THEN
+            CASE WHEN OLD.price IS NULL THEN '${STATUS_EVENTS.DISCOVERED}'
+                WHEN EXISTS (SELECT 1 FROM ticker_status_history WHERE ticker = NEW.ticker AND event = '${STATUS_EVENTS.DELISTED}')
+                THEN '${STATUS_EVENTS.RELISTED}' ELSE '${STATUS_EVENTS.LISTED}' END
+        WHEN COALESCE(NEW.active, 0) = 0 THEN '${STATUS_EVENTS.DELISTED}'
+        ELSE '${STATUS_EVENTS.EXCHANGE_CHANGED}'
+    END
+`;
+
+const HISTORY_STATEMENTS = [
+    `CREATE TABLE IF NOT EXISTS ticker_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticker TEXT NOT NULL,
+        event TEXT NOT NULL,
+        previous_active BOOLEAN,
+        active BOOLEAN,
+        previous_exchange TEXT,
+        exchange TEXT,
+        previous_price REAL,
+        price REAL,
+        validation_status TEXT,
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_status_history_changed_at ON ticker_status_history (changed_at, event)',
+    'CREATE INDEX IF NOT EXISTS idx_status_history_ticker ON ticker_status_history (ticker, changed_at)',
+    // Triggers are recreated so databases created by older versions pick up the current bodies
+    'DROP TRIGGER IF EXISTS trg_tickers_status_update',
+    'DROP TRIGGER IF EXISTS trg_tickers_status_insert',
+    // Updates: a flip of active, or an exchange move while active on both sides
+    `CREATE TRIGGER trg_tickers_status_update
+        AFTER UPDATE OF active, exchange ON tickers
+        WHEN COALESCE(OLD.active, 0) != COALESCE(NEW.active, 0)
+            OR (OLD.active = 1 AND NEW.active = 1 AND OLD.exchange IS NOT NEW.exchange)
+    BEGIN
+        INSERT INTO ticker_status_history (ticker, event, previous_active, active, previous_exchange, exchange, previous_price, price, validation_status)
+        VALUES (NEW.ticker, ${EVENT_SQL}, OLD.active, NEW.active, OLD.exchange, NEW.exchange, OLD.price, NEW.price, NEW.validation_status);
+    END`,
+    // Rows inserted already active (e.g. canonical symbols discovered through an alias)
+    `CREATE TRIGGER trg_tickers_status_insert
+        AFTER INSERT ON tickers
+        WHEN NEW.active = 1
+    BEGIN
+        INSERT INTO ticker_status_history (ticker, event, previous_active, active, exchange, price, validation_status)
+        VALUES (NEW.ticker, '${STATUS_EVENTS.DISCOVERED}', NULL, NEW.active, NEW.exchange, NEW.price, NEW.validation_status);
+    END`
+];
+
+// Create the history table, its indexes and the triggers that fill it
+async function initStatusHistory(db) {
+    for (const statement of HISTORY_STATEMENTS) {
+        await new Promise((resolve, reject) => {
+            db.run(statement, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+}
+
+// Relabel first checks that older versions recorded as LISTED (no previous price) as DISCOVERED.
+// A one-off migration run by initTickersTable(). Resolves with the number of events relabelled.
+async function backfillDiscoveredEvents(db) {
+    return new Promise((resolve, reject) => {
+        const query = `
+            UPDATE ticker_status_history SET event = '${STATUS_EVENTS.DISCOVERED}'
+            WHERE event = '${STATUS_EVENTS.LISTED}' AND previous_price IS NULL
+        `;
+
+        db.run(query, function(err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+        });
+    });
+}
+
+// Status change events between `from` (inclusive) and `to` (exclusive), oldest first.
+// `events` limits the event types; `filters` are the standard ticker filters.
+async function getStatusEvents(db, { from, to, events = [], filters = {} } = {}) {
+    const conditions = ['h.changed_at >= ?', 'h.changed_at < ?'];
+    const params = [from, to];
+
+    if (events.length > 0) {
+        conditions.push(`h.event IN (${events.map(() => '?').join(',')})`);
+        params.push(...events);
+    }
+
+    const filter = buildTickerFilter(filters, 't');
+    if (filter.clause) {
+        conditions.push(filter.clause);
+        params.push(...filter.params);
+    }
+
+    return new Promise((resolve, reject) => {
+        const query = `
+            SELECT h.ticker, h.event, h.previous_active, h.active, h.previous_exchange, h.exchange,
+                   h.previous_price, h.price, h.validation_status, h.changed_at
+            FROM ticker_status_history h
+            LEFT JOIN tickers t ON t.ticker = h.ticker
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY h.changed_at, h.id
+        `;
+
+        db.all(query, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+// Every recorded change for one ticker, oldest first
+async function getTickerHistory(db, ticker) {
+    return new Promise((resolve, reject) => {
+        db.all('SELECT * FROM ticker_status_history WHERE ticker = ? ORDER BY changed_at, id', [ticker], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+module.exports = {
+    STATUS_EVENTS,
+    initStatusHistory,
+    backfillDiscoveredEvents,
+    getStatusEvents,
+    getTickerHistory
+};
@@ -0,0 +1,21 @@
+// Crypto pairs: each seed asset against each quote currency (BTC-USD, ETH-EUR)
+module.exports = {
+    name: 'crypto',
+    instrumentClass: 'CRYPTO',
+    description: 'Crypto pairs (BTC-USD)',
+
+    *generate(seeds) {
+        for (const asset of seeds.cryptoAssets || []) {
+            for (const quote of seeds.cryptoQuoteCurrencies || []) {
+                if (asset !== quote) {
+                    yield `${asset}-${quote}`.toUpperCase();
+                }
+            }
+        }
+    },
+
+    count(seeds) {
+        const quotes = seeds.cryptoQuoteCurrencies || [];
+        return (seeds.cryptoAssets || []).reduce((total, asset) => total + quotes.filter(quote => quote !== asset).length, 0);
+    }
+};
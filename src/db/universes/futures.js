@@ -0,0 +1,16 @@
+// Futures: Yahoo's continuous front-month contract for each seed root (ES=F, CL=F)
+module.exports = {
+    name: 'futures',
+    instrumentClass: 'FUTURE',
+    description: 'Continuous futures (ES=F)',
+
+    *generate(seeds) {
+        for (const root of seeds.futuresRoots || []) {
+            yield `${root}=F`.toUpperCase();
+        }
+    },
+
+    count(seeds) {
+        return (seeds.futuresRoots || []).length;
+    }
+};
@@ -0,0 +1,22 @@
+// FX crosses: every ordered pair of seed currencies in Yahoo's EURUSD=X form
+module.exports = {
+    name: 'fx',
+    instrumentClass: 'FX',
+    description: 'Currency crosses (EURUSD=X)',
+
+    *generate(seeds) {
+        const currencies = seeds.currencies || [];
+        for (const base of currencies) {
+            for (const quote of currencies) {
+                if (base !== quote) {
+                    yield `${base}${quote}=X`.toUpperCase();
+                }
+            }
+        }
+    },
+
+    count(seeds) {
+        const currencies = (seeds.currencies || []).length;
+        return currencies * Math.max(currencies - 1, 0);
+    }
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// Non-equity symbol families that brute-force A-ZZZZZ generation cannot reach.
+// Each module builds its symbols from the seed lists in seeds.json.
+const UNIVERSES = [
+    require('./indices'),
+    require('./fx'),
+    require('./crypto'),
+    require('./futures')
+];
+
+// Brute-force, grammar and suffix rows are equities
+const DEFAULT_INSTRUMENT_CLASS = 'EQUITY';
+
+// Load seed currency / asset lists, defaulting to the bundled seeds.json
+function loadSeeds(seedPath = null) {
+    return JSON.parse(fs.readFileSync(seedPath || path.join(__dirname, 'seeds.json'), 'utf8'));
+}
+
+// Resolve universe names (indices, fx, crypto, futures or all) to modules
+function selectUniverses(names = []) {
+    if (names.length === 0 || names.includes('all')) {
+        return UNIVERSES;
+    }
+
+    return names.map((name) => {
+        const universe = UNIVERSES.find(candidate => candidate.name === name.toLowerCase());
+        if (!universe) {
+            throw new Error(`Unknown universe: ${name} (expected ${UNIVERSES.map(u => u.name).join(', ')} or all)`);
+        }
+        return universe;
+    });
+}
+
+module.exports = {
+    UNIVERSES,
+    DEFAULT_INSTRUMENT_CLASS,
+    loadSeeds,
+    selectUniverses
+};
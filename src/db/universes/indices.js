@@ -0,0 +1,16 @@
+// Market indices: Yahoo quotes them with a caret prefix (^GSPC, ^FTSE, ^N225)
+module.exports = {
+    name: 'indices',
+    instrumentClass: 'INDEX',
+    description: 'Market indices (^GSPC)',
+
+    *generate(seeds) {
+        for (const symbol of seeds.indices || []) {
+            yield symbol.toUpperCase();
+        }
+    },
+
+    count(seeds) {
+        return (seeds.indices || []).length;
+    }
+};
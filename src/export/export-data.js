@@ -1,18 +1,99 @@
 const Database = require('sqlite3').Database;
 const fs = require('fs');
 const path = require('path');
+const { parseTickerFilterArgs, buildTickerFilter, describeTickerFilter } = require('../db/ticker-filters');
+const { aliasExcludeSql } = require('../db/ticker-aliases');
+const HistoryStore = require('../return-data/history-store');
+const CorporateActionsStore = require('../return-data/corporate-actions');
+const { buildAdjustedSeries } = require('../return-data/corporate-actions');
+const { initTickerDataSchema } = require('../return-data/ticker-data-schema');
 
 class DataExporter {
-    constructor() {
+    // `includeAliases` keeps records for symbols that are aliases of another symbol
+    constructor(filters = {}, { includeAliases = false } = {}) {
         this.dbPath = path.join(process.env.DB_PATH || '/app/output', 'ticker_data.db');
+        this.validationDbPath = path.join(process.env.DB_PATH || '/app/output', 'tickers.db');
         this.db = new Database(this.dbPath);
         this.outputDir = process.env.OUTPUT_PATH || '/app/output';
+        this.filters = filters; // Optional country / exchange suffix filters
+        this.includeAliases = includeAliases;
+        this.hasAliases = false; // Set once the validation database is attached and has a ticker_aliases table
+        this.history = new HistoryStore(this.db);
+        this.corporateActions = new CorporateActionsStore(this.db);
+    }
+
+    // Bring a database written by an older return-data.js up to date (normalized tables, daily bars)
+    async initSchema() {
+        await initTickerDataSchema(this.db);
+    }
+
+    // A ticker_data row as exported: its stored daily bars as data.historical (with the as-traded
+    // close and total-return index of each day) and its dividends and splits as data.corporateActions
+    async toExportRecord(row) {
+        const data = JSON.parse(row.json_data);
+        if (!data.historical) {
+            const events = await this.corporateActions.getEvents(row.ticker);
+            data.historical = buildAdjustedSeries(await this.history.getBars(row.ticker), events.dividends, events.splits);
+            data.corporateActions = events;
+        }
+        return {
+            ticker: row.ticker,
+            lastUpdated: row.last_updated,
+            createdAt: row.created_at,
+            data
+        };
+    }
+
+    // Attach the validation database so records can be filtered by market columns and aliases dropped.
+    // Without it aliases cannot be dropped and filters cannot be applied, so filtering fails
+    // (ATTACH would otherwise create an empty database in its place).
+    async attachValidationDb() {
+        if (!fs.existsSync(this.validationDbPath)) {
+            if (buildTickerFilter(this.filters).clause) {
+                throw new Error(`Ticker filters need the validation database, but ${this.validationDbPath} does not exist - run validation first or drop the filter`);
+            }
+            return;
+        }
+
+        await new Promise((resolve, reject) => {
+            this.db.run('ATTACH DATABASE ? AS validation', [this.validationDbPath], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        this.hasAliases = await new Promise((resolve, reject) => {
+            this.db.get("SELECT name FROM validation.sqlite_master WHERE type = 'table' AND name = 'ticker_aliases'", (err, row) => {
+                if (err) reject(err);
+                else resolve(Boolean(row));
+            });
+        });
+    }
+
+    // WHERE clause restricting ticker_data rows to the configured filters and to canonical symbols
+    filterSql() {
+        const { clause, params } = buildTickerFilter(this.filters);
+        const conditions = [];
+        if (clause) {
+            conditions.push(`ticker IN (SELECT ticker FROM validation.tickers WHERE ${clause})`);
+        }
+        if (this.hasAliases && !this.includeAliases) {
+            conditions.push(aliasExcludeSql('ticker', 'validation'));
+        }
+        if (conditions.length === 0) {
+            return { sql: '', params: [] };
+        }
+        return {
+            sql: `WHERE ${conditions.join(' AND ')}`,
+            params
+        };
     }
 
     async getAllTickerData() {
         return new Promise((resolve, reject) => {
             // First check how many records we have
-            this.db.get('SELECT COUNT(*) as count FROM ticker_data', (err, countRow) => {
+            const filter = this.filterSql();
+            this.db.get(`SELECT COUNT(*) as count FROM ticker_data ${filter.sql}`, filter.params, (err, countRow) => {
                 if (err) {
                     reject(err);
                     return;
@@ -29,8 +110,8 @@ class DataExporter {
                 }
                 
                 // Safe to load into memory
-                const sql = 'SELECT * FROM ticker_data ORDER BY ticker ASC';
-                this.db.all(sql, (err, rows) => {
+                const sql = `SELECT * FROM ticker_data ${filter.sql} ORDER BY ticker ASC`;
+                this.db.all(sql, filter.params, (err, rows) => {
                     if (err) {
                         reject(err);
                     } else {
@@ -64,18 +145,14 @@ class DataExporter {
                     version: '2.0.0',
                     description: 'Complete financial data for active tickers including quotes, historical data, and company summaries'
                 },
-                tickers: rawData.map((row, index) => {
-                    if (index % 1000 === 0) {
-                        console.log(`📈 Processing record ${index + 1}/${rawData.length}...`);
-                    }
-                    return {
-                        ticker: row.ticker,
-                        lastUpdated: row.last_updated,
-                        createdAt: row.created_at,
-                        data: JSON.parse(row.json_data)
-                    };
-                })
+                tickers: []
             };
+            for (let index = 0; index < rawData.length; index++) {
+                if (index % 1000 === 0) {
+                    console.log(`📈 Processing record ${index + 1}/${rawData.length}...`);
+                }
+                exportData.tickers.push(await this.toExportRecord(rawData[index]));
+            }
             
             // Ensure output directory exists
             if (!fs.existsSync(this.outputDir)) {
@@ -109,8 +186,9 @@ class DataExporter {
             console.log('🚀 Starting streaming JSON export directly from database...');
             
             // Get total count for progress tracking
+            const filter = this.filterSql();
             const totalCount = await new Promise((resolve, reject) => {
-                this.db.get('SELECT COUNT(*) as count FROM ticker_data', (err, row) => {
+                this.db.get(`SELECT COUNT(*) as count FROM ticker_data ${filter.sql}`, filter.params, (err, row) => {
                     if (err) reject(err);
                     else resolve(row.count);
                 });
@@ -166,8 +244,8 @@ class DataExporter {
             
             for (let offset = 0; offset < totalCount; offset += chunkSize) {
                 const chunk = await new Promise((resolve, reject) => {
-                    const sql = 'SELECT * FROM ticker_data ORDER BY ticker ASC LIMIT ? OFFSET ?';
-                    this.db.all(sql, [chunkSize, offset], (err, rows) => {
+                    const sql = `SELECT * FROM ticker_data ${filter.sql} ORDER BY ticker ASC LIMIT ? OFFSET ?`;
+                    this.db.all(sql, [...filter.params, chunkSize, offset], (err, rows) => {
                         if (err) reject(err);
                         else resolve(rows);
                     });
@@ -178,12 +256,7 @@ class DataExporter {
                     const isLast = processedCount === totalCount - 1;
                     
                     try {
-                        const tickerData = {
-                            ticker: row.ticker,
-                            lastUpdated: row.last_updated,
-                            createdAt: row.created_at,
-                            data: JSON.parse(row.json_data)
-                        };
+                        const tickerData = await this.toExportRecord(row);
                         
                         const jsonString = JSON.stringify(tickerData, null, 4).split('\n').join('\n    ');
                         await writeToStream(`    ${jsonString}${isLast ? '' : ','}\n`);
@@ -290,12 +363,7 @@ class DataExporter {
                     const isLast = globalIndex === rawData.length - 1;
                     
                     try {
-                        const tickerData = {
-                            ticker: row.ticker,
-                            lastUpdated: row.last_updated,
-                            createdAt: row.created_at,
-                            data: JSON.parse(row.json_data)
-                        };
+                        const tickerData = await this.toExportRecord(row);
                         
                         const jsonString = JSON.stringify(tickerData, null, 4).split('\n').join('\n    ');
                         await writeToStream(`    ${jsonString}${isLast ? '' : ','}\n`);
@@ -389,7 +457,11 @@ class DataExporter {
                 'historical_data_points',
                 'price_change_percent',
                 'average_close_historical',
-                'data_fetch_success'
+                'data_fetch_success',
+                'total_return_percent',
+                'dividend_count',
+                'trailing_year_dividends',
+                'last_split'
             ].join(',');
             
             // Process each ticker's data for CSV
@@ -403,6 +475,7 @@ class DataExporter {
                     const quote = data.quote || {};
                     const summary = data.summary || {};
                     const stats = data.statistics?.historicalStats || {};
+                    const corporateActions = data.statistics?.corporateActions || {};
                     
                     // Extract key financial metrics
                     return [
@@ -425,7 +498,11 @@ class DataExporter {
                         stats.totalDays || 0,
                         `"${stats.priceChange || 'N/A'}"`,
                         stats.averageClose || 'N/A',
-                        data.metadata.error ? 'false' : 'true'
+                        data.metadata.error ? 'false' : 'true',
+                        `"${stats.totalReturn || 'N/A'}"`,
+                        corporateActions.dividendCount || 0,
+                        corporateActions.trailingYearDividends ?? 'N/A',
+                        `"${corporateActions.lastSplit || 'N/A'}"`
                     ].join(',');
                 } catch (parseError) {
                     // Handle corrupted data
@@ -434,7 +511,7 @@ class DataExporter {
                         `"${row.ticker}"`,
                         `"${row.last_updated}"`,
                         `"${row.created_at}"`,
-                        ...Array(17).fill('ERROR')
+                        ...Array(21).fill('ERROR')
                     ].join(',');
                 }
             });
@@ -484,7 +561,11 @@ class DataExporter {
             'historical_data_points',
             'price_change_percent',
             'average_close_historical',
-            'data_fetch_success'
+            'data_fetch_success',
+            'total_return_percent',
+            'dividend_count',
+            'trailing_year_dividends',
+            'last_split'
         ].join(',');
         
         writeStream.write(csvHeaders + '\n');
@@ -500,6 +581,7 @@ class DataExporter {
                     const quote = data.quote || {};
                     const summary = data.summary || {};
                     const stats = data.statistics?.historicalStats || {};
+                    const corporateActions = data.statistics?.corporateActions || {};
                     
                     const csvRow = [
                         `"${row.ticker}"`,
@@ -521,7 +603,11 @@ class DataExporter {
                         stats.totalDays || 0,
                         `"${stats.priceChange || 'N/A'}"`,
                         stats.averageClose || 'N/A',
-                        data.metadata.error ? 'false' : 'true'
+                        data.metadata.error ? 'false' : 'true',
+                        `"${stats.totalReturn || 'N/A'}"`,
+                        corporateActions.dividendCount || 0,
+                        corporateActions.trailingYearDividends ?? 'N/A',
+                        `"${corporateActions.lastSplit || 'N/A'}"`
                     ].join(',');
                     
                     writeStream.write(csvRow + '\n');
@@ -532,7 +618,7 @@ class DataExporter {
                         `"${row.ticker}"`,
                         `"${row.last_updated}"`,
                         `"${row.created_at}"`,
-                        ...Array(17).fill('ERROR')
+                        ...Array(21).fill('ERROR')
                     ].join(',');
                     writeStream.write(errorRow + '\n');
                 }
@@ -571,8 +657,9 @@ class DataExporter {
             console.log('🚀 Starting streaming CSV export directly from database...');
             
             // Get total count for progress tracking
+            const filter = this.filterSql();
             const totalCount = await new Promise((resolve, reject) => {
-                this.db.get('SELECT COUNT(*) as count FROM ticker_data', (err, row) => {
+                this.db.get(`SELECT COUNT(*) as count FROM ticker_data ${filter.sql}`, filter.params, (err, row) => {
                     if (err) reject(err);
                     else resolve(row.count);
                 });
@@ -629,7 +716,11 @@ class DataExporter {
                 'historical_data_points',
                 'price_change_percent',
                 'average_close_historical',
-                'data_fetch_success'
+                'data_fetch_success',
+                'total_return_percent',
+                'dividend_count',
+                'trailing_year_dividends',
+                'last_split'
             ].join(',');
             
             await writeToStream(csvHeaders + '\n');
@@ -641,8 +732,8 @@ class DataExporter {
             
             for (let offset = 0; offset < totalCount; offset += chunkSize) {
                 const chunk = await new Promise((resolve, reject) => {
-                    const sql = 'SELECT * FROM ticker_data ORDER BY ticker ASC LIMIT ? OFFSET ?';
-                    this.db.all(sql, [chunkSize, offset], (err, rows) => {
+                    const sql = `SELECT * FROM ticker_data ${filter.sql} ORDER BY ticker ASC LIMIT ? OFFSET ?`;
+                    this.db.all(sql, [...filter.params, chunkSize, offset], (err, rows) => {
                         if (err) reject(err);
                         else resolve(rows);
                     });
@@ -656,6 +747,7 @@ class DataExporter {
                         const quote = data.quote || {};
                         const summary = data.summary || {};
                         const stats = data.statistics?.historicalStats || {};
+                        const corporateActions = data.statistics?.corporateActions || {};
                         
                         // Extract key financial metrics
                         const csvRow = [
@@ -678,7 +770,11 @@ class DataExporter {
                             stats.totalDays || '',
                             stats.priceChange || '',
                             stats.averageClose || '',
-                            data.metadata?.error ? 'false' : 'true'
+                            data.metadata?.error ? 'false' : 'true',
+                            stats.totalReturn || '',
+                            corporateActions.dividendCount || '',
+                            corporateActions.trailingYearDividends ?? '',
+                            `"${corporateActions.lastSplit || ''}"`
                         ].join(',');
                         
                         await writeToStream(csvRow + '\n');
@@ -720,19 +816,82 @@ class DataExporter {
         }
     }
 
+    // DIVIDENDS.csv and SPLITS.csv: every stored event of the exported tickers, one row each,
+    // read in pages so large histories never sit in memory. Resolves with the file paths.
+    async exportCorporateActions() {
+        const eventExports = [
+            { file: 'DIVIDENDS.csv', table: 'dividends', columns: ['ticker', 'date', 'amount'] },
+            { file: 'SPLITS.csv', table: 'splits', columns: ['ticker', 'date', 'numerator', 'denominator', 'ratio'] }
+        ];
+        const pageSize = 5000;
+        const filter = this.filterSql();
+
+        if (!fs.existsSync(this.outputDir)) {
+            fs.mkdirSync(this.outputDir, { recursive: true });
+        }
+
+        const paths = [];
+        for (const { file, table, columns } of eventExports) {
+            console.log(`📊 Exporting corporate actions to ${file}...`);
+            const csvPath = path.join(this.outputDir, file);
+            const writeStream = fs.createWriteStream(csvPath, { encoding: 'utf8' });
+            const writeToStream = data => new Promise((resolve, reject) => {
+                if (writeStream.write(data)) {
+                    resolve();
+                } else {
+                    writeStream.once('drain', resolve);
+                    writeStream.once('error', reject);
+                }
+            });
+
+            await writeToStream(columns.join(',') + '\n');
+            let after = ['', ''];
+            let exported = 0;
+            while (true) {
+                const rows = await new Promise((resolve, reject) => {
+                    const sql = `
+                        SELECT ${columns.join(', ')} FROM ${table}
+                        ${filter.sql ? `${filter.sql} AND` : 'WHERE'} (ticker, date) > (?, ?)
+                        ORDER BY ticker, date LIMIT ?
+                    `;
+                    this.db.all(sql, [...filter.params, ...after, pageSize], (err, result) => {
+                        if (err) reject(err);
+                        else resolve(result);
+                    });
+                });
+                if (rows.length === 0) {
+                    break;
+                }
+                const lines = rows.map(row => columns.map(column => (typeof row[column] === 'string' ? `"${row[column]}"` : row[column])).join(','));
+                await writeToStream(lines.join('\n') + '\n');
+                exported += rows.length;
+                after = [rows[rows.length - 1].ticker, rows[rows.length - 1].date];
+            }
+
+            await new Promise((resolve, reject) => {
+                writeStream.end(error => (error ? reject(error) : resolve()));
+            });
+            console.log(`✅ ${file} exported successfully: ${csvPath} (${exported} events)`);
+            paths.push(csvPath);
+        }
+        return paths;
+    }
+
     async getExportStats() {
         return new Promise((resolve, reject) => {
+            const filter = this.filterSql();
             const sql = `
                 SELECT 
                     COUNT(*) as total_records,
-                    COUNT(CASE WHEN json_data LIKE '%"error"%' THEN 1 END) as error_records,
-                    COUNT(CASE WHEN json_data NOT LIKE '%"error"%' THEN 1 END) as success_records,
+                    COUNT(fetch_error) as error_records,
+                    COUNT(*) - COUNT(fetch_error) as success_records,
                     MIN(created_at) as earliest_record,
                     MAX(last_updated) as latest_update
                 FROM ticker_data
+                ${filter.sql}
             `;
             
-            this.db.get(sql, (err, row) => {
+            this.db.get(sql, filter.params, (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -767,7 +926,9 @@ async function exportAllData() {
     console.log('📈 All-Tickers Data Exporter');
     console.log('============================');
     
-    const exporter = new DataExporter();
+    const args = process.argv.slice(2);
+    const filters = parseTickerFilterArgs(args);
+    const exporter = new DataExporter(filters, { includeAliases: args.includes('--include-aliases') });
     
     try {
         // Check if database exists
@@ -776,6 +937,12 @@ async function exportAllData() {
             return;
         }
         
+        if (describeTickerFilter(filters)) {
+            console.log(`🌍 Filter: ${describeTickerFilter(filters)}`);
+        }
+        await exporter.initSchema();
+        await exporter.attachValidationDb();
+        
         // Get export statistics
         const stats = await exporter.getExportStats();
         console.log('\n📊 Database Statistics:');
@@ -795,6 +962,7 @@ async function exportAllData() {
         // Export to both formats
         const jsonPath = await exporter.exportToJSON();
         const csvPath = await exporter.exportToCSV();
+        const eventPaths = await exporter.exportCorporateActions();
         
         // File size information
         const jsonStats = fs.statSync(jsonPath);
@@ -804,6 +972,9 @@ async function exportAllData() {
         console.log('📁 Output Files:');
         console.log(`   📊 DATA.json: ${(jsonStats.size / 1024 / 1024).toFixed(2)} MB`);
         console.log(`   📋 DATA.csv: ${(csvStats.size / 1024 / 1024).toFixed(2)} MB`);
+        eventPaths.forEach((eventPath) => {
+            console.log(`   📅 ${path.basename(eventPath)}: ${(fs.statSync(eventPath).size / 1024 / 1024).toFixed(2)} MB`);
+        });
         console.log(`📍 Location: ${exporter.outputDir}`);
         
         // Success summary
@@ -1,9 +1,16 @@
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
+const { initTickersTable } = require('../db/schema');
+const { DEFAULT_INSTRUMENT_CLASS } = require('../db/universes');
+const { DEFAULT_COUNTRY, parseTickerFilterArgs, buildTickerFilter, describeTickerFilter } = require('../db/ticker-filters');
+const { CHART_META_SELECT, chartMetaFields } = require('../validate/chart-meta');
+const TickerAliasStore = require('../db/ticker-aliases');
+const { ALIAS_LIST_SQL, aliasExcludeSql } = require('../db/ticker-aliases');
 
 class TickerExporter {
-    constructor() {
+    // `includeAliases` keeps rows that are aliases of another symbol instead of one row per instrument
+    constructor(filters = {}, { includeAliases = false } = {}) {
         // Use mounted volume path for database storage
         this.dbPath = path.join(process.env.DB_PATH || '/app/output', 'tickers.db');
         this.db = new sqlite3.Database(this.dbPath);
@@ -11,6 +18,10 @@ class TickerExporter {
         this.resultsPath = path.join(this.outputDir, 'results.json');
         this.activeTickersPath = path.join(this.outputDir, 'active_tickers.json');
         this.delistedTickersPath = path.join(this.outputDir, 'delisted_tickers.json');
+        this.aliasesPath = path.join(this.outputDir, 'ticker_aliases.json');
+        this.filters = filters; // Optional country / exchange suffix / instrument class filters
+        this.includeAliases = includeAliases;
+        this.aliases = new TickerAliasStore(this.db);
         
         // Ensure output directory exists
         if (!fs.existsSync(this.outputDir)) {
@@ -18,18 +29,36 @@ class TickerExporter {
         }
     }
 
+    // Make sure the tickers table has the market columns this exporter reads
+    async initDatabase() {
+        await initTickersTable(this.db);
+        await this.aliases.initTable();
+    }
+
+    // Extra WHERE conditions for the configured filters; aliases are dropped unless requested
+    filterSql() {
+        const { clause, params } = buildTickerFilter(this.filters);
+        const conditions = clause ? [clause] : [];
+        if (!this.includeAliases) {
+            conditions.push(aliasExcludeSql());
+        }
+        return { sql: conditions.map(condition => `AND ${condition}`).join(' '), params };
+    }
+
     // Get all tickers from database
     async getAllTickers() {
         return new Promise((resolve, reject) => {
+            const filter = this.filterSql();
             const query = `
-                SELECT ticker, active, price, exchange
+                SELECT ticker, active, price, exchange, exchange_suffix, market, country, instrument_class, failure_strikes, ${CHART_META_SELECT}, ${ALIAS_LIST_SQL}
                 FROM tickers
+                WHERE 1 = 1 ${filter.sql}
                 ORDER BY 
                     CASE WHEN active = 1 THEN 0 ELSE 1 END,
                     ticker
             `;
             
-            this.db.all(query, (err, rows) => {
+            this.db.all(query, filter.params, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -38,7 +67,14 @@ class TickerExporter {
                         ticker: row.ticker,
                         active: row.active === 1,
                         price: row.price,
-                        exchange: row.exchange
+                        exchange: row.exchange,
+                        exchangeSuffix: row.exchange_suffix,
+                        market: row.market,
+                        country: row.country || DEFAULT_COUNTRY,
+                        instrumentClass: row.instrument_class || DEFAULT_INSTRUMENT_CLASS,
+                        ...chartMetaFields(row),
+                        failureStrikes: row.failure_strikes || 0,
+                        aliases: row.aliases ? row.aliases.split(',') : []
                     }));
                     resolve(formattedRows);
                 }
@@ -49,14 +85,15 @@ class TickerExporter {
     // Stream active tickers in batches to avoid memory issues
     async streamActiveTickers() {
         return new Promise((resolve, reject) => {
+            const filter = this.filterSql();
             const query = `
-                SELECT ticker, price, exchange
+                SELECT ticker, price, exchange, exchange_suffix, market, country, instrument_class, failure_strikes, ${CHART_META_SELECT}, ${ALIAS_LIST_SQL}
                 FROM tickers
-                WHERE active = 1
+                WHERE active = 1 ${filter.sql}
                 ORDER BY ticker
             `;
             
-            this.db.all(query, (err, rows) => {
+            this.db.all(query, filter.params, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -64,7 +101,14 @@ class TickerExporter {
                         ticker: row.ticker,
                         active: true,
                         price: row.price,
-                        exchange: row.exchange
+                        exchange: row.exchange,
+                        exchangeSuffix: row.exchange_suffix,
+                        market: row.market,
+                        country: row.country || DEFAULT_COUNTRY,
+                        instrumentClass: row.instrument_class || DEFAULT_INSTRUMENT_CLASS,
+                        ...chartMetaFields(row),
+                        failureStrikes: row.failure_strikes || 0,
+                        aliases: row.aliases ? row.aliases.split(',') : []
                     }));
                     resolve(formattedRows);
                 }
@@ -75,14 +119,15 @@ class TickerExporter {
     // Stream delisted tickers in batches to avoid memory issues
     async streamDelistedTickers() {
         return new Promise((resolve, reject) => {
+            const filter = this.filterSql();
             const query = `
-                SELECT ticker, price, exchange
+                SELECT ticker, price, exchange, exchange_suffix, market, country, instrument_class, failure_strikes, ${CHART_META_SELECT}, ${ALIAS_LIST_SQL}
                 FROM tickers
-                WHERE active = 0
+                WHERE active = 0 ${filter.sql}
                 ORDER BY ticker
             `;
             
-            this.db.all(query, (err, rows) => {
+            this.db.all(query, filter.params, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -90,7 +135,14 @@ class TickerExporter {
                         ticker: row.ticker,
                         active: false,
                         price: row.price,
-                        exchange: row.exchange
+                        exchange: row.exchange,
+                        exchangeSuffix: row.exchange_suffix,
+                        market: row.market,
+                        country: row.country || DEFAULT_COUNTRY,
+                        instrumentClass: row.instrument_class || DEFAULT_INSTRUMENT_CLASS,
+                        ...chartMetaFields(row),
+                        failureStrikes: row.failure_strikes || 0,
+                        aliases: row.aliases ? row.aliases.split(',') : []
                     }));
                     resolve(formattedRows);
                 }
@@ -101,14 +153,15 @@ class TickerExporter {
     // Get only active tickers
     async getActiveTickers() {
         return new Promise((resolve, reject) => {
+            const filter = this.filterSql();
             const query = `
-                SELECT ticker, active, price, exchange
+                SELECT ticker, active, price, exchange, exchange_suffix, market, country, instrument_class, failure_strikes, ${CHART_META_SELECT}, ${ALIAS_LIST_SQL}
                 FROM tickers
-                WHERE active = 1
+                WHERE active = 1 ${filter.sql}
                 ORDER BY ticker
             `;
             
-            this.db.all(query, (err, rows) => {
+            this.db.all(query, filter.params, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -116,7 +169,14 @@ class TickerExporter {
                         ticker: row.ticker,
                         active: true,
                         price: row.price,
-                        exchange: row.exchange
+                        exchange: row.exchange,
+                        exchangeSuffix: row.exchange_suffix,
+                        market: row.market,
+                        country: row.country || DEFAULT_COUNTRY,
+                        instrumentClass: row.instrument_class || DEFAULT_INSTRUMENT_CLASS,
+                        ...chartMetaFields(row),
+                        failureStrikes: row.failure_strikes || 0,
+                        aliases: row.aliases ? row.aliases.split(',') : []
                     }));
                     resolve(formattedRows);
                 }
@@ -127,14 +187,15 @@ class TickerExporter {
     // Get only delisted/inactive tickers
     async getDelistedTickers() {
         return new Promise((resolve, reject) => {
+            const filter = this.filterSql();
             const query = `
-                SELECT ticker, active, price, exchange
+                SELECT ticker, active, price, exchange, exchange_suffix, market, country, instrument_class, failure_strikes, ${CHART_META_SELECT}, ${ALIAS_LIST_SQL}
                 FROM tickers
-                WHERE active = 0
+                WHERE active = 0 ${filter.sql}
                 ORDER BY ticker
             `;
             
-            this.db.all(query, (err, rows) => {
+            this.db.all(query, filter.params, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -142,7 +203,14 @@ class TickerExporter {
                         ticker: row.ticker,
                         active: false,
                         price: row.price,
-                        exchange: row.exchange
+                        exchange: row.exchange,
+                        exchangeSuffix: row.exchange_suffix,
+                        market: row.market,
+                        country: row.country || DEFAULT_COUNTRY,
+                        instrumentClass: row.instrument_class || DEFAULT_INSTRUMENT_CLASS,
+                        ...chartMetaFields(row),
+                        failureStrikes: row.failure_strikes || 0,
+                        aliases: row.aliases ? row.aliases.split(',') : []
                     }));
                     resolve(formattedRows);
                 }
@@ -153,6 +221,7 @@ class TickerExporter {
     // Get database statistics
     async getStats() {
         return new Promise((resolve, reject) => {
+            const filter = this.filterSql();
             const query = `
                 SELECT 
                     COUNT(*) as total,
@@ -161,11 +230,13 @@ class TickerExporter {
                     COUNT(CASE WHEN price IS NOT NULL THEN 1 END) as validated_count,
                     AVG(CASE WHEN active = 1 AND price IS NOT NULL THEN price END) as avg_price,
                     MIN(CASE WHEN active = 1 AND price IS NOT NULL THEN price END) as min_price,
-                    MAX(CASE WHEN active = 1 AND price IS NOT NULL THEN price END) as max_price
+                    MAX(CASE WHEN active = 1 AND price IS NOT NULL THEN price END) as max_price,
+                    SUM(CASE WHEN active = 1 AND failure_strikes > 0 THEN 1 ELSE 0 END) as struck_count
                 FROM tickers
+                WHERE 1 = 1 ${filter.sql}
             `;
             
-            this.db.get(query, (err, row) => {
+            this.db.get(query, filter.params, (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -178,18 +249,19 @@ class TickerExporter {
         // Get exchange breakdown
     async getExchangeBreakdown() {
         return new Promise((resolve, reject) => {
+            const filter = this.filterSql();
             const query = `
                 SELECT 
                     exchange,
                     COUNT(*) as count,
                     AVG(price) as avg_price
                 FROM tickers 
-                WHERE active = 1 AND exchange IS NOT NULL
+                WHERE active = 1 AND exchange IS NOT NULL ${filter.sql}
                 GROUP BY exchange
                 ORDER BY count DESC
             `;
             
-            this.db.all(query, (err, rows) => {
+            this.db.all(query, filter.params, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -213,7 +285,8 @@ class TickerExporter {
                 exportDate: new Date().toISOString(),
                 exportType: exportType,
                 version: '2.0.0',
-                description: 'All-Tickers bulk validation results'
+                description: 'All-Tickers bulk validation results',
+                filters: this.filters
             };
 
             const statistics = {
@@ -223,6 +296,7 @@ class TickerExporter {
                 validated: stats.validated_count,
                 validationRate: Math.round((stats.validated_count / stats.total) * 100) + '%',
                 activeRate: stats.active_count > 0 ? Math.round((stats.active_count / stats.validated_count) * 100) + '%' : '0%',
+                activeWithStrikes: stats.struck_count || 0, // Active but failed recent checks
                 priceStats: {
                     average: stats.avg_price ? Math.round(stats.avg_price * 100) / 100 : null,
                     minimum: stats.min_price,
@@ -267,6 +341,31 @@ class TickerExporter {
             results.created++;
             results.totalSize += fileSize;
             
+            // Alias pairs, so consumers can map any symbol they hold to the row we export
+            const aliasPairs = await this.aliases.listAliases();
+            console.log(`💾 Writing ${aliasPairs.length} alias pairs to ${this.aliasesPath}...`);
+            fs.writeFileSync(this.aliasesPath, JSON.stringify({
+                metadata: { ...metadata, exportType: 'aliases' },
+                aliases: aliasPairs.map(pair => ({
+                    alias: pair.alias,
+                    canonical: pair.canonical,
+                    source: pair.source,
+                    firstSeen: pair.first_seen,
+                    lastSeen: pair.last_seen
+                }))
+            }, null, 2));
+            
+            fileSize = fs.statSync(this.aliasesPath).size;
+            results.files.push({
+                name: 'ticker_aliases.json',
+                path: this.aliasesPath,
+                type: 'aliases',
+                tickerCount: aliasPairs.length,
+                size: fileSize
+            });
+            results.created++;
+            results.totalSize += fileSize;
+            
             // Only export delisted tickers if requested
             if (exportType === 'all' || exportType === 'delisted') {
                 // Stream export delisted tickers 
@@ -339,11 +438,17 @@ async function main() {
     console.log('📤 All-Tickers Results Exporter v2.0');
     console.log('=====================================');
     
-    const exporter = new TickerExporter();
+    // Parse command line arguments
+    const args = process.argv.slice(2);
+    const filters = parseTickerFilterArgs(args);
+    const exporter = new TickerExporter(filters, { includeAliases: args.includes('--include-aliases') });
     
     try {
-        // Parse command line arguments
-        const args = process.argv.slice(2);
+        await exporter.initDatabase();
+        if (describeTickerFilter(filters)) {
+            console.log(`🌍 Filter: ${describeTickerFilter(filters)}`);
+        }
+        
         let exportType = 'all'; // Default to exporting all files
         
         if (args.includes('--active-only')) {
@@ -415,7 +520,7 @@ async function main() {
         console.log('\n📁 Files created:');
         result.files.forEach(file => {
             const sizeKB = Math.round(file.size / 1024);
-            const typeEmoji = file.type === 'active' ? '✅' : file.type === 'delisted' ? '❌' : '📊';
+            const typeEmoji = file.type === 'active' ? '✅' : file.type === 'delisted' ? '❌' : file.type === 'aliases' ? '🔀' : '📊';
             console.log(`   ${typeEmoji} ${file.name} - ${file.tickerCount} tickers (${sizeKB} KB)`);
         });
         
@@ -432,6 +537,7 @@ async function main() {
         console.log('\n💡 Output files:');
         console.log('   • active_tickers.json - All validated active tickers');
         console.log('   • delisted_tickers.json - All inactive/delisted tickers');
+        console.log('   • ticker_aliases.json - Alias -> canonical symbol pairs (aliases are left out of the other files)');
         if (exportType === 'all' || exportType === 'complete') {
             console.log('   • results.json - Complete dataset with all tickers');
         }
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// Report ticker status changes (new listings, delistings, relistings, exchange moves) over a date range
+
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const { initTickersTable } = require('../db/schema');
+const { parseList, parseTickerFilterArgs, describeTickerFilter } = require('../db/ticker-filters');
+const { STATUS_EVENTS, getStatusEvents, getTickerHistory } = require('../db/ticker-history');
+
+const EVENT_LABELS = {
+    [STATUS_EVENTS.DISCOVERED]: '🔍 Discovered',
+    [STATUS_EVENTS.LISTED]: '🆕 New listings',
+    [STATUS_EVENTS.RELISTED]: '♻️  Relisted',
+    [STATUS_EVENTS.DELISTED]: '📉 Delisted',
+    [STATUS_EVENTS.EXCHANGE_CHANGED]: '🔀 Exchange moves'
+};
+
+// Events reported when --event is not given. First checks of generated candidates (DISCOVERED)
+// run into the thousands after a sweep and are only reported on request.
+const DEFAULT_EVENTS = Object.values(STATUS_EVENTS).filter(event => event !== STATUS_EVENTS.DISCOVERED);
+
+// YYYY-MM-DD for a Date, in UTC like the timestamps SQLite stores
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Parse --from / --to (inclusive days, default the last 7 days) into a [from, to) range
+function parseDateRange(args) {
+    const valueOf = (flag) => {
+        const index = args.indexOf(flag);
+        return index !== -1 ? args[index + 1] : null;
+    };
+
+    const to = valueOf('--to') ? new Date(`${valueOf('--to')}T00:00:00Z`) : new Date(`${toDateString(new Date())}T00:00:00Z`);
+    const from = valueOf('--from') ? new Date(`${valueOf('--from')}T00:00:00Z`) : new Date(to.getTime() - 6 * 86400000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        throw new Error('--from and --to expect YYYY-MM-DD dates');
+    }
+
+    return {
+        from: toDateString(from),
+        to: toDateString(to),
+        // Exclusive upper bound: the day after --to
+        toExclusive: toDateString(new Date(to.getTime() + 86400000))
+    };
+}
+
+// One line describing an event
+function describeEvent(row) {
+    const when = row.changed_at;
+    switch (row.event) {
+    case STATUS_EVENTS.DELISTED:
+        return `${when}  ${row.ticker} (was ${row.previous_exchange || 'unknown'} $${row.previous_price}) -> ${row.validation_status || row.exchange}`;
+    case STATUS_EVENTS.EXCHANGE_CHANGED:
+        return `${when}  ${row.ticker}: ${row.previous_exchange} -> ${row.exchange}`;
+    default:
+        return `${when}  ${row.ticker} - ${row.exchange} - $${row.price}`;
+    }
+}
+
+// Print the history of a single ticker
+async function printTickerHistory(db, ticker) {
+    const rows = await getTickerHistory(db, ticker);
+    if (rows.length === 0) {
+        console.log(`📭 No status changes recorded for ${ticker}`);
+        return;
+    }
+
+    console.log(`📜 Status history for ${ticker}:`);
+    rows.forEach(row => console.log(`   ${row.event.padEnd(16)} ${describeEvent(row)}`));
+}
+
+async function main() {
+    console.log('📜 All-Tickers Status Change Report');
+    console.log('===================================');
+
+    const args = process.argv.slice(2);
+    const db = new sqlite3.Database(path.join(process.env.DB_PATH || '/app/output', 'tickers.db'));
+
+    try {
+        await initTickersTable(db);
+
+        const tickerIndex = args.indexOf('--ticker');
+        if (tickerIndex !== -1 && args[tickerIndex + 1]) {
+            await printTickerHistory(db, args[tickerIndex + 1].toUpperCase());
+            return;
+        }
+
+        const range = parseDateRange(args);
+        const eventIndex = args.indexOf('--event');
+        const requested = eventIndex !== -1 ? parseList(args[eventIndex + 1]).map(event => event.toUpperCase()) : [];
+        const events = requested.length > 0 ? requested : DEFAULT_EVENTS;
+        const unknown = events.filter(event => !STATUS_EVENTS[event]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown event ${unknown.join(', ')} (expected ${Object.keys(STATUS_EVENTS).join(', ')})`);
+        }
+        const limitIndex = args.indexOf('--limit');
+        const limit = limitIndex !== -1 ? parseInt(args[limitIndex + 1]) || 25 : 25;
+        const filters = parseTickerFilterArgs(args);
+
+        console.log(`📅 ${range.from} to ${range.to}`);
+        if (describeTickerFilter(filters)) {
+            console.log(`🌍 Filter: ${describeTickerFilter(filters)}`);
+        }
+
+        const rows = await getStatusEvents(db, { from: range.from, to: range.toExclusive, events, filters });
+        const byEvent = {};
+        events.forEach((event) => {
+            byEvent[event] = rows.filter(row => row.event === event);
+        });
+
+        Object.entries(byEvent).forEach(([event, eventRows]) => {
+            console.log(`\n${EVENT_LABELS[event]}: ${eventRows.length}`);
+            eventRows.slice(0, limit).forEach(row => console.log(`   ${describeEvent(row)}`));
+            if (eventRows.length > limit) {
+                console.log(`   ... and ${eventRows.length - limit} more (raise --limit or use --json)`);
+            }
+        });
+
+        if (args.includes('--json')) {
+            const outputDir = process.env.OUTPUT_PATH || '/app/output';
+            if (!fs.existsSync(outputDir)) {
+                fs.mkdirSync(outputDir, { recursive: true });
+            }
+            const reportPath = path.join(outputDir, 'status_changes.json');
+            fs.writeFileSync(reportPath, JSON.stringify({
+                metadata: {
+                    exportDate: new Date().toISOString(),
+                    from: range.from,
+                    to: range.to,
+                    events,
+                    filters
+                },
+                summary: Object.fromEntries(Object.entries(byEvent).map(([event, eventRows]) => [event, eventRows.length])),
+                changes: rows.map(row => ({
+                    ticker: row.ticker,
+                    event: row.event,
+                    changedAt: row.changed_at,
+                    previousExchange: row.previous_exchange,
+                    exchange: row.exchange,
+                    previousPrice: row.previous_price,
+                    price: row.price,
+                    validationStatus: row.validation_status
+                }))
+            }, null, 2));
+            console.log(`\n💾 Report saved to ${reportPath}`);
+        }
+    } catch (error) {
+        console.error('💥 Status report failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseDateRange };
@@ -0,0 +1,178 @@
+const tls = require('tls');
+const { ProxyAgent, Agent } = require('undici');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { SocksClient } = require('socks');
+const RateController = require('./rate-controller');
+
+// One outbound route for market data requests: an HTTP(S) / SOCKS proxy, or `direct` for the
+// host's own address. Each egress paces itself with its own RateController (so a 429 on one
+// IP only slows that IP) and keeps the health counters the ProxyPool evicts it on.
+
+const DIRECT = 'direct';
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+
+// Failed requests (connection errors, 5xx) in a row before an egress is evicted
+const FAILURE_THRESHOLD = 5;
+
+// Rate-limited / blocked answers (429, 401, 403) in a row before an egress is evicted
+const BLOCK_THRESHOLD = 3;
+
+// Longest eviction; repeated evictions double the cooldown up to this
+const MAX_EVICT_MS = 6 * 60 * 60 * 1000;
+
+// Proxy URL without credentials, for logs and summaries
+function maskProxyUrl(value) {
+    if (value === DIRECT) {
+        return DIRECT;
+    }
+    const url = new URL(value);
+    return `${url.protocol}//${url.username ? '***@' : ''}${url.host}`;
+}
+
+// undici connect function tunnelling through a SOCKS proxy (undici only speaks HTTP proxies)
+function socksConnector(proxyUrl) {
+    const url = new URL(proxyUrl);
+    const proxy = {
+        host: url.hostname,
+        port: parseInt(url.port) || 1080,
+        type: url.protocol.startsWith('socks4') ? 4 : 5,
+        userId: url.username ? decodeURIComponent(url.username) : undefined,
+        password: url.password ? decodeURIComponent(url.password) : undefined
+    };
+
+    return async (options, callback) => {
+        try {
+            const https = options.protocol === 'https:';
+            const { socket } = await SocksClient.createConnection({
+                proxy,
+                command: 'connect',
+                destination: { host: options.hostname, port: parseInt(options.port) || (https ? 443 : 80) },
+                timeout: 10000
+            });
+            if (!https) {
+                callback(null, socket);
+                return;
+            }
+            const secureSocket = tls.connect({ socket, servername: options.servername || options.hostname, ALPNProtocols: ['http/1.1'] });
+            secureSocket.once('secureConnect', () => callback(null, secureSocket));
+            secureSocket.once('error', error => callback(error, null));
+        } catch (error) {
+            callback(error, null);
+        }
+    };
+}
+
+class ProxyEgress {
+    // `rateOptions` are RateController options; every egress gets the full budget they describe
+    constructor(url, rateOptions = {}) {
+        if (url !== DIRECT && !PROXY_PROTOCOLS.includes(new URL(url).protocol)) {
+            throw new Error(`Unsupported proxy URL: ${maskProxyUrl(url)} (expected ${PROXY_PROTOCOLS.join(', ')} or ${DIRECT})`);
+        }
+        this.url = url;
+        this.label = maskProxyUrl(url);
+        this.socks = url !== DIRECT && new URL(url).protocol.startsWith('socks');
+        this.controller = new RateController({ ...rateOptions, name: `${rateOptions.name || 'requests'} via ${this.label}` });
+        this.agent = null; // axios (Node http) agent, built on first use
+        this.dispatcher = null; // fetch (undici) dispatcher, built on first use
+
+        this.consecutiveFailures = 0;
+        this.consecutiveRateLimits = 0;
+        this.evictions = 0;
+        this.evictedUntil = 0;
+        this.evictionReason = null;
+        this.totals = { successes: 0, failures: 0, rateLimited: 0 };
+    }
+
+    // False while evicted
+    isAvailable(now = Date.now()) {
+        return now >= this.evictedUntil;
+    }
+
+    // Fields merged into an axios request config
+    axiosOptions() {
+        if (this.url === DIRECT) {
+            return {};
+        }
+        if (!this.agent) {
+            this.agent = this.socks ? new SocksProxyAgent(this.url) : new HttpsProxyAgent(this.url);
+        }
+        return { httpAgent: this.agent, httpsAgent: this.agent, proxy: false };
+    }
+
+    // Fields merged into yahoo-finance2's fetchOptions (Node's fetch routes through an undici dispatcher)
+    fetchOptions() {
+        if (this.url === DIRECT) {
+            return {};
+        }
+        if (!this.dispatcher) {
+            this.dispatcher = this.socks
+                ? new Agent({ connect: socksConnector(this.url) })
+                : new ProxyAgent(this.url);
+        }
+        return { dispatcher: this.dispatcher };
+    }
+
+    // Record a finished request ({ rateLimited, failed } as passed to release). Resolves to the
+    // reason this egress should be evicted, or null while it is healthy.
+    record({ rateLimited = false, failed = false } = {}) {
+        if (rateLimited) {
+            this.totals.rateLimited++;
+            this.consecutiveRateLimits++;
+            this.consecutiveFailures = 0;
+        } else if (failed) {
+            this.totals.failures++;
+            this.consecutiveFailures++;
+            this.consecutiveRateLimits = 0;
+        } else {
+            this.totals.successes++;
+            this.consecutiveFailures = 0;
+            this.consecutiveRateLimits = 0;
+        }
+
+        if (this.consecutiveRateLimits >= BLOCK_THRESHOLD) {
+            return `blocked (${this.consecutiveRateLimits} rate-limited answers in a row)`;
+        }
+        if (this.consecutiveFailures >= FAILURE_THRESHOLD) {
+            return `unhealthy (${this.consecutiveFailures} failed requests in a row)`;
+        }
+        return null;
+    }
+
+    // Take the egress out of rotation; each eviction doubles the cooldown
+    evict(reason, cooldownMs) {
+        this.evictions++;
+        this.evictionReason = reason;
+        this.evictedUntil = Date.now() + Math.min(MAX_EVICT_MS, cooldownMs * Math.pow(2, this.evictions - 1));
+        this.consecutiveFailures = 0;
+        this.consecutiveRateLimits = 0;
+        return this.evictedUntil - Date.now();
+    }
+
+    // Per-egress numbers for summaries
+    stats() {
+        return {
+            proxy: this.label,
+            available: this.isAvailable(),
+            evictions: this.evictions,
+            evictionReason: this.evictionReason,
+            ...this.totals,
+            ...this.controller.stats()
+        };
+    }
+
+    // Drop pooled connections
+    close() {
+        if (this.agent) {
+            this.agent.destroy();
+        }
+        if (this.dispatcher) {
+            this.dispatcher.close().catch(() => {});
+        }
+    }
+}
+
+module.exports = ProxyEgress;
+module.exports.DIRECT = DIRECT;
+module.exports.maskProxyUrl = maskProxyUrl;
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const RateController = require('./rate-controller');
+const { isRateLimitError, parseRetryAfter } = require('./rate-controller');
+const ProxyEgress = require('./proxy-egress');
+
+// Outbound proxy pool for market data requests.
+// PROXY_URLS / PROXY_LIST_FILE list HTTP(S) or SOCKS proxies (plus `direct` for the host's own
+// address). Every proxy is an egress with its own adaptive rate budget, so throughput grows with
+// the pool instead of being capped by one IP. Requests go to the least busy available egress;
+// one that keeps getting rate limited or keeps failing is evicted for a cooldown and then
+// rejoins. The pool has the RateController interface, so callers pace with it unchanged.
+
+// Minutes an evicted proxy sits out (doubled on each repeat eviction)
+const DEFAULT_EVICT_MINUTES = 15;
+
+// Proxy URLs from PROXY_URLS (comma / whitespace separated) and PROXY_LIST_FILE (one per line,
+// # comments). Empty when neither is set.
+function loadProxyUrls(env = process.env) {
+    const entries = (env.PROXY_URLS || '').split(/[\s,]+/);
+    if (env.PROXY_LIST_FILE) {
+        fs.readFileSync(env.PROXY_LIST_FILE, 'utf8').split('\n').forEach((line) => {
+            entries.push(line.replace(/#.*/, ''));
+        });
+    }
+    return [...new Set(entries.map(entry => entry.trim()).filter(Boolean))];
+}
+
+class ProxyPool {
+    // `rateOptions` are the RateController options each proxy gets; PROXY_MAX_RATE caps every
+    // proxy's requests per second
+    constructor(urls, rateOptions = {}, { evictMinutes = parseFloat(process.env.PROXY_EVICT_MINUTES) || DEFAULT_EVICT_MINUTES } = {}) {
+        const maxRate = parseFloat(process.env.PROXY_MAX_RATE);
+        const egressOptions = maxRate > 0
+            ? { ...rateOptions, maxRate, initialRate: Math.min(rateOptions.initialRate || 10, maxRate) }
+            : rateOptions;
+
+        this.name = rateOptions.name || 'requests';
+        this.egresses = urls.map(url => new ProxyEgress(url, egressOptions));
+        this.evictMs = evictMinutes * 60 * 1000;
+        this.next = 0; // Rotates ties between equally busy egresses
+    }
+
+    // Egresses currently in rotation; logs the ones whose eviction just ended
+    available() {
+        const now = Date.now();
+        return this.egresses.filter((egress) => {
+            if (!egress.isAvailable(now)) {
+                return false;
+            }
+            if (egress.evictionReason) {
+                console.log(`♻️  Proxy ${egress.label} is back in the pool after its eviction`);
+                egress.evictionReason = null;
+            }
+            return true;
+        });
+    }
+
+    // Combined request rate of the available egresses
+    get rate() {
+        return this.available().reduce((sum, egress) => sum + egress.controller.rate, 0);
+    }
+
+    // Combined concurrency of the available egresses (callers size their chunks with it)
+    get concurrency() {
+        return Math.max(1, this.available().reduce((sum, egress) => sum + egress.controller.concurrency, 0));
+    }
+
+    // Wait for a slot on the least busy available egress. Resolves to { egress, release };
+    // release(outcome) must be called once the request finishes, as with RateController.acquire.
+    async acquireEgress() {
+        while (true) {
+            const available = this.available();
+            if (available.length === 0) {
+                const waitMs = Math.min(...this.egresses.map(egress => egress.evictedUntil)) - Date.now();
+                console.log(`⛔ Every proxy is evicted - waiting ${Math.ceil(waitMs / 1000)}s for the first to come back`);
+                await new Promise(resolve => setTimeout(resolve, Math.max(waitMs, 0)));
+                continue;
+            }
+
+            // Unpaused egresses with the most free slots first; ties rotate
+            const now = Date.now();
+            const start = this.next++ % available.length;
+            const rotated = [...available.slice(start), ...available.slice(0, start)];
+            const load = egress => (egress.controller.pausedUntil > now ? 1 : 0) * 1000
+                + egress.controller.inFlight / egress.controller.concurrency;
+            const egress = rotated.reduce((best, candidate) => (load(candidate) < load(best) ? candidate : best));
+
+            const release = await egress.controller.acquire();
+            return {
+                egress,
+                release: (outcome = {}) => {
+                    release(outcome);
+                    const reason = egress.record(outcome);
+                    if (reason && egress.isAvailable()) {
+                        const cooldownMs = egress.evict(reason, this.evictMs);
+                        console.log(`🚫 Evicting proxy ${egress.label}: ${reason} - back in ${Math.ceil(cooldownMs / 60000)}m`);
+                    }
+                }
+            };
+        }
+    }
+
+    // RateController.acquire: the release callback only (the request is not routed)
+    async acquire() {
+        const { release } = await this.acquireEgress();
+        return release;
+    }
+
+    // Run `task(egress)` on an egress, treating rate-limit errors as throttling signals
+    async run(task) {
+        const { egress, release } = await this.acquireEgress();
+        try {
+            const result = await task(egress);
+            release();
+            return result;
+        } catch (error) {
+            release({
+                rateLimited: isRateLimitError(error),
+                retryAfterMs: parseRetryAfter(error.response && error.response.headers),
+                failed: true
+            });
+            throw error;
+        }
+    }
+
+    // Pool totals in RateController.stats() shape, plus one entry per egress
+    stats() {
+        const egresses = this.egresses.map(egress => egress.stats());
+        const sum = key => egresses.reduce((total, entry) => total + entry[key], 0);
+        return {
+            rate: Math.round(this.rate * 10) / 10,
+            concurrency: this.concurrency,
+            averageLatencyMs: null,
+            requests: sum('requests'),
+            rateLimited: sum('rateLimited'),
+            increases: sum('increases'),
+            decreases: sum('decreases'),
+            egresses
+        };
+    }
+
+    // One-line description for progress output
+    describe() {
+        const { rateLimited } = this.stats();
+        const throttled = rateLimited > 0 ? `, ${rateLimited} throttled` : '';
+        return `${this.rate.toFixed(1)} req/s, ${this.concurrency} concurrent over ${this.available().length}/${this.egresses.length} proxies${throttled}`;
+    }
+
+    // One line per egress for run summaries
+    describeEgresses() {
+        return this.egresses.map((egress) => {
+            const { requests, successes, failures, rateLimited } = egress.stats();
+            const state = egress.isAvailable()
+                ? egress.controller.describe()
+                : `evicted for ${Math.ceil((egress.evictedUntil - Date.now()) / 60000)}m - ${egress.evictionReason}`;
+            return `${egress.label}: ${requests} requests, ${successes} ok, ${rateLimited} throttled, ${failures} failed, ${egress.evictions} evictions (${state})`;
+        });
+    }
+
+    // Drop pooled proxy connections
+    close() {
+        this.egresses.forEach(egress => egress.close());
+    }
+}
+
+// A RateController for `options`, or a ProxyPool giving each configured proxy those options
+function createRateController(options = {}, urls = loadProxyUrls()) {
+    return urls.length > 0 ? new ProxyPool(urls, options) : new RateController(options);
+}
+
+module.exports = ProxyPool;
+module.exports.DEFAULT_EVICT_MINUTES = DEFAULT_EVICT_MINUTES;
+module.exports.loadProxyUrls = loadProxyUrls;
+module.exports.createRateController = createRateController;
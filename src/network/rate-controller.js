@@ -0,0 +1,197 @@
+// Adaptive request pacing shared by the validators and the data collector.
+// A token bucket limits requests per second and a slot count limits requests in
+// flight. Both grow additively while Yahoo answers quickly and shrink
+// multiplicatively (AIMD) on HTTP 429, Retry-After or rising latency.
+
+// Milliseconds requested by a Retry-After header (seconds or HTTP date), or null
+function parseRetryAfter(headers) {
+    const value = headers && (headers['retry-after'] || headers['Retry-After']);
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// True for errors that mean "slow down": HTTP 429 from axios, or yahoo-finance2's "Too Many Requests"
+function isRateLimitError(error) {
+    if (!error) {
+        return false;
+    }
+    if (error.response && error.response.status === 429) {
+        return true;
+    }
+    return /too many requests|\b429\b/i.test(error.message || '');
+}
+
+class RateController {
+    constructor(options = {}) {
+        this.name = options.name || 'requests';
+        this.rate = options.initialRate || 10; // Requests per second
+        this.minRate = options.minRate || 0.5;
+        this.maxRate = options.maxRate || 100;
+        this.rateStep = options.rateStep || 1; // Additive increase per healthy window
+        this.concurrency = options.initialConcurrency || 5;
+        this.minConcurrency = options.minConcurrency || 1;
+        this.maxConcurrency = options.maxConcurrency || 50;
+        this.latencyTargetMs = options.latencyTargetMs || 1500; // Back off when average latency exceeds this
+        this.cooldownMs = options.cooldownMs || 5000; // Minimum gap between decreases and default pause after a 429
+
+        this.tokens = 1;
+        this.lastRefill = Date.now();
+        this.inFlight = 0;
+        this.waiters = [];
+        this.pausedUntil = 0;
+        this.lastDecrease = 0;
+        this.successStreak = 0;
+        this.latencyMs = null; // Exponentially weighted moving average
+        this.totals = { requests: 0, rateLimited: 0, increases: 0, decreases: 0 };
+    }
+
+    // Add tokens for the time elapsed since the last refill; the bucket holds one second of burst
+    refill() {
+        const now = Date.now();
+        const burst = Math.max(1, this.rate);
+        this.tokens = Math.min(burst, this.tokens + (now - this.lastRefill) / 1000 * this.rate);
+        this.lastRefill = now;
+    }
+
+    // Wait for a token and a free slot. Resolves to a release(outcome) callback that must be
+    // called once the request finishes, with { rateLimited, retryAfterMs, failed }.
+    async acquire() {
+        while (true) {
+            const now = Date.now();
+            if (now < this.pausedUntil) {
+                await new Promise(resolve => setTimeout(resolve, this.pausedUntil - now));
+                continue;
+            }
+
+            if (this.inFlight >= this.concurrency) {
+                await new Promise(resolve => this.waiters.push(resolve));
+                continue;
+            }
+
+            this.refill();
+            if (this.tokens < 1) {
+                await new Promise(resolve => setTimeout(resolve, Math.ceil((1 - this.tokens) / this.rate * 1000)));
+                continue;
+            }
+
+            this.tokens -= 1;
+            this.inFlight++;
+            const startedAt = Date.now();
+            let released = false;
+
+            return (outcome = {}) => {
+                if (!released) {
+                    released = true;
+                    this.release(Date.now() - startedAt, outcome);
+                }
+            };
+        }
+    }
+
+    // Run a task under the controller, treating rate-limit errors as throttling signals
+    async run(task) {
+        const release = await this.acquire();
+        try {
+            const result = await task();
+            release();
+            return result;
+        } catch (error) {
+            release({
+                rateLimited: isRateLimitError(error),
+                retryAfterMs: parseRetryAfter(error.response && error.response.headers),
+                failed: true
+            });
+            throw error;
+        }
+    }
+
+    // Record a finished request and adjust rate and concurrency
+    release(latencyMs, { rateLimited = false, retryAfterMs = null, failed = false } = {}) {
+        this.inFlight--;
+        this.totals.requests++;
+
+        if (rateLimited) {
+            this.onRateLimited(retryAfterMs);
+        } else if (!failed) {
+            this.latencyMs = this.latencyMs === null ? latencyMs : this.latencyMs * 0.8 + latencyMs * 0.2;
+            if (this.latencyMs > this.latencyTargetMs) {
+                this.decrease(0.75, `average latency ${Math.round(this.latencyMs)}ms`);
+            } else {
+                this.onSuccess();
+            }
+        }
+
+        const next = this.waiters.shift();
+        if (next) {
+            next();
+        }
+    }
+
+    // Additive increase once per window of successful requests
+    onSuccess() {
+        this.successStreak++;
+        if (this.successStreak < this.concurrency) {
+            return;
+        }
+        this.successStreak = 0;
+
+        const rate = Math.min(this.maxRate, this.rate + this.rateStep);
+        const concurrency = Math.min(this.maxConcurrency, this.concurrency + 1);
+        if (rate !== this.rate || concurrency !== this.concurrency) {
+            this.rate = rate;
+            this.concurrency = concurrency;
+            this.totals.increases++;
+        }
+    }
+
+    // Pause everything for Retry-After (or the cooldown) and halve rate and concurrency
+    onRateLimited(retryAfterMs) {
+        this.totals.rateLimited++;
+        const pauseMs = retryAfterMs !== null && retryAfterMs !== undefined ? retryAfterMs : this.cooldownMs;
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + pauseMs);
+        this.decrease(0.5, `HTTP 429, pausing ${Math.round(pauseMs / 1000)}s`);
+    }
+
+    // Multiplicative decrease, at most once per cooldown so one burst of errors counts once
+    decrease(factor, reason) {
+        const now = Date.now();
+        const atFloor = this.rate <= this.minRate && this.concurrency <= this.minConcurrency;
+        if (atFloor || now - this.lastDecrease < this.cooldownMs) {
+            return;
+        }
+        this.lastDecrease = now;
+        this.successStreak = 0;
+        this.rate = Math.max(this.minRate, this.rate * factor);
+        this.concurrency = Math.max(this.minConcurrency, Math.floor(this.concurrency * factor));
+        this.totals.decreases++;
+        console.log(`🐢 ${this.name}: slowing to ${this.describe()} (${reason})`);
+    }
+
+    // Current state for summaries
+    stats() {
+        return {
+            rate: Math.round(this.rate * 10) / 10,
+            concurrency: this.concurrency,
+            averageLatencyMs: this.latencyMs === null ? null : Math.round(this.latencyMs),
+            ...this.totals
+        };
+    }
+
+    // One-line description for progress output
+    describe() {
+        const latency = this.latencyMs === null ? '' : `, ${Math.round(this.latencyMs)}ms avg`;
+        const throttled = this.totals.rateLimited > 0 ? `, ${this.totals.rateLimited} throttled` : '';
+        return `${this.rate.toFixed(1)} req/s, ${this.concurrency} concurrent${latency}${throttled}`;
+    }
+}
+
+module.exports = RateController;
+module.exports.parseRetryAfter = parseRetryAfter;
+module.exports.isRateLimitError = isRateLimitError;
@@ -0,0 +1,53 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context for market data fetches.
+// return-data.js fetches every ticker inside runWithFetchContext(); providers and the
+// yahoo-finance2 logger hook find that context through AsyncLocalStorage, so a schema mismatch or
+// library warning raised while several tickers are in flight is attributed to the symbol and
+// module that caused it. Nothing is recorded outside a context.
+
+const FETCH_ISSUE_KIND = {
+    VALIDATION: 'validation', // The response did not match the library's schema
+    WARNING: 'warning', // Logged by the market data library as a warning
+    ERROR: 'error' // Logged by the market data library as an error
+};
+
+const storage = new AsyncLocalStorage();
+
+// Run `task(context)` in a new context for `symbol`; context.issues collects recorded issues
+function runWithFetchContext(symbol, task) {
+    const context = { symbol, source: null, issues: [] };
+    return storage.run(context, () => task(context));
+}
+
+// Run `task` with the current context's `source` (the provider call being made, e.g. quoteSummary)
+function runInFetchSource(source, task) {
+    const context = storage.getStore();
+    return context ? storage.run({ ...context, source }, task) : task();
+}
+
+// Attach an issue to the current context. `module` defaults to the current source.
+// Returns false (nothing recorded) outside a context.
+function recordFetchIssue({ kind, message, module = null, path = null }) {
+    const context = storage.getStore();
+    if (!context) {
+        return false;
+    }
+    context.issues.push({
+        symbol: context.symbol,
+        source: context.source,
+        module: module || context.source,
+        kind,
+        path,
+        message: String(message),
+        occurredAt: new Date().toISOString()
+    });
+    return true;
+}
+
+module.exports = {
+    FETCH_ISSUE_KIND,
+    runWithFetchContext,
+    runInFetchSource,
+    recordFetchIssue
+};
@@ -0,0 +1,22 @@
+// Market-data providers by name. MARKET_DATA_PROVIDER selects one (default yahoo).
+const PROVIDERS = {
+    yahoo: require('./yahoo-provider'),
+    mock: require('./mock-provider')
+};
+
+const DEFAULT_PROVIDER = 'yahoo';
+
+// Build the configured provider; options (rateController, userAgent, fixturesPath) go to its constructor
+function createProvider(options = {}, name = process.env.MARKET_DATA_PROVIDER || DEFAULT_PROVIDER) {
+    const Provider = PROVIDERS[name.toLowerCase()];
+    if (!Provider) {
+        throw new Error(`Unknown market data provider: ${name} (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return new Provider(options);
+}
+
+module.exports = {
+    PROVIDERS,
+    DEFAULT_PROVIDER,
+    createProvider
+};
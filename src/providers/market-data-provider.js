@@ -0,0 +1,83 @@
+// Interface between the validators / data collector and a market-data vendor.
+// Implementations override validateSymbol and the fetch methods below; everything else
+// in the repo only talks to a provider, so switching vendors or running offline is a config change.
+
+class MarketDataProvider {
+    // `rateController` (optional) paces every request the provider makes; a ProxyPool also
+    // picks the proxy each request goes out through
+    constructor({ rateController = null } = {}) {
+        this.name = 'base';
+        this.dataSource = 'Unknown';
+        this.rateController = rateController;
+    }
+
+    // Check whether a symbol trades. Never throws: resolves to
+    // { status, meta, retryAfterMs, error } with a ValidationStatus and, when found,
+    // meta in the chart endpoint's shape ({ symbol, regularMarketPrice, exchangeName, currency, ... }).
+    // `requireExchange` only counts a symbol as active when an exchange name is known.
+    async validateSymbol(ticker, { timeoutMs = 5000, requireExchange = false } = {}) {
+        throw new Error(`${this.name} provider does not implement validateSymbol`);
+    }
+
+    // Check many symbols at once. Resolves to a Map of ticker -> validateSymbol() result.
+    // The default makes one request per symbol; providers with a multi-symbol endpoint override it
+    // and check what the group answer leaves open with validateEach().
+    async validateSymbols(tickers, options = {}) {
+        const results = await Promise.all(tickers.map(ticker => this.validateSymbol(ticker, options)));
+        return new Map(tickers.map((ticker, index) => [ticker, results[index]]));
+    }
+
+    // Per-symbol follow-up checks after a multi-symbol request. `reserveRequest` (optional, from
+    // the caller's request budget) is asked before each one; symbols it refuses are not requested
+    // and answer { status: null, deferred: true } so the caller can queue them instead.
+    async validateEach(tickers, { reserveRequest = null, ...options } = {}) {
+        const allowed = reserveRequest ? tickers.filter(() => reserveRequest()) : tickers;
+        const results = new Map(tickers
+            .filter(ticker => !allowed.includes(ticker))
+            .map(ticker => [ticker, { status: null, deferred: true, meta: null, retryAfterMs: null, error: 'Request budget spent' }]));
+        const checked = await MarketDataProvider.prototype.validateSymbols.call(this, allowed, options);
+        checked.forEach((result, ticker) => results.set(ticker, result));
+        return results;
+    }
+
+    // Current quote for a symbol
+    async fetchQuote(symbol) {
+        throw new Error(`${this.name} provider does not implement fetchQuote`);
+    }
+
+    // Daily bars between period1 and period2 (YYYY-MM-DD)
+    async fetchHistory(symbol, { period1, period2, interval = '1d' } = {}) {
+        throw new Error(`${this.name} provider does not implement fetchHistory`);
+    }
+
+    // Daily bars plus the dividends and splits in the same range. Resolves to
+    // { bars, dividends: [{ date, amount }], splits: [{ date, numerator, denominator, ratio }] }.
+    // The default reports no events; providers that have them override it.
+    async fetchChart(symbol, { period1, period2, interval = '1d' } = {}) {
+        return { bars: await this.fetchHistory(symbol, { period1, period2, interval }), dividends: [], splits: [] };
+    }
+
+    // Company profile and statistics, keyed by module name
+    async fetchProfile(symbol, modules = []) {
+        throw new Error(`${this.name} provider does not implement fetchProfile`);
+    }
+
+    // Wait for a request slot. Resolves to { release, egress }: release(outcome) reports the
+    // finished request, `egress` is the proxy to send it through (null without a proxy pool)
+    async acquireSlot() {
+        if (!this.rateController) {
+            return { release: () => {}, egress: null };
+        }
+        if (this.rateController.acquireEgress) {
+            return this.rateController.acquireEgress();
+        }
+        return { release: await this.rateController.acquire(), egress: null };
+    }
+
+    // Run `task(egress)` under the rate controller when there is one
+    throttle(task) {
+        return this.rateController ? this.rateController.run(task) : task(null);
+    }
+}
+
+module.exports = MarketDataProvider;
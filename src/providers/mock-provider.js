@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const MarketDataProvider = require('./market-data-provider');
+const { ValidationStatus, isTransient } = require('../validate/validation-status');
+const { FETCH_ISSUE_KIND, runInFetchSource, recordFetchIssue } = require('./fetch-context');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'mock-market-data.json');
+
+// Offline provider answering from a JSON fixture file, for deterministic runs without network.
+// Each entry under `symbols` has a ValidationStatus and, for ACTIVE symbols, meta / quote /
+// history / profile data. Symbols missing from the file are NOT_FOUND; transient statuses
+// (RATE_LIMITED, TIMEOUT, ...) are returned as-is to exercise the retry paths. An entry's
+// `issues` ({ source, module, path, message }) are recorded as fetch issues whenever that
+// source (quote, chart, quoteSummary) is requested, like schema mismatches from Yahoo.
+class MockProvider extends MarketDataProvider {
+    constructor({ rateController = null, fixturesPath = process.env.MOCK_PROVIDER_FIXTURES || DEFAULT_FIXTURES } = {}) {
+        super({ rateController });
+        this.name = 'mock';
+        this.dataSource = `Mock provider (${path.basename(fixturesPath)})`;
+        this.symbols = JSON.parse(fs.readFileSync(fixturesPath, 'utf8')).symbols || {};
+    }
+
+    // Fixture entry for a symbol, or a NOT_FOUND placeholder
+    lookup(symbol) {
+        return this.symbols[symbol.toUpperCase()] || { status: ValidationStatus.NOT_FOUND };
+    }
+
+    // Fixture answer for one symbol, shaped like validateSymbol()
+    answer(ticker, requireExchange) {
+        const entry = this.lookup(ticker);
+        const retryAfterMs = entry.retryAfterMs === undefined ? null : entry.retryAfterMs;
+
+        if (entry.status === ValidationStatus.ACTIVE && requireExchange && !(entry.meta && entry.meta.exchangeName)) {
+            return { status: ValidationStatus.NO_PRICE, meta: entry.meta || null, retryAfterMs: null, error: null };
+        }
+        return {
+            status: entry.status,
+            meta: entry.meta ? { symbol: ticker, ...entry.meta } : null,
+            retryAfterMs,
+            error: isTransient(entry.status) ? `Mock ${entry.status}` : null
+        };
+    }
+
+    // Report one simulated request covering `results` to the rate controller
+    async simulateRequest(results) {
+        const { release } = await this.acquireSlot();
+        const limited = results.find(result => result.status === ValidationStatus.RATE_LIMITED);
+        release({
+            rateLimited: Boolean(limited),
+            retryAfterMs: limited ? limited.retryAfterMs : null,
+            failed: results.some(result => isTransient(result.status))
+        });
+    }
+
+    async validateSymbol(ticker, { requireExchange = false } = {}) {
+        const result = this.answer(ticker, requireExchange);
+        await this.simulateRequest([result]);
+        return result;
+    }
+
+    // Answers a whole group as one request, like a multi-symbol quote endpoint. Entries with
+    // `missingFromQuote` are left out of the group answer and checked one by one afterwards,
+    // like symbols Yahoo's quote endpoint drops.
+    async validateSymbols(tickers, { requireExchange = false, reserveRequest = null } = {}) {
+        const missing = tickers.filter(ticker => this.lookup(ticker).missingFromQuote);
+        const results = new Map(tickers
+            .filter(ticker => !missing.includes(ticker))
+            .map(ticker => [ticker, this.answer(ticker, requireExchange)]));
+        await this.simulateRequest([...results.values()]);
+        if (missing.length > 0) {
+            const checked = await this.validateEach(missing, { requireExchange, reserveRequest });
+            checked.forEach((result, ticker) => results.set(ticker, result));
+        }
+        return results;
+    }
+
+    // Fixture data for an active symbol; anything else fails like a Yahoo lookup would
+    activeEntry(symbol) {
+        const entry = this.lookup(symbol);
+        if (entry.status !== ValidationStatus.ACTIVE) {
+            throw new Error(`Mock provider: no data for ${symbol} (${entry.status})`);
+        }
+        return entry;
+    }
+
+    // Record the entry's fixture issues for `source` (quoteSummary ones only for requested `modules`)
+    recordIssues(entry, source, modules = null) {
+        (entry.issues || [])
+            .filter(issue => issue.source === source && (!modules || !issue.module || modules.includes(issue.module)))
+            .forEach((issue) => {
+                runInFetchSource(source, () => recordFetchIssue({ kind: issue.kind || FETCH_ISSUE_KIND.VALIDATION, module: issue.module, path: issue.path, message: issue.message }));
+            });
+    }
+
+    async fetchQuote(symbol) {
+        return this.throttle(async () => {
+            const entry = this.activeEntry(symbol);
+            this.recordIssues(entry, 'quote');
+            return { symbol, ...entry.quote };
+        });
+    }
+
+    async fetchHistory(symbol, { period1, period2 } = {}) {
+        return this.throttle(async () => (this.activeEntry(symbol).history || [])
+            .filter(bar => (!period1 || bar.date >= period1) && (!period2 || bar.date <= period2))
+            .map(bar => ({ ...bar, date: new Date(bar.date) })));
+    }
+
+    // Fixture history plus the entry's `events` ({ dividends, splits }) within the range
+    async fetchChart(symbol, { period1, period2 } = {}) {
+        return this.throttle(async () => {
+            const entry = this.activeEntry(symbol);
+            this.recordIssues(entry, 'chart');
+            const inRange = item => (!period1 || item.date >= period1) && (!period2 || item.date <= period2);
+            const events = entry.events || {};
+            return {
+                bars: (entry.history || []).filter(inRange).map(bar => ({ ...bar, date: new Date(bar.date) })),
+                dividends: (events.dividends || []).filter(inRange).map(dividend => ({ ...dividend, date: new Date(dividend.date) })),
+                splits: (events.splits || []).filter(inRange).map(split => ({ ...split, date: new Date(split.date) }))
+            };
+        });
+    }
+
+    async fetchProfile(symbol, modules = []) {
+        return this.throttle(async () => {
+            const entry = this.activeEntry(symbol);
+            this.recordIssues(entry, 'quoteSummary', modules);
+            const profile = entry.profile || {};
+            const selected = {};
+            modules.filter(name => profile[name]).forEach((name) => {
+                selected[name] = profile[name];
+            });
+            return selected;
+        });
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,200 @@
+const axios = require('axios');
+const yahooFinance = require('yahoo-finance2').default;
+const MarketDataProvider = require('./market-data-provider');
+const { parseRetryAfter } = require('../network/rate-controller');
+const { ValidationStatus, isTransient, classifyError, classifyChartResponse } = require('../validate/validation-status');
+const { FETCH_ISSUE_KIND, runInFetchSource, recordFetchIssue } = require('./fetch-context');
+
+// Suppress Yahoo Finance survey and deprecation notices
+yahooFinance.suppressNotices(['yahooSurvey', 'ripHistorical']);
+
+// Schema mismatches are recorded by validatedCall() instead of printed. Warnings and errors the
+// library logs while a ticker is being fetched are recorded against that ticker (see
+// fetch-context.js); outside a fetch they are printed as usual.
+yahooFinance.setGlobalConfig({
+    validation: { logErrors: false },
+    logger: {
+        info: (...args) => console.log(...args),
+        debug: (...args) => console.log(...args),
+        warn: (...args) => recordFetchIssue({ kind: FETCH_ISSUE_KIND.WARNING, message: args.join(' ') }) || console.warn(...args),
+        error: (...args) => recordFetchIssue({ kind: FETCH_ISSUE_KIND.ERROR, message: args.join(' ') }) || console.error(...args)
+    }
+});
+
+const CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart/';
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Request options routing a call through `egress` (a ProxyPool proxy), for axios and yahoo-finance2
+function axiosRoute(egress) {
+    return egress ? egress.axiosOptions() : {};
+}
+
+function fetchRoute(egress) {
+    return egress ? egress.fetchOptions() : {};
+}
+
+// Run a yahoo-finance2 data call, `call(moduleOptions)`, as `source` with result validation.
+// A response failing the library's schema is still returned the way validateResult: false
+// would return it, and each mismatch is recorded as a fetch issue - for quoteSummary under
+// the module its path points into.
+async function validatedCall(source, call) {
+    return runInFetchSource(source, async () => {
+        try {
+            return await call({ validateResult: true });
+        } catch (error) {
+            if (error.name !== 'FailedYahooValidationError') {
+                throw error;
+            }
+            const failures = error.errors || [];
+            failures.forEach((failure) => {
+                // Schema check failures carry the first mismatch in .error; failed coercions carry their own path
+                const path = failure.path || (failure.error && failure.error.path) || null;
+                const message = failure.path ? failure.message : ((failure.error && failure.error.message) || failure.message);
+                const module = source === 'quoteSummary' && path ? path.split('/')[1] : source;
+                recordFetchIssue({ kind: FETCH_ISSUE_KIND.VALIDATION, module, path, message });
+            });
+            // quoteSummary returns the validated value as is, so a schema check failure holds the whole
+            // response. Other calls reshape it afterwards (and a failed coercion only holds the value it
+            // choked on), so those are requested once more without validation.
+            const complete = source === 'quoteSummary' && failures.every(failure => !failure.path);
+            return complete ? error.result : call({ validateResult: false });
+        }
+    });
+}
+
+// Chart event dates arrive as Dates, or as epoch seconds when yahoo-finance2 skips coercion
+function eventDate(value) {
+    return typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+}
+
+// Yahoo Finance: the v8 chart endpoint (or batched quotes) for validation, yahoo-finance2 for data collection
+class YahooProvider extends MarketDataProvider {
+    constructor({ rateController = null, userAgent = DEFAULT_USER_AGENT } = {}) {
+        super({ rateController });
+        this.name = 'yahoo';
+        this.dataSource = 'Yahoo Finance API (yahoo-finance2)';
+        this.userAgent = userAgent;
+    }
+
+    async validateSymbol(ticker, { timeoutMs = 5000, requireExchange = false } = {}) {
+        const { release, egress } = await this.acquireSlot();
+
+        try {
+            const response = await axios.get(`${CHART_URL}${encodeURIComponent(ticker)}`, {
+                timeout: timeoutMs,
+                headers: {
+                    'User-Agent': this.userAgent
+                },
+                ...axiosRoute(egress)
+            });
+
+            release();
+            return { ...classifyChartResponse(response.data, requireExchange), retryAfterMs: null, error: null };
+        } catch (error) {
+            const status = classifyError(error);
+            const retryAfterMs = parseRetryAfter(error.response && error.response.headers);
+            // 404s are normal answers and timeouts count towards latency; other failures say nothing about load
+            release({
+                rateLimited: status === ValidationStatus.RATE_LIMITED,
+                retryAfterMs,
+                failed: status !== ValidationStatus.NOT_FOUND && status !== ValidationStatus.TIMEOUT
+            });
+            return {
+                status,
+                meta: null,
+                retryAfterMs,
+                error: error.message
+            };
+        }
+    }
+
+    // One multi-symbol quote request for the whole list. Symbols returned with a price are active.
+    // Symbols missing from the response (the quote endpoint drops some symbols it does know),
+    // returned without a price (or exchange) or in a batch Yahoo rejects outright go to the
+    // per-symbol chart check, which decides whether they are NOT_FOUND. Every chart check is one
+    // more request, reserved through `reserveRequest` (see validateEach()).
+    async validateSymbols(tickers, { timeoutMs = 5000, requireExchange = false, reserveRequest = null } = {}) {
+        const { release, egress } = await this.acquireSlot();
+        let quotes;
+
+        try {
+            quotes = await yahooFinance.quote(tickers, { return: 'object' }, {
+                validateResult: false,
+                fetchOptions: { signal: AbortSignal.timeout(timeoutMs), ...fetchRoute(egress) }
+            });
+            release();
+        } catch (error) {
+            const status = classifyError(error);
+            release({ rateLimited: status === ValidationStatus.RATE_LIMITED, failed: isTransient(status) && status !== ValidationStatus.TIMEOUT });
+            if (isTransient(status)) {
+                return new Map(tickers.map(ticker => [ticker, { status, meta: null, retryAfterMs: null, error: error.message }]));
+            }
+            return this.validateEach(tickers, { timeoutMs, requireExchange, reserveRequest });
+        }
+
+        const quotesBySymbol = new Map(Object.entries(quotes || {}).map(([symbol, quote]) => [symbol.toUpperCase(), quote]));
+        const results = new Map();
+        const ambiguous = [];
+
+        tickers.forEach((ticker) => {
+            const quote = quotesBySymbol.get(ticker.toUpperCase());
+            if (!quote || !quote.regularMarketPrice || (requireExchange && !quote.exchange)) {
+                ambiguous.push(ticker);
+            } else {
+                // Quote fields under their chart meta names
+                const meta = {
+                    symbol: quote.symbol,
+                    regularMarketPrice: quote.regularMarketPrice,
+                    exchangeName: quote.exchange,
+                    fullExchangeName: quote.fullExchangeName,
+                    currency: quote.currency,
+                    instrumentType: quote.quoteType,
+                    exchangeTimezoneName: quote.exchangeTimezoneName,
+                    firstTradeDate: quote.firstTradeDateMilliseconds,
+                    regularMarketTime: quote.regularMarketTime,
+                    previousClose: quote.regularMarketPreviousClose
+                };
+                results.set(ticker, { status: ValidationStatus.ACTIVE, meta, retryAfterMs: null, error: null });
+            }
+        });
+
+        if (ambiguous.length > 0) {
+            const chartResults = await this.validateEach(ambiguous, { timeoutMs, requireExchange, reserveRequest });
+            chartResults.forEach((result, ticker) => results.set(ticker, result));
+        }
+        return results;
+    }
+
+    async fetchQuote(symbol) {
+        return this.throttle(egress => validatedCall('quote', options => yahooFinance.quote(symbol, {}, { ...options, fetchOptions: fetchRoute(egress) })));
+    }
+
+    async fetchHistory(symbol, { period1, period2, interval = '1d' } = {}) {
+        return this.throttle(egress => validatedCall('historical', options => yahooFinance.historical(symbol, { period1, period2, interval }, { ...options, fetchOptions: fetchRoute(egress) })));
+    }
+
+    // One chart request for the bars and the dividend / split events of the range
+    async fetchChart(symbol, { period1, period2, interval = '1d' } = {}) {
+        const result = await this.throttle(egress => validatedCall('chart', options => yahooFinance.chart(symbol, { period1, period2, interval, events: 'div|split' }, { ...options, fetchOptions: fetchRoute(egress) })));
+        const events = (result && result.events) || {};
+        return {
+            // The rows yahooFinance.historical() would return: empty rows dropped, adjclose renamed
+            bars: ((result && result.quotes) || [])
+                .filter(quote => ['open', 'high', 'low', 'close', 'volume'].some(field => quote[field] !== null && quote[field] !== undefined))
+                .map(({ adjclose, ...bar }) => ({ ...bar, adjClose: adjclose })),
+            dividends: (events.dividends || []).map(dividend => ({ date: eventDate(dividend.date), amount: dividend.amount })),
+            splits: (events.splits || []).map(split => ({
+                date: eventDate(split.date),
+                numerator: split.numerator,
+                denominator: split.denominator,
+                ratio: split.splitRatio
+            }))
+        };
+    }
+
+    async fetchProfile(symbol, modules = []) {
+        return this.throttle(egress => validatedCall('quoteSummary', options => yahooFinance.quoteSummary(symbol, { modules }, { ...options, fetchOptions: fetchRoute(egress) })));
+    }
+}
+
+module.exports = YahooProvider;
@@ -0,0 +1,159 @@
+// Dividend and split history for return-data.js in ticker_data.db.
+// Events come with the daily bars (one chart request, see MarketDataProvider.fetchChart) and are
+// stored like them: a full history sync replaces a ticker's events, an incremental one upserts.
+// Yahoo's daily closes and dividend amounts are already split-adjusted (the history store
+// re-syncs when that adjustment changes), so from the stored rows we derive the as-traded close
+// (multiplying back later splits) and a total-return index reinvesting each dividend on its ex-date.
+
+const { SYNC_MODE, toDateKey } = require('./history-store');
+
+// Value of the total-return index on the first stored bar
+const TOTAL_RETURN_BASE = 100;
+
+// Cumulative split factor of every bar: the product of the ratios of all splits after its date
+function splitFactors(bars, splits) {
+    const ordered = [...splits].sort((a, b) => (a.date < b.date ? -1 : 1));
+    return bars.map(bar => ordered
+        .filter(split => split.date > bar.date && split.numerator > 0 && split.denominator > 0)
+        .reduce((factor, split) => factor * (split.numerator / split.denominator), 1));
+}
+
+// Stored bars (oldest first, dates as YYYY-MM-DD) with `unadjustedClose` (as traded) and
+// `totalReturnIndex` (starts at 100, dividends reinvested at the ex-date close) added
+function buildAdjustedSeries(bars, dividends = [], splits = []) {
+    const dividendsByDate = new Map();
+    dividends.forEach((dividend) => {
+        dividendsByDate.set(dividend.date, (dividendsByDate.get(dividend.date) || 0) + dividend.amount);
+    });
+    const factors = splitFactors(bars, splits);
+
+    let index = TOTAL_RETURN_BASE;
+    let previousClose = null;
+    return bars.map((bar, position) => {
+        const dividend = dividendsByDate.get(bar.date) || 0;
+        if (previousClose && bar.close !== null && bar.close !== undefined) {
+            index *= (bar.close + dividend) / previousClose;
+        }
+        if (bar.close) {
+            previousClose = bar.close;
+        }
+        return {
+            ...bar,
+            unadjustedClose: bar.close === null || bar.close === undefined ? null : Math.round(bar.close * factors[position] * 10000) / 10000,
+            ...(dividend ? { dividend } : {}),
+            totalReturnIndex: Math.round(index * 10000) / 10000
+        };
+    });
+}
+
+// Total return over the whole series as a percentage string ('N/A' under two bars)
+function totalReturnPercent(series) {
+    if (series.length < 2) {
+        return 'N/A';
+    }
+    return ((series[series.length - 1].totalReturnIndex / TOTAL_RETURN_BASE - 1) * 100).toFixed(2) + '%';
+}
+
+class CorporateActionsStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Create the dividends and splits tables if needed
+    async initTables() {
+        const statements = [
+            `CREATE TABLE IF NOT EXISTS dividends (
+                ticker TEXT NOT NULL,
+                date TEXT NOT NULL,
+                amount REAL NOT NULL,
+                PRIMARY KEY (ticker, date)
+            ) WITHOUT ROWID`,
+            `CREATE TABLE IF NOT EXISTS splits (
+                ticker TEXT NOT NULL,
+                date TEXT NOT NULL,
+                numerator REAL NOT NULL,
+                denominator REAL NOT NULL,
+                ratio TEXT,
+                PRIMARY KEY (ticker, date)
+            ) WITHOUT ROWID`,
+            // Event exports and screens over a date range
+            'CREATE INDEX IF NOT EXISTS idx_dividends_date ON dividends (date)',
+            'CREATE INDEX IF NOT EXISTS idx_splits_date ON splits (date)'
+        ];
+
+        for (const statement of statements) {
+            await this.run(statement);
+        }
+    }
+
+    // Promise wrapper around db.run
+    async run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    async all(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // Store fetched events ({ dividends, splits }) the way the bars of the same fetch were stored
+    // (`mode` is the history sync mode). Run it inside the caller's transaction.
+    async saveEvents(ticker, { dividends = [], splits = [] } = {}, mode) {
+        if (mode === SYNC_MODE.FULL) {
+            await this.run('DELETE FROM dividends WHERE ticker = ?', [ticker]);
+            await this.run('DELETE FROM splits WHERE ticker = ?', [ticker]);
+        }
+        for (const dividend of dividends) {
+            await this.run('INSERT OR REPLACE INTO dividends (ticker, date, amount) VALUES (?, ?, ?)', [ticker, toDateKey(dividend.date), dividend.amount]);
+        }
+        for (const split of splits) {
+            await this.run(
+                'INSERT OR REPLACE INTO splits (ticker, date, numerator, denominator, ratio) VALUES (?, ?, ?, ?, ?)',
+                [ticker, toDateKey(split.date), split.numerator, split.denominator, split.ratio || `${split.numerator}:${split.denominator}`]
+            );
+        }
+    }
+
+    // Stored events of `ticker`, oldest first
+    async getEvents(ticker) {
+        const [dividends, splits] = await Promise.all([
+            this.all('SELECT date, amount FROM dividends WHERE ticker = ? ORDER BY date', [ticker]),
+            this.all('SELECT date, numerator, denominator, ratio FROM splits WHERE ticker = ? ORDER BY date', [ticker])
+        ]);
+        return { dividends, splits };
+    }
+
+    // statistics.corporateActions for a ticker's stored events (null when it has none)
+    summarize({ dividends, splits }) {
+        if (dividends.length === 0 && splits.length === 0) {
+            return null;
+        }
+        const yearAgo = toDateKey(Date.now() - 365 * 24 * 60 * 60 * 1000);
+        const lastDividend = dividends[dividends.length - 1];
+        const lastSplit = splits[splits.length - 1];
+        return {
+            dividendCount: dividends.length,
+            lastDividendDate: lastDividend ? lastDividend.date : null,
+            lastDividendAmount: lastDividend ? lastDividend.amount : null,
+            trailingYearDividends: Math.round(dividends.filter(dividend => dividend.date > yearAgo)
+                .reduce((sum, dividend) => sum + dividend.amount, 0) * 10000) / 10000,
+            splitCount: splits.length,
+            lastSplitDate: lastSplit ? lastSplit.date : null,
+            lastSplit: lastSplit ? lastSplit.ratio : null
+        };
+    }
+}
+
+module.exports = CorporateActionsStore;
+module.exports.TOTAL_RETURN_BASE = TOTAL_RETURN_BASE;
+module.exports.buildAdjustedSeries = buildAdjustedSeries;
+module.exports.totalReturnPercent = totalReturnPercent;
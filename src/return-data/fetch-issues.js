@@ -0,0 +1,86 @@
+// Data-quality issues raised while fetching tickers, in ticker_data.db.
+// Providers record schema mismatches and library warnings against the symbol and module being
+// fetched (see src/providers/fetch-context.js); return-data.js stores them here, one row per issue,
+// whether or not the ticker's record itself could be saved. Rows older than
+// FETCH_ISSUE_RETENTION_DAYS are pruned at the start of each run.
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+class FetchIssueStore {
+    constructor(db, { retentionDays = parseFloat(process.env.FETCH_ISSUE_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS } = {}) {
+        this.db = db;
+        this.retentionDays = retentionDays;
+    }
+
+    // Create the fetch_issues table if needed
+    async initTables() {
+        const statements = [
+            `CREATE TABLE IF NOT EXISTS fetch_issues (
+                id INTEGER PRIMARY KEY,
+                ticker TEXT NOT NULL,
+                source TEXT,
+                module TEXT,
+                kind TEXT NOT NULL,
+                path TEXT,
+                message TEXT,
+                occurred_at DATETIME NOT NULL
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_fetch_issues_ticker ON fetch_issues (ticker, occurred_at)',
+            'CREATE INDEX IF NOT EXISTS idx_fetch_issues_module ON fetch_issues (module, occurred_at)'
+        ];
+
+        for (const statement of statements) {
+            await this.run(statement);
+        }
+    }
+
+    // Promise wrapper around db.run
+    async run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    async all(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // Store the issues of one fetch (fetch-context.js entries). Run it inside the caller's transaction.
+    async record(ticker, issues = []) {
+        for (const issue of issues) {
+            await this.run(
+                `INSERT INTO fetch_issues (ticker, source, module, kind, path, message, occurred_at)
+                 VALUES (?, ?, ?, ?, ?, ?, datetime(?))`,
+                [ticker, issue.source, issue.module, issue.kind, issue.path, issue.message, issue.occurredAt]
+            );
+        }
+        return issues.length;
+    }
+
+    // Drop issues older than the retention period. Resolves with the number removed.
+    async prune() {
+        return this.run(`DELETE FROM fetch_issues WHERE occurred_at < datetime('now', '-${this.retentionDays} days')`);
+    }
+
+    // Issues since `since` (a Date) grouped by module and kind, most frequent first, for run summaries
+    async summarizeSince(since) {
+        return this.all(`
+            SELECT module, kind, COUNT(*) as issues, COUNT(DISTINCT ticker) as tickers
+            FROM fetch_issues
+            WHERE occurred_at >= datetime(?)
+            GROUP BY module, kind
+            ORDER BY issues DESC
+        `, [since.toISOString()]);
+    }
+}
+
+module.exports = FetchIssueStore;
+module.exports.DEFAULT_RETENTION_DAYS = DEFAULT_RETENTION_DAYS;
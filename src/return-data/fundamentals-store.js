@@ -0,0 +1,203 @@
+// Normalized quote and fundamentals tables in ticker_data.db.
+// return-data.js still keeps each ticker's full record in ticker_data.json_data, but the fields
+// people filter and sort on are also written to typed, indexed columns, one row per ticker:
+//   quotes            - the quote (price, market cap, P/E, 52-week range, ...)
+//   company_profiles  - summary assetProfile (sector, industry, country, ...)
+//   key_statistics    - summary defaultKeyStatistics and the valuation fields of summaryDetail
+//   financial_data    - summary financialData (revenue, margins, cash, debt, ...)
+// Daily bars are in daily_bars (see src/return-data/history-store.js).
+
+// Columns of each table as [column, type, path(s) into the stored record]. With several paths the
+// first one holding a value wins. A table's row is written when any of its `sources` is present.
+const NORMALIZED_TABLES = [
+    {
+        table: 'quotes',
+        sources: ['quote'],
+        columns: [
+            ['short_name', 'TEXT', 'quote.shortName'],
+            ['long_name', 'TEXT', 'quote.longName'],
+            ['quote_type', 'TEXT', 'quote.quoteType'],
+            ['exchange', 'TEXT', 'quote.exchange'],
+            ['full_exchange_name', 'TEXT', 'quote.fullExchangeName'],
+            ['currency', 'TEXT', 'quote.currency'],
+            ['market_state', 'TEXT', 'quote.marketState'],
+            ['price', 'REAL', 'quote.regularMarketPrice'],
+            ['change_percent', 'REAL', 'quote.regularMarketChangePercent'],
+            ['volume', 'INTEGER', 'quote.regularMarketVolume'],
+            ['average_volume_3m', 'INTEGER', 'quote.averageDailyVolume3Month'],
+            ['market_cap', 'REAL', 'quote.marketCap'],
+            ['trailing_pe', 'REAL', ['quote.trailingPE', 'summary.summaryDetail.trailingPE']],
+            ['forward_pe', 'REAL', ['quote.forwardPE', 'summary.summaryDetail.forwardPE']],
+            ['eps_trailing', 'REAL', 'quote.epsTrailingTwelveMonths'],
+            ['fifty_two_week_high', 'REAL', ['quote.fiftyTwoWeekHigh', 'summary.summaryDetail.fiftyTwoWeekHigh']],
+            ['fifty_two_week_low', 'REAL', ['quote.fiftyTwoWeekLow', 'summary.summaryDetail.fiftyTwoWeekLow']],
+            ['market_time', 'DATETIME', 'quote.regularMarketTime']
+        ],
+        indexes: [
+            { name: 'idx_quotes_market_cap', definition: 'ON quotes (market_cap)' },
+            { name: 'idx_quotes_trailing_pe', definition: 'ON quotes (trailing_pe)' },
+            { name: 'idx_quotes_quote_type_exchange', definition: 'ON quotes (quote_type, exchange)' }
+        ]
+    },
+    {
+        table: 'company_profiles',
+        sources: ['summary.assetProfile'],
+        columns: [
+            ['sector', 'TEXT', 'summary.assetProfile.sector'],
+            ['industry', 'TEXT', 'summary.assetProfile.industry'],
+            ['country', 'TEXT', 'summary.assetProfile.country'],
+            ['state', 'TEXT', 'summary.assetProfile.state'],
+            ['city', 'TEXT', 'summary.assetProfile.city'],
+            ['website', 'TEXT', 'summary.assetProfile.website'],
+            ['full_time_employees', 'INTEGER', 'summary.assetProfile.fullTimeEmployees'],
+            ['business_summary', 'TEXT', 'summary.assetProfile.longBusinessSummary']
+        ],
+        indexes: [
+            { name: 'idx_company_profiles_sector_industry', definition: 'ON company_profiles (sector, industry)' },
+            { name: 'idx_company_profiles_country', definition: 'ON company_profiles (country)' }
+        ]
+    },
+    {
+        table: 'key_statistics',
+        sources: ['summary.defaultKeyStatistics', 'summary.summaryDetail'],
+        columns: [
+            ['shares_outstanding', 'INTEGER', 'summary.defaultKeyStatistics.sharesOutstanding'],
+            ['float_shares', 'INTEGER', 'summary.defaultKeyStatistics.floatShares'],
+            ['beta', 'REAL', ['summary.defaultKeyStatistics.beta', 'summary.summaryDetail.beta']],
+            ['book_value', 'REAL', 'summary.defaultKeyStatistics.bookValue'],
+            ['price_to_book', 'REAL', 'summary.defaultKeyStatistics.priceToBook'],
+            ['enterprise_value', 'REAL', 'summary.defaultKeyStatistics.enterpriseValue'],
+            ['enterprise_to_revenue', 'REAL', 'summary.defaultKeyStatistics.enterpriseToRevenue'],
+            ['enterprise_to_ebitda', 'REAL', 'summary.defaultKeyStatistics.enterpriseToEbitda'],
+            ['trailing_eps', 'REAL', 'summary.defaultKeyStatistics.trailingEps'],
+            ['forward_eps', 'REAL', 'summary.defaultKeyStatistics.forwardEps'],
+            ['peg_ratio', 'REAL', 'summary.defaultKeyStatistics.pegRatio'],
+            ['profit_margins', 'REAL', 'summary.defaultKeyStatistics.profitMargins'],
+            ['held_percent_insiders', 'REAL', 'summary.defaultKeyStatistics.heldPercentInsiders'],
+            ['held_percent_institutions', 'REAL', 'summary.defaultKeyStatistics.heldPercentInstitutions'],
+            ['short_ratio', 'REAL', 'summary.defaultKeyStatistics.shortRatio'],
+            ['trailing_pe', 'REAL', ['summary.summaryDetail.trailingPE', 'summary.defaultKeyStatistics.trailingPE']],
+            ['forward_pe', 'REAL', ['summary.summaryDetail.forwardPE', 'summary.defaultKeyStatistics.forwardPE']],
+            ['price_to_sales', 'REAL', 'summary.summaryDetail.priceToSalesTrailing12Months'],
+            ['dividend_rate', 'REAL', 'summary.summaryDetail.dividendRate'],
+            ['dividend_yield', 'REAL', 'summary.summaryDetail.dividendYield'],
+            ['payout_ratio', 'REAL', 'summary.summaryDetail.payoutRatio']
+        ],
+        indexes: [
+            { name: 'idx_key_statistics_trailing_pe', definition: 'ON key_statistics (trailing_pe)' },
+            { name: 'idx_key_statistics_dividend_yield', definition: 'ON key_statistics (dividend_yield)' }
+        ]
+    },
+    {
+        table: 'financial_data',
+        sources: ['summary.financialData'],
+        columns: [
+            ['current_price', 'REAL', 'summary.financialData.currentPrice'],
+            ['target_mean_price', 'REAL', 'summary.financialData.targetMeanPrice'],
+            ['recommendation', 'TEXT', 'summary.financialData.recommendationKey'],
+            ['total_revenue', 'REAL', 'summary.financialData.totalRevenue'],
+            ['revenue_growth', 'REAL', 'summary.financialData.revenueGrowth'],
+            ['gross_margins', 'REAL', 'summary.financialData.grossMargins'],
+            ['operating_margins', 'REAL', 'summary.financialData.operatingMargins'],
+            ['ebitda', 'REAL', 'summary.financialData.ebitda'],
+            ['total_cash', 'REAL', 'summary.financialData.totalCash'],
+            ['total_debt', 'REAL', 'summary.financialData.totalDebt'],
+            ['debt_to_equity', 'REAL', 'summary.financialData.debtToEquity'],
+            ['return_on_equity', 'REAL', 'summary.financialData.returnOnEquity'],
+            ['operating_cashflow', 'REAL', 'summary.financialData.operatingCashflow'],
+            ['free_cashflow', 'REAL', 'summary.financialData.freeCashflow']
+        ],
+        indexes: [
+            { name: 'idx_financial_data_total_revenue', definition: 'ON financial_data (total_revenue)' }
+        ]
+    }
+];
+
+// Whatever sits at a dotted path of the record (undefined when a step is missing)
+function nodeAt(record, path) {
+    return path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), record);
+}
+
+// Column value at a dotted path; Yahoo { raw, fmt } wrappers are unwrapped and dates stored as ISO text
+function valueAt(record, path) {
+    let value = nodeAt(record, path);
+    if (value && typeof value === 'object' && 'raw' in value) {
+        value = value.raw;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (value === undefined || (typeof value === 'object' && value !== null)) {
+        return null;
+    }
+    return value;
+}
+
+// True when `path` leads to an object (a quote or a summary module)
+function isPresent(record, path) {
+    const node = nodeAt(record, path);
+    return Boolean(node) && typeof node === 'object';
+}
+
+// First value held by one of `paths`
+function columnValue(record, paths) {
+    for (const path of [].concat(paths)) {
+        const value = valueAt(record, path);
+        if (value !== null) {
+            return value;
+        }
+    }
+    return null;
+}
+
+class FundamentalsStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Create the normalized tables and their indexes if needed
+    async initTables() {
+        for (const { table, columns, indexes } of NORMALIZED_TABLES) {
+            await this.run(`
+                CREATE TABLE IF NOT EXISTS ${table} (
+                    ticker TEXT PRIMARY KEY,
+                    ${columns.map(([name, type]) => `${name} ${type}`).join(',\n                    ')},
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            for (const index of indexes) {
+                await this.run(`CREATE INDEX IF NOT EXISTS ${index.name} ${index.definition}`);
+            }
+        }
+    }
+
+    // Promise wrapper around db.run
+    async run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    // Replace the normalized rows of `ticker` from a stored record (the json_data object).
+    // Tables whose sources are missing from the record lose their row, so they never keep stale data.
+    async write(ticker, record) {
+        for (const { table, sources, columns } of NORMALIZED_TABLES) {
+            if (!sources.some(source => isPresent(record, source))) {
+                await this.run(`DELETE FROM ${table} WHERE ticker = ?`, [ticker]);
+                continue;
+            }
+            await this.run(
+                `INSERT OR REPLACE INTO ${table} (ticker, ${columns.map(([name]) => name).join(', ')}, updated_at)
+                 VALUES (?, ${columns.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)`,
+                [ticker, ...columns.map(([, , paths]) => columnValue(record, paths))]
+            );
+        }
+    }
+}
+
+module.exports = FundamentalsStore;
+module.exports.NORMALIZED_TABLES = NORMALIZED_TABLES;
+module.exports.valueAt = valueAt;
@@ -0,0 +1,234 @@
+// Daily price history for return-data.js in ticker_data.db.
+// Bars live in daily_bars, one row per ticker and date, instead of inside ticker_data.json_data.
+// history_sync keeps each ticker's high-water mark, so a run only asks the provider for bars
+// from the last stored date on. Every --full-sync-days (or when a refetched bar no longer matches
+// the stored one, i.e. Yahoo back-adjusted the series after a split) the whole history is
+// downloaded again and replaces the stored bars.
+
+const HISTORY_START = '1900-01-01';
+
+// Days between full re-syncs of a ticker's history
+const DEFAULT_FULL_SYNC_DAYS = 30;
+
+// Relative close difference on the overlapping bar that means the series was re-adjusted
+const ADJUSTMENT_TOLERANCE = 0.005;
+
+const SYNC_MODE = {
+    FULL: 'full',
+    INCREMENTAL: 'incremental',
+    CURRENT: 'current' // Already has today's bar, nothing to fetch
+};
+
+// YYYY-MM-DD of a Date (or date string)
+function toDateKey(value) {
+    return new Date(value).toISOString().split('T')[0];
+}
+
+class HistoryStore {
+    constructor(db, { fullSyncDays = parseFloat(process.env.HISTORY_FULL_SYNC_DAYS) || DEFAULT_FULL_SYNC_DAYS } = {}) {
+        this.db = db;
+        this.fullSyncDays = fullSyncDays;
+    }
+
+    // Create the daily_bars and history_sync tables if needed
+    async initTables() {
+        const statements = [
+            `CREATE TABLE IF NOT EXISTS daily_bars (
+                ticker TEXT NOT NULL,
+                date TEXT NOT NULL,
+                open REAL,
+                high REAL,
+                low REAL,
+                close REAL,
+                adj_close REAL,
+                volume INTEGER,
+                PRIMARY KEY (ticker, date)
+            ) WITHOUT ROWID`,
+            `CREATE TABLE IF NOT EXISTS history_sync (
+                ticker TEXT PRIMARY KEY,
+                first_date TEXT,
+                last_date TEXT,
+                bar_count INTEGER DEFAULT 0,
+                last_mode TEXT,
+                last_sync_at DATETIME,
+                last_full_sync_at DATETIME
+            )`
+        ];
+
+        for (const statement of statements) {
+            await this.run(statement);
+        }
+    }
+
+    // Promise wrapper around db.run
+    async run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    async getSyncState(ticker) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT *, (julianday('now') - julianday(last_full_sync_at)) as days_since_full
+                FROM history_sync
+                WHERE ticker = ?
+            `;
+            this.db.get(query, [ticker], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    // What to request for `ticker`: { mode, reason, period1, period2, lastBar }.
+    // `full` forces a complete download (--full-history).
+    async planFetch(ticker, { full = false } = {}) {
+        const period2 = toDateKey(new Date());
+        const state = await this.getSyncState(ticker);
+        const fullPlan = reason => ({ mode: SYNC_MODE.FULL, reason, period1: HISTORY_START, period2, lastBar: null });
+
+        if (full) {
+            return fullPlan('requested');
+        }
+        if (!state || !state.last_date) {
+            return fullPlan('no stored history');
+        }
+        if (state.days_since_full === null || state.days_since_full >= this.fullSyncDays) {
+            return fullPlan(`last full sync over ${this.fullSyncDays} days ago`);
+        }
+        if (state.last_date >= period2) {
+            return { mode: SYNC_MODE.CURRENT, reason: 'up to date', period1: state.last_date, period2, lastBar: null };
+        }
+
+        // Start at the last stored bar: it may have been a partial day, and comparing it with the
+        // refetched one shows whether the series has been re-adjusted since
+        const lastBar = await this.getBar(ticker, state.last_date);
+        return { mode: SYNC_MODE.INCREMENTAL, reason: `after ${state.last_date}`, period1: state.last_date, period2, lastBar };
+    }
+
+    // True when an incremental fetch's copy of the last stored bar has a different close,
+    // so the stored history is stale and needs a full re-sync
+    isReadjusted(plan, bars) {
+        if (plan.mode !== SYNC_MODE.INCREMENTAL || !plan.lastBar || !plan.lastBar.close) {
+            return false;
+        }
+        const overlap = (bars || []).find(bar => toDateKey(bar.date) === plan.lastBar.date);
+        if (!overlap || !overlap.close) {
+            return false;
+        }
+        return Math.abs(overlap.close - plan.lastBar.close) / plan.lastBar.close > ADJUSTMENT_TOLERANCE;
+    }
+
+    // Store fetched bars: a full sync replaces the ticker's history, an incremental one upserts.
+    // Run it inside the caller's transaction. Resolves with the updated history_sync row.
+    async saveBars(ticker, bars, mode) {
+        if (mode === SYNC_MODE.FULL) {
+            await this.run('DELETE FROM daily_bars WHERE ticker = ?', [ticker]);
+        }
+        for (const bar of bars || []) {
+            await this.run(
+                `INSERT OR REPLACE INTO daily_bars (ticker, date, open, high, low, close, adj_close, volume)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [ticker, toDateKey(bar.date), bar.open, bar.high, bar.low, bar.close, bar.adjClose, bar.volume]
+            );
+        }
+        await this.run(`
+            INSERT INTO history_sync (ticker, first_date, last_date, bar_count, last_mode, last_sync_at, last_full_sync_at)
+            SELECT ?, MIN(date), MAX(date), COUNT(*), ?, CURRENT_TIMESTAMP, CASE WHEN ? THEN CURRENT_TIMESTAMP END
+            FROM daily_bars WHERE ticker = ?
+            ON CONFLICT(ticker) DO UPDATE SET
+                first_date = excluded.first_date,
+                last_date = excluded.last_date,
+                bar_count = excluded.bar_count,
+                last_mode = excluded.last_mode,
+                last_sync_at = excluded.last_sync_at,
+                last_full_sync_at = COALESCE(excluded.last_full_sync_at, history_sync.last_full_sync_at)
+        `, [ticker, mode, mode === SYNC_MODE.FULL ? 1 : 0, ticker]);
+        return this.getSyncState(ticker);
+    }
+
+    async getBar(ticker, date) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM daily_bars WHERE ticker = ? AND date = ?', [ticker, date], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    // Stored bars of `ticker`, oldest first, in the shape the provider returns them
+    async getBars(ticker) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT date, open, high, low, close, adj_close as adjClose, volume
+                FROM daily_bars WHERE ticker = ? ORDER BY date
+            `;
+            this.db.all(query, [ticker], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // statistics.historicalStats over the whole stored history (null without bars)
+    async getStats(ticker) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT
+                    COUNT(*) as total_days,
+                    AVG(close) as average_close,
+                    MAX(close) as highest_close,
+                    MIN(close) as lowest_close,
+                    AVG(volume) as average_volume,
+                    (SELECT close FROM daily_bars WHERE ticker = ? ORDER BY date LIMIT 1) as first_close,
+                    (SELECT close FROM daily_bars WHERE ticker = ? ORDER BY date DESC LIMIT 1) as last_close
+                FROM daily_bars WHERE ticker = ?
+            `;
+            this.db.get(query, [ticker, ticker, ticker], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else if (!row || row.total_days === 0) {
+                    resolve(null);
+                } else {
+                    resolve({
+                        totalDays: row.total_days,
+                        averageClose: (row.average_close || 0).toFixed(2),
+                        highestClose: (row.highest_close || 0).toFixed(2),
+                        lowestClose: (row.lowest_close || 0).toFixed(2),
+                        averageVolume: Math.round(row.average_volume || 0),
+                        priceChange: row.total_days > 1 && row.first_close
+                            ? ((row.last_close - row.first_close) / row.first_close * 100).toFixed(2) + '%'
+                            : 'N/A'
+                    });
+                }
+            });
+        });
+    }
+
+    // Tickers with stored history, their bars and how many are due a full re-sync, for run summaries
+    async getSummary() {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT
+                    COUNT(*) as tickers,
+                    COALESCE(SUM(bar_count), 0) as bars,
+                    SUM(CASE WHEN last_full_sync_at < datetime('now', '-${this.fullSyncDays} days') THEN 1 ELSE 0 END) as full_sync_due
+                FROM history_sync
+            `;
+            this.db.get(query, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+}
+
+module.exports = HistoryStore;
+module.exports.HISTORY_START = HISTORY_START;
+module.exports.DEFAULT_FULL_SYNC_DAYS = DEFAULT_FULL_SYNC_DAYS;
+module.exports.SYNC_MODE = SYNC_MODE;
+module.exports.toDateKey = toDateKey;
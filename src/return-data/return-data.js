@@ -1,91 +1,124 @@
-const yahooFinance = require('yahoo-finance2').default;
 const fs = require('fs');
 const path = require('path');
 const Database = require('sqlite3').Database;
+const { createRateController } = require('../network/proxy-pool');
+const { createProvider } = require('../providers');
+const { FETCH_ISSUE_KIND, runWithFetchContext } = require('../providers/fetch-context');
+const { initTickersTable } = require('../db/schema');
+const TickerAliasStore = require('../db/ticker-aliases');
+const { aliasExcludeSql } = require('../db/ticker-aliases');
+const StrikeTracker = require('../validate/inactive-strikes');
+const { STRIKE_RESET_SQL } = require('../validate/inactive-strikes');
+const HistoryStore = require('./history-store');
+const FundamentalsStore = require('./fundamentals-store');
+const CorporateActionsStore = require('./corporate-actions');
+const SummaryModuleStore = require('./summary-modules');
+const FetchIssueStore = require('./fetch-issues');
+const { getSummaryProfile, parseProfileArg } = require('./summary-modules');
+const { buildAdjustedSeries, totalReturnPercent } = require('./corporate-actions');
+const { SYNC_MODE, HISTORY_START } = require('./history-store');
+const { initTickerDataSchema } = require('./ticker-data-schema');
 
-// Suppress Yahoo Finance validation warnings and errors
-yahooFinance.suppressNotices(['yahooSurvey', 'ripHistorical']);
+// Every Yahoo request goes through an adaptive limiter (one per proxy when PROXY_URLS is set);
+// full-history downloads are large, so start slow (incremental ones only ask for recent bars)
+const rateController = createRateController({
+    name: 'return-data',
+    initialRate: 2,
+    maxRate: 10,
+    initialConcurrency: 1,
+    maxConcurrency: 4,
+    latencyTargetMs: 4000
+});
 
-// Additional error suppression - redirect console errors during processing
-const originalConsoleError = console.error;
-let suppressErrors = false;
-let capturedValidationWarnings = new Set();
-
-function toggleErrorSuppression(suppress) {
-    suppressErrors = suppress;
-    if (suppress) {
-        console.error = (...args) => {
-            // Capture validation warnings for problematic tickers
-            const message = args.join(' ');
-            if (message.includes('validation') || message.includes('Expected union value') || 
-                message.includes('yahoo-finance2') || message.includes('gadicc')) {
-                
-                // Try to extract ticker symbol from the error context if possible
-                // This is a best-effort attempt to identify which ticker caused the warning
-                const currentTicker = getCurrentProcessingTicker();
-                if (currentTicker) {
-                    capturedValidationWarnings.add(currentTicker);
-                }
-                return; // Suppress these errors
-            }
-            originalConsoleError.apply(console, args); // Allow other errors through
-        };
-    } else {
-        console.error = originalConsoleError;
-    }
-}
-
-// Track the currently processing ticker for validation warning capture
-let currentProcessingTicker = null;
-function setCurrentProcessingTicker(ticker) {
-    currentProcessingTicker = ticker;
-}
-function getCurrentProcessingTicker() {
-    return currentProcessingTicker;
-}
-function hasValidationWarning(ticker) {
-    return capturedValidationWarnings.has(ticker);
-}
+// Market data source, chosen by MARKET_DATA_PROVIDER (yahoo by default)
+const provider = createProvider({ rateController });
 
 class TickerDataDatabase {
     constructor() {
-        const dbPath = path.join(process.env.DB_PATH || '/app/output', 'ticker_data.db');
-        this.db = new Database(dbPath);
+        this.dbPath = path.join(process.env.DB_PATH || '/app/output', 'ticker_data.db');
+        this.db = new Database(this.dbPath);
         
         // Also connect to the validation database to mark inactive tickers
         const validationDbPath = path.join(process.env.DB_PATH || '/app/output', 'tickers.db');
         this.validationDb = new Database(validationDbPath);
-        
-        this.initializeDatabase();
+        this.strikes = new StrikeTracker(this.validationDb); // Problem tickers are only marked inactive after several runs
+        this.validationSchema = null; // initTickersTable() on the validation DB, run on first use
+        this.history = new HistoryStore(this.db); // Daily bars and per-ticker sync state
+        this.fundamentals = new FundamentalsStore(this.db); // Normalized quote / profile / statistics rows
+        this.corporateActions = new CorporateActionsStore(this.db); // Dividends and splits
+        this.summaryModules = new SummaryModuleStore(this.db); // When each quoteSummary module was fetched
+        this.fetchIssues = new FetchIssueStore(this.db); // Schema mismatches and library warnings per ticker
+        this.writes = Promise.resolve(); // Transactions of concurrently processed tickers run one after another
+        
+        this.ready = this.initializeDatabase();
     }
 
-    initializeDatabase() {
-        const createTableSQL = `
-            CREATE TABLE IF NOT EXISTS ticker_data (
-                ticker TEXT PRIMARY KEY,
-                last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-                json_data TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `;
-        
-        this.db.run(createTableSQL, (err) => {
-            if (err) {
-                console.error('Error creating table:', err);
-            } else {
-                console.log('✅ Database initialized successfully');
+    // Create or migrate the tables (backfilling the normalized ones on first use)
+    async initializeDatabase() {
+        await initTickerDataSchema(this.db);
+        console.log('✅ Database initialized successfully');
+    }
+
+    // Run `task` in a transaction, after any other ticker's transaction has finished
+    async transaction(task) {
+        const result = this.writes.then(async () => {
+            await new Promise((resolve, reject) => this.db.run('BEGIN IMMEDIATE', err => (err ? reject(err) : resolve())));
+            try {
+                const value = await task();
+                await new Promise((resolve, reject) => this.db.run('COMMIT', err => (err ? reject(err) : resolve())));
+                return value;
+            } catch (error) {
+                await new Promise(resolve => this.db.run('ROLLBACK', () => resolve()));
+                throw error;
             }
         });
+        this.writes = result.catch(() => {});
+        return result;
+    }
+
+    // Store one fetched record: its new bars and corporate actions (described in the record instead
+    // of embedded, see src/return-data/history-store.js), the fetch times of its summary modules,
+    // its normalized rows and the json_data blob, all or nothing
+    async saveTickerData(ticker, data) {
+        return this.transaction(async () => {
+            if (data.historical) {
+                const { mode } = data.metadata.historySync;
+                const sync = await this.history.saveBars(ticker, data.historical, mode);
+                await this.corporateActions.saveEvents(ticker, data.corporateActions, mode);
+                const events = await this.corporateActions.getEvents(ticker);
+                data.metadata.historicalPeriod = { start: sync.first_date, end: sync.last_date };
+                data.metadata.recordCount.historical = sync.bar_count;
+                data.statistics.historicalStats = await this.history.getStats(ticker);
+                if (data.statistics.historicalStats) {
+                    const series = buildAdjustedSeries(await this.history.getBars(ticker), events.dividends, events.splits);
+                    data.statistics.historicalStats.totalReturn = totalReturnPercent(series);
+                }
+                data.statistics.corporateActions = this.corporateActions.summarize(events);
+                delete data.historical;
+                delete data.corporateActions;
+            }
+            if (data.metadata.summaryModules) {
+                const { requested } = data.metadata.summaryModules;
+                data.metadata.summaryModules.fetchedAt = await this.summaryModules.markFetched(ticker, requested, data.summary);
+            }
+            await this.fundamentals.write(ticker, data);
+            return this.insertOrUpdateTicker(ticker, data);
+        });
+    }
+
+    // Store the fetch issues recorded for one ticker
+    async recordFetchIssues(ticker, issues) {
+        return this.transaction(() => this.fetchIssues.record(ticker, issues));
     }
 
     async insertOrUpdateTicker(ticker, jsonData) {
         return new Promise((resolve, reject) => {
            const sql = `
-                INSERT OR REPLACE INTO ticker_data (ticker, last_updated, json_data)
-                VALUES (?, CURRENT_TIMESTAMP, ?)
+                INSERT OR REPLACE INTO ticker_data (ticker, last_updated, json_data, fetch_error)
+                VALUES (?, CURRENT_TIMESTAMP, ?, ?)
             `;
             
-            this.db.run(sql, [ticker, JSON.stringify(jsonData)], function(err) {
+            this.db.run(sql, [ticker, JSON.stringify(jsonData), jsonData.metadata.error || null], function(err) {
                 if (err) {
                     reject(err);
                 } else {
@@ -150,21 +183,36 @@ class TickerDataDatabase {
         });
     }
 
+    // Record a strike against a ticker whose data failed schema validation. It is only marked
+    // inactive once it has failed in enough separate runs (see src/validate/inactive-strikes.js).
+    // Like a validation check, the strike stamps last_checked and validation_status (the reason
+    // code); a confirmed ticker keeps its exchange and strike count.
     async markTickerInactive(ticker, reason = 'Schema validation error') {
+        this.validationSchema = this.validationSchema || initTickersTable(this.validationDb);
+        await this.validationSchema;
+
+        const status = reason.toUpperCase().replace(/\s+/g, '_');
+        const strikes = await this.strikes.recordStrike(ticker, status, { checked: true });
+        if (!this.strikes.isConfirmed(strikes)) {
+            console.log(`🟡 ${ticker}: ${reason} - ${this.strikes.describe(strikes)}, keeping it active`);
+            return { ticker, strikes, inactive: false };
+        }
+
         return new Promise((resolve, reject) => {
             const sql = `
-                UPDATE tickers 
-                SET active = 0, price = -1, exchange = ? 
+                UPDATE tickers
+                SET active = 0, price = -1, last_checked = CURRENT_TIMESTAMP, validation_status = ?,
+                    retry_count = 0, next_retry_at = NULL, ${STRIKE_RESET_SQL}
                 WHERE ticker = ?
             `;
             
-            this.validationDb.run(sql, [`INACTIVE_${reason}`, ticker], function(err) {
+            this.validationDb.run(sql, [status, 0, ticker], function(err) {
                 if (err) {
                     console.log(`⚠️  Could not mark ${ticker} as inactive in validation DB: ${err.message}`);
                     reject(err);
                 } else {
-                    console.log(`🔄 Marked ${ticker} as inactive due to: ${reason}`);
-                    resolve({ ticker, changes: this.changes });
+                    console.log(`🔄 Marked ${ticker} as inactive due to: ${reason} (${strikes} failed runs)`);
+                    resolve({ ticker, strikes, inactive: true, changes: this.changes });
                 }
             });
         });
@@ -192,39 +240,97 @@ class TickerDataDatabase {
     }
 }
 
-async function getTickerData(symbol) {
-    try {
-        // Set current ticker for validation warning tracking
-        setCurrentProcessingTicker(symbol);
-        
-        // Get comprehensive ticker data with error suppression
-        const quote = await yahooFinance.quote(symbol, {}, { validateResult: false });
-        const historicalData = await yahooFinance.historical(symbol, {
-            period1: '1900-01-01',
-            period2: new Date().toISOString().split('T')[0],
-            interval: '1d'
-        }, { validateResult: false });
-        const summary = await yahooFinance.quoteSummary(symbol, {
-            modules: ['summaryDetail', 'financialData', 'defaultKeyStatistics', 'assetProfile']
-        }, { validateResult: false });
+// Basic statistics over a list of daily bars
+function calculateHistoricalStats(historicalData) {
+    return historicalData && historicalData.length > 0 ? {
+        totalDays: historicalData.length,
+        averageClose: (historicalData.reduce((sum, day) => sum + (day.close || 0), 0) / historicalData.length).toFixed(2),
+        highestClose: Math.max(...historicalData.map(day => day.close || 0)).toFixed(2),
+        lowestClose: Math.min(...historicalData.map(day => day.close || 0)).toFixed(2),
+        averageVolume: Math.round(historicalData.reduce((sum, day) => sum + (day.volume || 0), 0) / historicalData.length),
+        priceChange: historicalData.length > 1 ? 
+            ((historicalData[historicalData.length - 1].close - historicalData[0].close) / historicalData[0].close * 100).toFixed(2) + '%' 
+            : 'N/A'
+    } : null;
+}
 
-        // Check if this ticker had validation warnings
-        const hadValidationWarnings = hasValidationWarning(symbol);
-        
-        // Clear current ticker
-        setCurrentProcessingTicker(null);
+// Fetch quote, daily history with dividends and splits, and profile for one symbol from a market data provider.
+// With a HistoryStore only the bars after the ticker's last stored date are requested (or the
+// whole history when a full re-sync is due or `fullHistory` is set); without one, everything.
+// `profile` names the quoteSummary modules; with a SummaryModuleStore only the due ones are
+// requested and the rest come from the stored record (`refreshSummary` requests them all).
+// The record's `issues` are the fetch issues the provider recorded for this symbol (see
+// src/providers/fetch-context.js); they are stored in fetch_issues, not in json_data.
+async function getTickerData(symbol, marketData = provider, options = {}) {
+    return runWithFetchContext(symbol, async (context) => {
+        const data = await fetchTickerRecord(symbol, marketData, options);
+        data.metadata.hadValidationWarnings = context.issues.some(issue => issue.kind === FETCH_ISSUE_KIND.VALIDATION);
+        data.metadata.fetchIssues = context.issues.length;
+        data.issues = context.issues;
+        return data;
+    });
+}
+
+async function fetchTickerRecord(symbol, marketData, {
+    history = null,
+    fullHistory = false,
+    profile = getSummaryProfile(),
+    summaryModules = null,
+    refreshSummary = false
+} = {}) {
+    try {
+        const quote = await marketData.fetchQuote(symbol);
+        const today = new Date().toISOString().split('T')[0];
+        let plan = history
+            ? await history.planFetch(symbol, { full: fullHistory })
+            : { mode: SYNC_MODE.FULL, reason: 'no history store', period1: HISTORY_START, period2: today };
+        let chart = { bars: [], dividends: [], splits: [] };
+        if (plan.mode !== SYNC_MODE.CURRENT) {
+            chart = await marketData.fetchChart(symbol, { period1: plan.period1, period2: plan.period2, interval: '1d' });
+        }
+        const newSplit = plan.mode === SYNC_MODE.INCREMENTAL && chart.splits.length > 0;
+        if (history && (newSplit || history.isReadjusted(plan, chart.bars))) {
+            // The stored bars predate a split / back-adjustment - replace them all
+            plan = { mode: SYNC_MODE.FULL, reason: `series re-adjusted since ${plan.lastBar ? plan.lastBar.date : plan.period1}`, period1: HISTORY_START, period2: today };
+            chart = await marketData.fetchChart(symbol, { period1: plan.period1, period2: plan.period2, interval: '1d' });
+        }
+        const historicalData = chart.bars;
+        const modulePlan = summaryModules
+            ? await summaryModules.planModules(symbol, profile.modules, { refreshAll: refreshSummary })
+            : { due: profile.modules, fresh: [], stored: {} };
+        const fetchedModules = modulePlan.due.length > 0 ? await marketData.fetchProfile(symbol, modulePlan.due) : {};
+        // Stored modules outside this run's profile are kept as they are
+        const summary = { ...modulePlan.stored };
+        modulePlan.due.forEach((module) => {
+            delete summary[module];
+        });
+        Object.assign(summary, fetchedModules);
 
         // Create structured data with metadata
         const tickerDataWithMetadata = {
             metadata: {
                 symbol: symbol,
                 fetchDate: new Date().toISOString(),
-                dataSource: 'Yahoo Finance API (yahoo-finance2)',
+                dataSource: marketData.dataSource,
                 version: '2.0.0',
-                hadValidationWarnings: hadValidationWarnings,
                 historicalPeriod: {
-                    start: '1900-01-01',
-                    end: new Date().toISOString().split('T')[0]
+                    start: plan.period1,
+                    end: plan.period2
+                },
+                historySync: {
+                    mode: plan.mode,
+                    reason: plan.reason,
+                    barsFetched: historicalData ? historicalData.length : 0,
+                    dividendsFetched: chart.dividends.length,
+                    splitsFetched: chart.splits.length
+                },
+                summaryModules: {
+                    profile: profile.name,
+                    // Modules requested and the ones Yahoo actually returned
+                    requested: modulePlan.due,
+                    fetched: modulePlan.due.filter(module => fetchedModules[module] !== undefined),
+                    reused: modulePlan.fresh,
+                    contained: Object.keys(summary)
                 },
                 recordCount: {
                     historical: historicalData ? historicalData.length : 0,
@@ -233,46 +339,34 @@ async function getTickerData(symbol) {
             },
             quote: quote,
             historical: historicalData,
+            corporateActions: { dividends: chart.dividends, splits: chart.splits },
             summary: summary,
             statistics: {
-                // Calculate basic statistics from historical data
-                historicalStats: historicalData && historicalData.length > 0 ? {
-                    totalDays: historicalData.length,
-                    averageClose: (historicalData.reduce((sum, day) => sum + (day.close || 0), 0) / historicalData.length).toFixed(2),
-                    highestClose: Math.max(...historicalData.map(day => day.close || 0)).toFixed(2),
-                    lowestClose: Math.min(...historicalData.map(day => day.close || 0)).toFixed(2),
-                    averageVolume: Math.round(historicalData.reduce((sum, day) => sum + (day.volume || 0), 0) / historicalData.length),
-                    priceChange: historicalData.length > 1 ? 
-                        ((historicalData[historicalData.length - 1].close - historicalData[0].close) / historicalData[0].close * 100).toFixed(2) + '%' 
-                        : 'N/A'
-                } : null
+                // Calculate basic statistics from historical data (over the stored history once saved)
+                historicalStats: calculateHistoricalStats(historicalData)
             }
         };
 
         return tickerDataWithMetadata;
         
     } catch (error) {
-        // Clear current ticker
-        setCurrentProcessingTicker(null);
-        
         // Detect schema/validation errors
-        const isSchemaError = error.message && (
+        const isSchemaError = error.name === 'FailedYahooValidationError' || (error.message && (
             error.message.includes('Expected union value') ||
             error.message.includes('validation') ||
             error.message.includes('schema') ||
             error.message.includes('Invalid response') ||
             error.message.toLowerCase().includes('yahoo-finance2')
-        );
+        ));
         
         return {
             metadata: {
                 symbol: symbol,
                 fetchDate: new Date().toISOString(),
-                dataSource: 'Yahoo Finance API (yahoo-finance2)',
+                dataSource: marketData.dataSource,
                 version: '2.0.0',
                 error: error.message,
-                errorType: isSchemaError ? 'SCHEMA_VALIDATION' : 'API_ERROR',
-                hadValidationWarnings: hasValidationWarning(symbol)
+                errorType: isSchemaError ? 'SCHEMA_VALIDATION' : 'API_ERROR'
             },
             quote: null,
             historical: null,
@@ -282,19 +376,31 @@ async function getTickerData(symbol) {
     }
 }
 
-async function saveTickerDataToDB(symbol, database) {
+async function saveTickerDataToDB(symbol, database, { fullHistory = false, profile = getSummaryProfile(), refreshSummary = false } = {}) {
     try {
-        const data = await getTickerData(symbol);
+        const data = await getTickerData(symbol, provider, {
+            history: database.history,
+            fullHistory,
+            profile,
+            summaryModules: database.summaryModules,
+            refreshSummary
+        });
+
+        // Issues are kept whatever happens to the record; they no longer stop it being saved
+        const { issues } = data;
+        delete data.issues;
+        if (issues.length > 0) {
+            await database.recordFetchIssues(symbol, issues);
+        }
         
-        // Check if this is a schema validation error OR had validation warnings
-        const hasSchemaIssues = (data.metadata.error && data.metadata.errorType === 'SCHEMA_VALIDATION') || 
-                               data.metadata.hadValidationWarnings;
+        // Check if the fetch itself failed on a schema error
+        const hasSchemaIssues = data.metadata.error && data.metadata.errorType === 'SCHEMA_VALIDATION';
         
         if (hasSchemaIssues) {
-            // Mark as inactive in validation database
+            // Record a strike in the validation database (marks it inactive once confirmed)
+            let markedInactive = false;
             try {
-                const reason = data.metadata.error ? 'Schema validation error' : 'Validation warnings';
-                await database.markTickerInactive(symbol, reason);
+                markedInactive = (await database.markTickerInactive(symbol, 'Schema validation error')).inactive;
             } catch (markError) {
                 // Continue even if marking inactive fails
                 console.log(`⚠️  Warning: Could not mark ${symbol} as inactive: ${markError.message}`);
@@ -304,8 +410,9 @@ async function saveTickerDataToDB(symbol, database) {
             return { 
                 symbol, 
                 success: false, 
-                error: data.metadata.error || 'Validation warnings detected - marked as inactive',
-                errorType: 'SCHEMA_VALIDATION'
+                error: data.metadata.error,
+                errorType: 'SCHEMA_VALIDATION',
+                markedInactive
             };
         }
         
@@ -319,7 +426,7 @@ async function saveTickerDataToDB(symbol, database) {
         
         // Only save to database and update timestamp if we have valid data
         if (hasValidData) {
-            await database.insertOrUpdateTicker(symbol, data);
+            await database.saveTickerData(symbol, data);
             return { symbol, success: true, data };
         } else {
             // No valid data but no explicit error - treat as temporary failure
@@ -331,41 +438,54 @@ async function saveTickerDataToDB(symbol, database) {
     }
 }
 
+// Active tickers to collect. Known aliases are left out: their data is collected under the
+// canonical symbol, which validation keeps as its own active row.
 async function loadActiveTickers() {
+    // Load active tickers directly from the validation database on the mounted volume
+    const validationDbPath = path.join(process.env.DB_PATH || '/app/output', 'tickers.db');
+    const db = new Database(validationDbPath);
+
     try {
-        // Load active tickers directly from the database
-        const validationDbPath = path.join(__dirname, '..', 'db', 'tickers.db');
-        const db = new Database(validationDbPath);
-        
-        return new Promise((resolve, reject) => {
-            const query = 'SELECT ticker FROM tickers WHERE active = 1 ORDER BY ticker';
-            
+        await new TickerAliasStore(db).initTable();
+
+        return await new Promise((resolve, reject) => {
+            const query = `SELECT ticker FROM tickers WHERE active = 1 AND ${aliasExcludeSql()} ORDER BY ticker`;
+
             db.all(query, (err, rows) => {
-                db.close();
-                
                 if (err) {
                     reject(new Error(`Failed to load active tickers from database: ${err.message}`));
                 } else {
-                    const tickers = rows.map(row => row.ticker);
-                    resolve(tickers);
+                    resolve(rows.map(row => row.ticker));
                 }
             });
         });
-        
     } catch (error) {
         throw new Error(`Failed to load active tickers: ${error.message}`);
+    } finally {
+        db.close();
     }
 }
 
-// Process all active tickers with batch processing and session management
-async function processAllActiveTickers() {
+// Process all active tickers with batch processing and session management.
+// `fullHistory` re-downloads every ticker's whole history instead of only the new bars;
+// `profile` picks the quoteSummary modules and `refreshSummary` ignores their refresh intervals.
+async function processAllActiveTickers({ fullHistory = false, profile = getSummaryProfile(), refreshSummary = false } = {}) {
     console.log('🚀 Processing all active tickers with comprehensive data...');
+    console.log(`🔌 Data source: ${provider.dataSource}`);
     
     const database = new TickerDataDatabase();
     
     try {
-        // Enable error suppression for cleaner output
-        toggleErrorSuppression(true);
+        await database.ready;
+        console.log(fullHistory
+            ? '📚 History: full re-download requested for every ticker'
+            : `📚 History: new bars only, full re-sync every ${database.history.fullSyncDays} days`);
+        console.log(`🧩 Summary profile: ${profile.name} (${profile.modules.join(', ')})${refreshSummary ? ' - refreshing every module' : ''}`);
+        const runStartedAt = new Date();
+        const prunedIssues = await database.fetchIssues.prune();
+        if (prunedIssues > 0) {
+            console.log(`🧹 Pruned ${prunedIssues} fetch issues older than ${database.fetchIssues.retentionDays} days`);
+        }
         
         // Load active tickers from the database
         const activeTickers = await loadActiveTickers();
@@ -383,6 +503,9 @@ async function processAllActiveTickers() {
         let processed = 0;
         let requestCount = 0;
         let skipped = 0;
+        const historyModes = { [SYNC_MODE.FULL]: 0, [SYNC_MODE.INCREMENTAL]: 0, [SYNC_MODE.CURRENT]: 0 };
+        let barsFetched = 0;
+        const moduleRequests = { fetched: 0, missing: 0, reused: 0 };
         
         console.log('⚡ Starting batch processing...\n');
         
@@ -391,25 +514,6 @@ async function processAllActiveTickers() {
         // Process tickers in batches of 500
         const batchSize = 100;
         
-        // Force refresh cookies/crumbs every 10,000 requests
-        const refreshInterval = 10000;
-        
-        // Enable concurrent processing (similar to validate script)
-        const concurrentRequests = 1; // Conservative for comprehensive data
-        
-        // Function to force refresh cookies/crumbs
-        async function refreshSession() {
-            try {
-                console.log('🔄 Refreshing cookies and crumbs for rate limit prevention...');
-                // Force a simple quote to refresh session
-                await yahooFinance.quote('AAPL', {}, { validateResult: false });
-                console.log('✅ Session refreshed successfully');
-                await new Promise(resolve => setTimeout(resolve, 2000)); // 2 second pause after refresh
-            } catch (error) {
-                console.log('⚠️  Session refresh warning (continuing anyway):', error.message);
-            }
-        }
-        
         for (let i = 0; i < activeTickers.length; i += batchSize) {
             const batch = activeTickers.slice(i, i + batchSize);
             const batchNumber = Math.floor(i / batchSize) + 1;
@@ -417,19 +521,18 @@ async function processAllActiveTickers() {
             
             console.log(`\n📦 Processing batch ${batchNumber}/${totalBatches}: ${batch.length} tickers (${i + 1}-${Math.min(i + batchSize, activeTickers.length)})`);
             
-            // Check if we need to refresh session before this batch
-            if (requestCount > 0 && requestCount % refreshInterval === 0) {
-                await refreshSession();
-            }
-            
             // Track tickers that need updates vs those that are recent
             let batchNeedsUpdate = [];
             let batchRecentlyUpdated = [];
             
-            // First pass: Check which tickers need updates (batch operation for efficiency)
+            // First pass: Check which tickers need updates (batch operation for efficiency).
+            // A ticker updated in the last 24 hours is only skipped when none of its summary
+            // modules are due, so module refresh intervals are not stretched by the skip.
             for (const symbol of batch) {
                 const recentCheck = await database.isTickerRecentlyChecked(symbol, 24);
-                if (recentCheck.isRecent) {
+                const upToDate = recentCheck.isRecent && !fullHistory
+                    && (await database.summaryModules.planModules(symbol, profile.modules, { refreshAll: refreshSummary })).due.length === 0;
+                if (upToDate) {
                     batchRecentlyUpdated.push({ symbol, hoursSince: recentCheck.hoursSince });
                 } else {
                     batchNeedsUpdate.push(symbol);
@@ -438,7 +541,7 @@ async function processAllActiveTickers() {
             
             skipped += batchRecentlyUpdated.length;
             
-            console.log(`   📊 Batch ${batchNumber}: ${batchNeedsUpdate.length} need updates, ${batchRecentlyUpdated.length} recently updated (skipping)`);
+            console.log(`   📊 Batch ${batchNumber}: ${batchNeedsUpdate.length} need updates, ${batchRecentlyUpdated.length} up to date (skipping)`);
             
             if (batchRecentlyUpdated.length > 0) {
                 // Show some examples of skipped tickers
@@ -446,29 +549,37 @@ async function processAllActiveTickers() {
                 console.log(`   ⏭️  Skipped examples: ${examples}${batchRecentlyUpdated.length > 3 ? ` +${batchRecentlyUpdated.length - 3} more` : ''}`);
             }
             
-            // Process only tickers that need updates with concurrent processing
+            // Process only tickers that need updates, as many at once as the rate controller allows
             const processTickersConcurrent = async (tickersToProcess) => {
-                const chunkSize = concurrentRequests;
-                const chunks = [];
-                for (let j = 0; j < tickersToProcess.length; j += chunkSize) {
-                    chunks.push(tickersToProcess.slice(j, j + chunkSize));
-                }
-                
-                for (const chunk of chunks) {
+                for (let j = 0; j < tickersToProcess.length;) {
+                    const chunk = tickersToProcess.slice(j, j + rateController.concurrency);
+                    j += chunk.length;
+                    
                     // Process chunk concurrently
                     const promises = chunk.map(async (symbol) => {
                         try {
-                            const result = await saveTickerDataToDB(symbol, database);
+                            const result = await saveTickerDataToDB(symbol, database, { fullHistory, profile, refreshSummary });
                             requestCount++;
                             
                             if (result.success) {
                                 results.push(result);
-                                console.log(`   ✅ ${symbol}: Updated successfully`);
+                                const sync = result.data.metadata.historySync;
+                                historyModes[sync.mode]++;
+                                barsFetched += sync.barsFetched;
+                                const modules = result.data.metadata.summaryModules;
+                                moduleRequests.fetched += modules.fetched.length;
+                                moduleRequests.missing += modules.requested.length - modules.fetched.length;
+                                moduleRequests.reused += modules.reused.length;
+                                const issueNote = result.data.metadata.fetchIssues > 0 ? `, ${result.data.metadata.fetchIssues} fetch issues` : '';
+                                const reusedNote = modules.reused.length > 0 ? `, ${modules.reused.length} reused` : '';
+                                console.log(`   ✅ ${symbol}: Updated successfully (${sync.mode} history, ${sync.barsFetched} bars, ${modules.fetched.length}/${modules.requested.length} summary modules fetched${reusedNote}${issueNote})`);
                                 return { symbol, success: true };
                             } else {
                                 if (result.errorType === 'SCHEMA_VALIDATION') {
-                                    schemaErrors.push({ symbol, error: result.error || 'Schema validation error' });
-                                    console.log(`   🔄 ${symbol}: Marked inactive (schema error)`);
+                                    schemaErrors.push({ symbol, error: result.error || 'Schema validation error', markedInactive: result.markedInactive });
+                                    console.log(result.markedInactive
+                                        ? `   🔄 ${symbol}: Marked inactive (schema error)`
+                                        : `   🟡 ${symbol}: Schema error (strike recorded, still active)`);
                                 } else {
                                     errors.push({ symbol, error: result.error || 'Unknown error' });
                                     // Different message for undefined vs other errors
@@ -490,11 +601,6 @@ async function processAllActiveTickers() {
                     
                     // Wait for chunk to complete
                     await Promise.allSettled(promises);
-                    
-                    // Shorter delay between chunks (instead of 2 seconds per ticker)
-                    if (chunks.indexOf(chunk) < chunks.length - 1) {
-                        await new Promise(resolve => setTimeout(resolve, 500)); // 500ms between chunks
-                    }
                 }
             };
             
@@ -515,27 +621,36 @@ async function processAllActiveTickers() {
             const tickersPerSecond = requestCount > 0 ? Math.round((requestCount / (elapsedTime / 1000)) * 10) / 10 : 0;
             
             console.log(`   ✅ Batch ${batchNumber} complete! Overall: ${processed}/${activeTickers.length} (${percentage}%) - DB: ${dbCount} records - Requests: ${requestCount} - Speed: ${tickersPerSecond}/sec`);
-            
-            // Shorter delay between batches (2 seconds instead of 10)
-            if (i + batchSize < activeTickers.length) {
-                console.log(`   ⏸️  Pausing 2s before next batch...`);
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
+            console.log(`   🚦 Rate: ${rateController.describe()}`);
         }
         
         // Get final database statistics
         const finalDbCount = await database.getTickerCount();
         const recentUpdates = await database.getRecentlyUpdated(5);
+        const historySummary = await database.history.getSummary();
+        const moduleCoverage = await database.summaryModules.getCoverage();
+        const issueSummary = await database.fetchIssues.summarizeSince(runStartedAt);
         
         // Summary
         console.log('\n🎉 Processing completed!');
         console.log(`📊 Total tickers processed: ${processed}/${activeTickers.length}`);
         console.log(`✅ Successfully processed: ${results.length} tickers`);
-        console.log(`⏭️  Skipped (recently updated): ${skipped} tickers`);
+        console.log(`⏭️  Skipped (updated in the last 24h, no summary modules due): ${skipped} tickers`);
         console.log(`❌ Failed to process: ${errors.length} tickers`);
-        console.log(`🔄 Schema errors (marked inactive): ${schemaErrors.length} tickers`);
+        console.log(`🔄 Schema errors: ${schemaErrors.length} tickers (${schemaErrors.filter(error => error.markedInactive).length} marked inactive, strike threshold ${database.strikes.threshold})`);
         console.log(`🌐 Total API requests made: ${requestCount}`);
         console.log(`💾 Total records in database: ${finalDbCount}`);
+        console.log(`📚 History: ${historyModes[SYNC_MODE.INCREMENTAL]} incremental, ${historyModes[SYNC_MODE.FULL]} full, ${historyModes[SYNC_MODE.CURRENT]} already current - ${barsFetched} bars fetched`);
+        console.log(`📚 Stored history: ${historySummary.bars} bars for ${historySummary.tickers} tickers (${historySummary.full_sync_due} due a full re-sync)`);
+        console.log(`🧩 Summary modules: ${moduleRequests.fetched} fetched, ${moduleRequests.missing} not returned, ${moduleRequests.reused} reused from stored records (profile ${profile.name})`);
+        if (moduleCoverage.length > 0) {
+            console.log(`🧩 Stored modules: ${moduleCoverage.map(({ module, tickers }) => `${module} ${tickers}`).join(', ')}`);
+        }
+        const issueCount = issueSummary.reduce((sum, row) => sum + row.issues, 0);
+        console.log(`⚠️  Fetch issues: ${issueCount}${issueCount > 0 ? ' (see the fetch_issues table)' : ''}`);
+        issueSummary.slice(0, 10).forEach(({ module, kind, issues, tickers }) => {
+            console.log(`   ${module || 'unknown'} ${kind}: ${issues} issues on ${tickers} tickers`);
+        });
         
         const totalProcessed = results.length + errors.length + schemaErrors.length;
         const successRate = totalProcessed > 0 ? ((results.length / totalProcessed) * 100).toFixed(1) : '0.0';
@@ -543,10 +658,10 @@ async function processAllActiveTickers() {
         console.log(`� Success rate: ${successRate}% (of actually processed)`);
         console.log(`⚡ Efficiency rate: ${efficiencyRate}% (avoided ${skipped} unnecessary requests)`);
         
-        // Show refresh statistics
-        const refreshCount = Math.floor(requestCount / refreshInterval);
-        if (refreshCount > 0) {
-            console.log(`🔄 Session refreshes performed: ${refreshCount} (every ${refreshInterval.toLocaleString()} requests)`);
+        console.log(`🚦 Final rate: ${rateController.describe()}`);
+        if (rateController.describeEgresses) {
+            console.log('🌐 Requests per proxy:');
+            rateController.describeEgresses().forEach(line => console.log(`   ${line}`));
         }
         
         console.log('\n📝 Recently updated tickers:');
@@ -565,9 +680,9 @@ async function processAllActiveTickers() {
         }
         
         if (schemaErrors.length > 0) {
-            console.log('\n🔄 Schema errors - marked as inactive (first 10):');
+            console.log('\n🔄 Schema errors (first 10):');
             schemaErrors.slice(0, 10).forEach(error => {
-                console.log(`   ${error.symbol}: ${error.error}`);
+                console.log(`   ${error.symbol}: ${error.error}${error.markedInactive ? ' - marked inactive' : ''}`);
             });
             if (schemaErrors.length > 10) {
                 console.log(`   ... and ${schemaErrors.length - 10} more`);
@@ -583,17 +698,32 @@ async function processAllActiveTickers() {
             failed: errors.length,
             schemaErrors: schemaErrors.length,
             totalApiRequests: requestCount,
-            sessionRefreshes: refreshCount,
+            history: {
+                syncModes: historyModes,
+                barsFetched: barsFetched,
+                storedBars: historySummary.bars,
+                storedTickers: historySummary.tickers
+            },
+            summaryModules: {
+                profile: profile.name,
+                modules: profile.modules,
+                fetched: moduleRequests.fetched,
+                missing: moduleRequests.missing,
+                reused: moduleRequests.reused,
+                coverage: moduleCoverage
+            },
+            fetchIssues: issueSummary,
+            rateLimiter: rateController.stats(),
             successRate: `${successRate}%`,
             efficiencyRate: `${efficiencyRate}%`,
             databaseRecords: finalDbCount,
-            databasePath: path.join(__dirname, '..', 'db', 'ticker_data.db'),
+            databasePath: database.dbPath,
             recentUpdates: recentUpdates,
             errors: errors.slice(0, 100), // Limit errors in summary to first 100
             schemaErrorTickers: schemaErrors.slice(0, 50) // Limit schema errors to first 50
         };
         
-        const outputDir = path.join(__dirname, '..', '..', 'output');
+        const outputDir = process.env.OUTPUT_PATH || '/app/output';
         if (!fs.existsSync(outputDir)) {
             fs.mkdirSync(outputDir, { recursive: true });
         }
@@ -601,17 +731,13 @@ async function processAllActiveTickers() {
         fs.writeFileSync(summaryPath, JSON.stringify(summaryData, null, 2));
         
         console.log(`\n📄 Processing summary saved to: ${summaryPath}`);
-        console.log(`💾 Database location: ${path.join(__dirname, '..', 'db', 'ticker_data.db')}`);
-        
-        // Restore error logging
-        toggleErrorSuppression(false);
+        console.log(`💾 Database location: ${database.dbPath}`);
         
         await database.close();
         return results;
         
     } catch (error) {
         console.error('❌ Error processing active tickers:', error.message);
-        toggleErrorSuppression(false);
         await database.close();
         return [];
     }
@@ -619,5 +745,23 @@ async function processAllActiveTickers() {
 
 // Run the processing
 if (require.main === module) {
-    processAllActiveTickers();
-}
\ No newline at end of file
+    let profile;
+    try {
+        profile = getSummaryProfile(parseProfileArg() || undefined);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    processAllActiveTickers({
+        fullHistory: process.argv.includes('--full-history'),
+        profile,
+        refreshSummary: process.argv.includes('--refresh-summary')
+    }).finally(() => {
+        // Drop pooled proxy connections so the process can exit
+        if (rateController.close) {
+            rateController.close();
+        }
+    });
+}
+
+module.exports = { getTickerData, processAllActiveTickers };
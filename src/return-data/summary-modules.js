@@ -0,0 +1,157 @@
+// quoteSummary modules collected by return-data.js and when each was last fetched.
+// A profile (--profile / SUMMARY_PROFILE) names the modules a run wants. Every module has its own
+// refresh interval: a run only requests the profile's modules that are due for a ticker and
+// carries the others over from the ticker's stored record. summary_modules in ticker_data.db
+// records when each ticker's modules were last fetched and whether Yahoo returned them.
+
+// Days before a stored module is requested again
+const SUMMARY_MODULES = {
+    summaryDetail: 1,
+    financialData: 1,
+    defaultKeyStatistics: 1,
+    calendarEvents: 1,
+    earnings: 7,
+    earningsTrend: 7,
+    assetProfile: 30,
+    incomeStatementHistory: 30,
+    balanceSheetHistory: 30,
+    cashflowStatementHistory: 30,
+    institutionOwnership: 30,
+    majorHoldersBreakdown: 30
+};
+
+const BASIC_MODULES = ['summaryDetail', 'financialData', 'defaultKeyStatistics', 'assetProfile'];
+
+const SUMMARY_PROFILES = {
+    // Price, valuation and company profile (what every record had before profiles existed)
+    basic: BASIC_MODULES,
+    // Basic plus earnings, estimates, statements and the earnings calendar
+    fundamentals: [...BASIC_MODULES, 'earnings', 'earningsTrend', 'incomeStatementHistory', 'balanceSheetHistory', 'cashflowStatementHistory', 'calendarEvents'],
+    // Basic plus institutional and insider holdings
+    ownership: [...BASIC_MODULES, 'institutionOwnership', 'majorHoldersBreakdown'],
+    full: Object.keys(SUMMARY_MODULES)
+};
+
+const DEFAULT_SUMMARY_PROFILE = 'basic';
+
+// Profile by name ({ name, modules }); unknown names throw
+function getSummaryProfile(name = process.env.SUMMARY_PROFILE || DEFAULT_SUMMARY_PROFILE) {
+    const modules = SUMMARY_PROFILES[name];
+    if (!modules) {
+        throw new Error(`Unknown summary profile "${name}" (expected one of: ${Object.keys(SUMMARY_PROFILES).join(', ')})`);
+    }
+    return { name, modules };
+}
+
+// Profile name from --profile NAME or --profile=NAME, or null
+function parseProfileArg(args = process.argv.slice(2)) {
+    const inline = args.find(arg => arg.startsWith('--profile='));
+    if (inline) {
+        return inline.slice('--profile='.length);
+    }
+    const index = args.indexOf('--profile');
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : null;
+}
+
+class SummaryModuleStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Create the summary_modules table if needed
+    async initTables() {
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS summary_modules (
+                ticker TEXT NOT NULL,
+                module TEXT NOT NULL,
+                fetched_at DATETIME NOT NULL,
+                present INTEGER NOT NULL DEFAULT 1,
+                PRIMARY KEY (ticker, module)
+            ) WITHOUT ROWID
+        `);
+    }
+
+    // Promise wrapper around db.run
+    async run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    async all(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(query, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // summary object of the ticker's stored record ({} when there is none)
+    async getStoredSummary(ticker) {
+        return new Promise((resolve, reject) => {
+            this.db.get("SELECT json_extract(json_data, '$.summary') as summary FROM ticker_data WHERE ticker = ?", [ticker], (err, row) => {
+                if (err) reject(err);
+                else resolve(row && row.summary ? JSON.parse(row.summary) : {});
+            });
+        });
+    }
+
+    // Which of `modules` to request for `ticker`: { due, fresh, stored }. `stored` is the summary
+    // of the stored record, whose fresh modules are reused. `refreshAll` makes every module due.
+    async planModules(ticker, modules, { refreshAll = false } = {}) {
+        if (refreshAll) {
+            return { due: [...modules], fresh: [], stored: await this.getStoredSummary(ticker) };
+        }
+
+        const rows = await this.all(
+            'SELECT module, present, (julianday(\'now\') - julianday(fetched_at)) as age_days FROM summary_modules WHERE ticker = ?',
+            [ticker]
+        );
+        const stored = rows.length > 0 ? await this.getStoredSummary(ticker) : {};
+        const tracked = new Map(rows.map(row => [row.module, row]));
+        const isFresh = (module) => {
+            const row = tracked.get(module);
+            // A module the stored record lost (e.g. written by an older version) is refetched
+            return Boolean(row) && row.age_days < (SUMMARY_MODULES[module] || 1) && (!row.present || stored[module] !== undefined);
+        };
+        return {
+            due: modules.filter(module => !isFresh(module)),
+            fresh: modules.filter(isFresh),
+            stored
+        };
+    }
+
+    // Record that `modules` were just requested for `ticker` (`summary` is what came back).
+    // Run it inside the caller's transaction. Resolves with { module: fetched_at } for the
+    // modules the record now contains.
+    async markFetched(ticker, modules, summary) {
+        for (const module of modules) {
+            await this.run(
+                'INSERT OR REPLACE INTO summary_modules (ticker, module, fetched_at, present) VALUES (?, ?, CURRENT_TIMESTAMP, ?)',
+                [ticker, module, summary && summary[module] !== undefined ? 1 : 0]
+            );
+        }
+        const rows = await this.all('SELECT module, fetched_at FROM summary_modules WHERE ticker = ? AND present = 1 ORDER BY module', [ticker]);
+        const fetchedAt = {};
+        rows.filter(row => summary && summary[row.module] !== undefined).forEach((row) => {
+            fetchedAt[row.module] = row.fetched_at;
+        });
+        return fetchedAt;
+    }
+
+    // Tickers holding each module, for run summaries: [{ module, tickers }]
+    async getCoverage() {
+        return this.all('SELECT module, COUNT(*) as tickers FROM summary_modules WHERE present = 1 GROUP BY module ORDER BY module');
+    }
+}
+
+module.exports = SummaryModuleStore;
+module.exports.SUMMARY_MODULES = SUMMARY_MODULES;
+module.exports.SUMMARY_PROFILES = SUMMARY_PROFILES;
+module.exports.DEFAULT_SUMMARY_PROFILE = DEFAULT_SUMMARY_PROFILE;
+module.exports.getSummaryProfile = getSummaryProfile;
+module.exports.parseProfileArg = parseProfileArg;
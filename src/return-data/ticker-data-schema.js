@@ -0,0 +1,152 @@
+// Shared schema for ticker_data.db.
+// return-data.js and the exporter call initTickerDataSchema() so that databases created by older
+// versions pick up new tables and columns, and records stored before the normalized tables
+// existed are backfilled from their json_data once.
+
+const HistoryStore = require('./history-store');
+const FundamentalsStore = require('./fundamentals-store');
+const CorporateActionsStore = require('./corporate-actions');
+const SummaryModuleStore = require('./summary-modules');
+const FetchIssueStore = require('./fetch-issues');
+const { SYNC_MODE } = require('./history-store');
+
+// PRAGMA user_version of a database whose existing records have been backfilled
+const SCHEMA_VERSION = 1;
+
+// Columns added after the original (ticker, last_updated, json_data, created_at) table
+const TICKER_DATA_COLUMNS = [
+    // metadata.error of the stored record, NULL when the fetch succeeded
+    { name: 'fetch_error', definition: 'TEXT DEFAULT NULL' }
+];
+
+// Records parsed and rewritten per backfill transaction
+const BACKFILL_CHUNK_SIZE = 200;
+
+// Promise wrapper around db.run
+function run(db, query, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(query, params, function(err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+        });
+    });
+}
+
+function get(db, query, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(query, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+        });
+    });
+}
+
+// Create ticker_data, the history, corporate action, summary module, fetch issue and normalized tables
+// and any missing columns, then backfill the normalized tables once for records written by older versions
+async function initTickerDataSchema(db) {
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS ticker_data (
+            ticker TEXT PRIMARY KEY,
+            last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+            json_data TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    const existingColumns = await new Promise((resolve, reject) => {
+        db.all('PRAGMA table_info(ticker_data)', (err, rows) => {
+            if (err) reject(err);
+            else resolve(new Set(rows.map(row => row.name)));
+        });
+    });
+    for (const column of TICKER_DATA_COLUMNS) {
+        if (!existingColumns.has(column.name)) {
+            await run(db, `ALTER TABLE ticker_data ADD COLUMN ${column.name} ${column.definition}`);
+            console.log(`🔧 Added column ticker_data.${column.name}`);
+        }
+    }
+
+    await new HistoryStore(db).initTables();
+    await new FundamentalsStore(db).initTables();
+    await new CorporateActionsStore(db).initTables();
+    await new SummaryModuleStore(db).initTables();
+    await new FetchIssueStore(db).initTables();
+
+    const { user_version: version } = await get(db, 'PRAGMA user_version');
+    if (version < SCHEMA_VERSION) {
+        await backfillNormalizedTables(db);
+        await run(db, `PRAGMA user_version = ${SCHEMA_VERSION}`);
+    }
+}
+
+// Write the normalized rows, fetch_error and daily bars of every stored record. History embedded
+// in json_data by older versions moves to daily_bars and is dropped from the blob.
+// Resolves with the number of records backfilled.
+async function backfillNormalizedTables(db) {
+    const { count: total } = await get(db, 'SELECT COUNT(*) as count FROM ticker_data');
+    if (total === 0) {
+        return 0;
+    }
+
+    console.log(`🔧 Backfilling normalized tables from ${total} stored records...`);
+    const history = new HistoryStore(db);
+    const fundamentals = new FundamentalsStore(db);
+    let lastRowid = 0;
+    let backfilled = 0;
+    let corrupt = 0;
+
+    while (true) {
+        const rows = await new Promise((resolve, reject) => {
+            db.all('SELECT rowid, ticker, json_data FROM ticker_data WHERE rowid > ? ORDER BY rowid LIMIT ?', [lastRowid, BACKFILL_CHUNK_SIZE], (err, result) => {
+                if (err) reject(err);
+                else resolve(result);
+            });
+        });
+        if (rows.length === 0) {
+            break;
+        }
+
+        await run(db, 'BEGIN IMMEDIATE');
+        try {
+            for (const row of rows) {
+                lastRowid = row.rowid;
+                let record;
+                try {
+                    record = JSON.parse(row.json_data);
+                } catch (parseError) {
+                    corrupt++;
+                    continue;
+                }
+
+                await fundamentals.write(row.ticker, record);
+                const fetchError = (record.metadata && record.metadata.error) || null;
+                if (Array.isArray(record.historical)) {
+                    if (record.historical.length > 0) {
+                        await history.saveBars(row.ticker, record.historical, SYNC_MODE.FULL);
+                    }
+                    delete record.historical;
+                    await run(db, 'UPDATE ticker_data SET json_data = ?, fetch_error = ? WHERE rowid = ?', [JSON.stringify(record), fetchError, row.rowid]);
+                } else {
+                    await run(db, 'UPDATE ticker_data SET fetch_error = ? WHERE rowid = ?', [fetchError, row.rowid]);
+                }
+                backfilled++;
+            }
+            await run(db, 'COMMIT');
+        } catch (error) {
+            await run(db, 'ROLLBACK').catch(() => {});
+            throw error;
+        }
+
+        console.log(`🔧 Backfill progress: ${backfilled + corrupt}/${total}`);
+    }
+
+    console.log(`✅ Backfilled ${backfilled} records${corrupt > 0 ? ` (${corrupt} with unreadable json_data skipped)` : ''}`);
+    return backfilled;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    TICKER_DATA_COLUMNS,
+    initTickerDataSchema,
+    backfillNormalizedTables
+};
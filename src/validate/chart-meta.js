@@ -0,0 +1,59 @@
+// Chart metadata kept from validation responses (chart.result[0].meta), so exports and
+// filters can tell ETFs from equities or spot stale quotes without running return-data.js.
+// Providers return meta in the chart endpoint's field names; batched quotes are mapped to them.
+
+// Convert epoch seconds / milliseconds, a Date or a date string to SQLite's DATETIME text
+function toSqlDateTime(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const date = typeof value === 'number'
+        ? new Date(value < 1e12 ? value * 1000 : value)
+        : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// tickers column, export field name and how to read it from chart meta
+const CHART_META_COLUMNS = [
+    { column: 'canonical_symbol', field: 'canonicalSymbol', read: meta => meta.symbol },
+    { column: 'currency', field: 'currency', read: meta => meta.currency },
+    { column: 'instrument_type', field: 'instrumentType', read: meta => meta.instrumentType },
+    { column: 'full_exchange_name', field: 'fullExchangeName', read: meta => meta.fullExchangeName },
+    { column: 'timezone', field: 'timezone', read: meta => meta.exchangeTimezoneName || meta.timezone },
+    { column: 'first_trade_date', field: 'firstTradeDate', read: meta => toSqlDateTime(meta.firstTradeDate) },
+    { column: 'regular_market_time', field: 'regularMarketTime', read: meta => toSqlDateTime(meta.regularMarketTime) },
+    { column: 'previous_close', field: 'previousClose', read: meta => meta.previousClose || meta.chartPreviousClose }
+];
+
+// Comma separated column list for SELECTs
+const CHART_META_SELECT = CHART_META_COLUMNS.map(({ column }) => column).join(', ');
+
+// SET fragment for UPDATEs. A missing value keeps what an earlier check stored,
+// so a symbol that stops answering keeps its last known metadata.
+const CHART_META_SET_SQL = CHART_META_COLUMNS.map(({ column }) => `${column} = COALESCE(?, ${column})`).join(', ');
+
+// Parameters for CHART_META_SET_SQL, in column order (all null without meta)
+function chartMetaValues(meta) {
+    return CHART_META_COLUMNS.map(({ read }) => {
+        const value = meta ? read(meta) : null;
+        return value === undefined ? null : value;
+    });
+}
+
+// camelCase export fields from a tickers row selected with CHART_META_SELECT
+function chartMetaFields(row) {
+    const fields = {};
+    CHART_META_COLUMNS.forEach(({ column, field }) => {
+        fields[field] = row[column] === undefined ? null : row[column];
+    });
+    return fields;
+}
+
+module.exports = {
+    CHART_META_COLUMNS,
+    CHART_META_SELECT,
+    CHART_META_SET_SQL,
+    toSqlDateTime,
+    chartMetaValues,
+    chartMetaFields
+};
@@ -0,0 +1,70 @@
+// Strike counting before an active ticker is marked inactive.
+// One failed probe (a 404 during a Yahoo hiccup, a yahoo-finance2 schema warning) is not
+// enough to delist a symbol. Each run that sees an active ticker fail adds one strike; the
+// ticker only flips to inactive once the strikes reach the threshold, and any successful
+// check clears them. Several failures within the same run count as one strike.
+
+// Consecutive failing runs before an active ticker is marked inactive
+const DEFAULT_STRIKE_THRESHOLD = 3;
+
+// SET fragment for updates storing a check's outcome: an active answer clears pending strikes,
+// an inactive one keeps the count it was confirmed with. Params: [active]
+const STRIKE_RESET_SQL = 'failure_strikes = CASE WHEN ? = 1 THEN 0 ELSE failure_strikes END';
+
+// Threshold from --strikes N, then INACTIVE_STRIKE_THRESHOLD, then the default
+function strikeThreshold(args = process.argv.slice(2)) {
+    const index = args.indexOf('--strikes');
+    const value = index !== -1 ? args[index + 1] : process.env.INACTIVE_STRIKE_THRESHOLD;
+    const threshold = parseInt(value);
+    return threshold > 0 ? threshold : DEFAULT_STRIKE_THRESHOLD;
+}
+
+class StrikeTracker {
+    // `runId` identifies this process, so repeated failures in one run only count once
+    constructor(db, { threshold = strikeThreshold(), runId = `${process.pid}-${Date.now()}` } = {}) {
+        this.db = db;
+        this.threshold = threshold;
+        this.runId = runId;
+    }
+
+    // Record a failed check for `ticker` with `status` (a ValidationStatus or a reason code).
+    // `checked` also stamps last_checked and validation_status, for callers that just ran a
+    // validation check. active / price / exchange are left alone.
+    // Resolves with the ticker's strike count after this observation.
+    async recordStrike(ticker, status, { checked = false } = {}) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                UPDATE tickers
+                SET failure_strikes = CASE WHEN strike_run IS ? THEN COALESCE(failure_strikes, 0) ELSE COALESCE(failure_strikes, 0) + 1 END,
+                    strike_status = ?,
+                    strike_run = ?,
+                    last_strike_at = CURRENT_TIMESTAMP
+                    ${checked ? ', validation_status = ?, last_checked = CURRENT_TIMESTAMP' : ''}
+                WHERE ticker = ?
+                RETURNING failure_strikes
+            `;
+            const params = checked
+                ? [this.runId, status, this.runId, status, ticker]
+                : [this.runId, status, this.runId, ticker];
+
+            this.db.get(query, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row ? row.failure_strikes : 0);
+            });
+        });
+    }
+
+    // True once a ticker has failed in enough separate runs to be marked inactive
+    isConfirmed(strikes) {
+        return strikes >= this.threshold;
+    }
+
+    describe(strikes) {
+        return `strike ${strikes}/${this.threshold}`;
+    }
+}
+
+module.exports = StrikeTracker;
+module.exports.DEFAULT_STRIKE_THRESHOLD = DEFAULT_STRIKE_THRESHOLD;
+module.exports.STRIKE_RESET_SQL = STRIKE_RESET_SQL;
+module.exports.strikeThreshold = strikeThreshold;
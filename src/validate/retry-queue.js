@@ -0,0 +1,104 @@
+// Retry handling for transient validation failures (rate limits, timeouts, network, 5xx).
+// Within a run, failed symbols wait in a RetryQueue with exponential backoff. Rows that
+// still fail are written back with an increasing tickers.next_retry_at so later runs
+// skip them until the backoff expires, instead of marking them inactive.
+
+const { TRANSIENT_STATUSES } = require('./validation-status');
+
+// Statuses as an SQL list for queries
+const TRANSIENT_STATUS_SQL = [...TRANSIENT_STATUSES].map(status => `'${status}'`).join(', ');
+
+// Persisted backoff: 5 minutes doubled per consecutive failure, capped at 24 hours
+const PERSISTED_RETRY_BASE_MINUTES = 5;
+const PERSISTED_RETRY_MAX_MINUTES = 1440;
+
+// UPDATE for a transient failure: record the status and push next_retry_at out,
+// leaving active / price / last_checked exactly as they were. Params: [status, ticker]
+const TRANSIENT_UPDATE_SQL = `
+    UPDATE tickers
+    SET validation_status = ?,
+        retry_count = COALESCE(retry_count, 0) + 1,
+        next_retry_at = datetime('now', '+' || MIN(${PERSISTED_RETRY_MAX_MINUTES}, ${PERSISTED_RETRY_BASE_MINUTES} << MIN(COALESCE(retry_count, 0), 10)) || ' minutes')
+    WHERE ticker = ?
+`;
+
+// WHERE fragment excluding rows whose persisted backoff has not expired yet
+const RETRY_DUE_SQL = '(next_retry_at IS NULL OR next_retry_at <= CURRENT_TIMESTAMP)';
+
+class RetryQueue {
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || 3; // Total attempts per item, including the first
+        this.baseDelayMs = options.baseDelayMs || 2000;
+        this.maxDelayMs = options.maxDelayMs || 60000;
+        this.entries = [];
+        this.gaveUp = 0;
+    }
+
+    // Exponential backoff with jitter for the given attempt number (1 = first retry)
+    backoffDelay(attempt) {
+        const delay = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+        return Math.round(delay * (0.5 + Math.random() * 0.5));
+    }
+
+    // Schedule another attempt after `attempt` failed ones.
+    // A Retry-After from the server overrides the backoff. Returns false when the item is out of attempts.
+    schedule(item, attempt, retryAfterMs = null) {
+        if (attempt >= this.maxAttempts) {
+            this.gaveUp++;
+            return false;
+        }
+
+        const delay = retryAfterMs !== null && retryAfterMs !== undefined
+            ? Math.min(retryAfterMs, this.maxDelayMs)
+            : this.backoffDelay(attempt);
+        this.entries.push({ item, attempt: attempt + 1, dueAt: Date.now() + delay });
+        return true;
+    }
+
+    // Remove and return up to `limit` entries whose backoff has expired
+    // (or expires within `graceMs`, so jittered entries are retried together)
+    takeDue(limit = Infinity, graceMs = 0) {
+        const now = Date.now() + graceMs;
+        const due = [];
+        this.entries = this.entries.filter((entry) => {
+            if (entry.dueAt <= now && due.length < limit) {
+                due.push(entry);
+                return false;
+            }
+            return true;
+        });
+        return due;
+    }
+
+    // Milliseconds until the next entry is due (0 if one is due now, null if empty)
+    msUntilNextDue() {
+        if (this.entries.length === 0) {
+            return null;
+        }
+        return Math.max(0, Math.min(...this.entries.map(entry => entry.dueAt)) - Date.now());
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    // Keep processing due entries until the queue is empty or `shouldStop` returns true.
+    // The handler receives { item, attempt } entries and reschedules what fails again.
+    async drain(handler, limit = Infinity, shouldStop = () => false) {
+        while (this.size > 0 && !shouldStop()) {
+            const wait = this.msUntilNextDue();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            const due = this.takeDue(limit, 1000);
+            if (due.length > 0) {
+                await handler(due);
+            }
+        }
+    }
+}
+
+module.exports = RetryQueue;
+module.exports.TRANSIENT_STATUS_SQL = TRANSIENT_STATUS_SQL;
+module.exports.TRANSIENT_UPDATE_SQL = TRANSIENT_UPDATE_SQL;
+module.exports.RETRY_DUE_SQL = RETRY_DUE_SQL;
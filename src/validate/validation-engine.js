@@ -0,0 +1,985 @@
+// Shared validation core behind validate-tickers.js, revalidate-active.js and revalidate-inactive.js.
+// A mode (see validation-modes.js) picks which rows to check; the engine pages through them in
+// (priority, rowid) order (scheduled modes: most overdue first), checks them with the market data
+// provider in chunks sized by the rate controller, and writes every outcome the same way whatever
+// the mode:
+//   - answers set active / price / exchange / validation_status / last_checked and the chart meta
+//   - transient failures only record their status and backoff, and are retried within the run
+//   - an active ticker that stops answering only goes inactive after enough strikes
+//   - an answer under another symbol records the alias and writes the canonical symbol's row
+// Every run is checkpointed in validation_runs, so any mode can be resumed with --resume.
+// --budget caps the requests a run may start, so a scheduled job only does what fits its slot.
+// With --worker, several processes share a mode's selection by leasing rowid ranges (work-leases.js).
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { initTickersTable } = require('../db/schema');
+const { parseTickerFilterArgs, buildTickerFilter, describeTickerFilter } = require('../db/ticker-filters');
+const { createRateController } = require('../network/proxy-pool');
+const { createProvider } = require('../providers');
+const ValidationRunStore = require('./validation-runs');
+const { RUN_STATUS } = require('./validation-runs');
+const RetryQueue = require('./retry-queue');
+const { TRANSIENT_STATUS_SQL, TRANSIENT_UPDATE_SQL, RETRY_DUE_SQL } = require('./retry-queue');
+const { ValidationStatus, isTransient } = require('./validation-status');
+const { CHART_META_COLUMNS, CHART_META_SET_SQL, chartMetaValues } = require('./chart-meta');
+const TickerAliasStore = require('../db/ticker-aliases');
+const { isAlias } = require('../db/ticker-aliases');
+const StrikeTracker = require('./inactive-strikes');
+const { STRIKE_RESET_SQL } = require('./inactive-strikes');
+const { BATCH_QUOTE_RATE, DEFAULT_STALE_DAYS, getValidationMode } = require('./validation-modes');
+const { SCHEDULE_TIERS, getScheduleSummary } = require('../db/revalidation-schedule');
+const WorkLeaseStore = require('./work-leases');
+const { DEFAULT_LEASE_SECONDS, DEFAULT_RANGE_SIZE } = require('./work-leases');
+
+// Symbols per multi-symbol quote request when --batch-quotes is given without a size
+const DEFAULT_QUOTE_BATCH_SIZE = 50;
+
+// Per-symbol request timeout, the same for every mode (--timeout overrides it)
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Empty per-run / per-batch counters
+function emptyCounts() {
+    return {
+        validated: 0,
+        active: 0, // Answered active under the requested symbol
+        inactive: 0, // Answered inactive (including strikes below the threshold)
+        newlyActive: 0, // Was checked inactive before, active now
+        nowInactive: 0, // Was active before, marked inactive now
+        strikes: 0, // Was active, failed, kept active below the strike threshold
+        priceUpdates: 0,
+        aliases: 0,
+        transient: 0,
+        deferred: 0, // Follow-up checks the request budget had no room for, queued instead
+        errors: 0
+    };
+}
+
+// Add `counts` into `totals`
+function addCounts(totals, counts) {
+    Object.keys(counts).forEach((key) => {
+        totals[key] = (totals[key] || 0) + counts[key];
+    });
+    return totals;
+}
+
+class ValidationEngine {
+    // `mode` names a validation mode; `quoteBatchSize` switches to batched quote validation
+    // `requestBudget` caps the provider requests the engine starts (null for no cap)
+    constructor({ mode = 'unvalidated', quoteBatchSize = null, timeoutMs = DEFAULT_TIMEOUT_MS, requestBudget = null } = {}) {
+        this.mode = getValidationMode(mode);
+        this.dbPath = path.join(process.env.DB_PATH || '/app/output', 'tickers.db');
+        this.db = new sqlite3.Database(this.dbPath);
+        // Other validators (workers on other pods) may hold the write lock for a moment
+        this.db.configure('busyTimeout', 30000);
+        this.batchSize = 500; // Rows pulled from the selection per page
+        this.quoteBatchSize = quoteBatchSize;
+        // Pacing adapts to Yahoo's responses (backs off on 429s and slow replies), per proxy
+        // when PROXY_URLS / PROXY_LIST_FILE configure a pool
+        this.rateController = createRateController(quoteBatchSize
+            ? { ...this.mode.rate, ...BATCH_QUOTE_RATE, name: `${this.mode.rate.name}-batch` }
+            : this.mode.rate);
+        this.provider = createProvider({
+            rateController: this.rateController,
+            userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+        });
+        this.timeoutMs = timeoutMs;
+        this.quoteTimeoutMs = 10000; // A multi-symbol quote answers for the whole group
+        this.requestBudget = requestBudget;
+        this.runs = new ValidationRunStore(this.db);
+        this.aliases = new TickerAliasStore(this.db); // Requested symbols Yahoo answers under another symbol
+        this.strikes = new StrikeTracker(this.db); // Active tickers only go inactive after several failed runs
+        this.retryQueue = new RetryQueue(); // Rate-limited / timed-out rows retried later in the run
+        this.stopRequested = false; // Set by SIGINT / SIGTERM to stop after the current chunk
+    }
+
+    // Make sure the tickers table has every column the engine reads and writes
+    async initDatabase() {
+        await initTickersTable(this.db);
+        await this.runs.initTable();
+        await this.aliases.initTable();
+    }
+
+    // WHERE clause for the mode's selection narrowed by `options` (filters, variantsOnly, tiers, where,
+    // rowRange: a leased [first, last] rowid range).
+    // Rows waiting out a transient-failure backoff are skipped. The optional cursor skips
+    // everything up to the last checkpointed (priority, rowid). Draining modes ignore it: their
+    // checked rows leave the selection (a price is set, or the row is rescheduled), and priorities
+    // can be rewritten by the ranker between sessions of a resumed run.
+    buildSelectionWhere(options = {}, cursor = null) {
+        let where = `WHERE ${this.mode.where(options)} AND ${RETRY_DUE_SQL}`;
+        const params = [];
+        const filters = options.filters || {};
+        if (filters.variantsOnly) {
+            where += ' AND base_ticker IS NOT NULL';
+        }
+        if (options.tiers && options.tiers.length > 0) {
+            where += ` AND check_tier IN (${options.tiers.map(() => '?').join(', ')})`;
+            params.push(...options.tiers);
+        }
+        const { clause, params: filterParams } = buildTickerFilter(filters);
+        if (clause) {
+            where += ` AND ${clause}`;
+            params.push(...filterParams);
+        }
+        if (options.where) {
+            where += ` AND (${options.where})`;
+        }
+        if (options.rowRange) {
+            where += ' AND rowid BETWEEN ? AND ?';
+            params.push(...options.rowRange);
+        }
+        if (!this.mode.drains && cursor && cursor.rowid !== null && cursor.rowid !== undefined) {
+            where += ' AND (priority < ? OR (priority = ? AND rowid > ?))';
+            params.push(cursor.priority, cursor.priority, cursor.rowid);
+        }
+        return { where, params };
+    }
+
+    // Next page of selected rows, highest priority first (or in the mode's own order)
+    async getCandidates(limit = null, options = {}, cursor = null) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this.buildSelectionWhere(options, cursor);
+            let query = `SELECT rowid, ticker, priority, active, price, exchange FROM tickers ${where} ORDER BY ${this.mode.order || 'priority DESC, rowid'}`;
+            if (limit) {
+                query += ` LIMIT ${limit}`;
+            }
+
+            this.db.all(query, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // Number of selected rows (after the cursor, if given)
+    async countCandidates(options = {}, cursor = null) {
+        return new Promise((resolve, reject) => {
+            const { where, params } = this.buildSelectionWhere(options, cursor);
+            this.db.get(`SELECT COUNT(*) as count FROM tickers ${where}`, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row.count);
+            });
+        });
+    }
+
+    // Rows to validate per concurrent chunk: one per request, or one quote group per request in batch mode
+    chunkSize() {
+        return this.rateController.concurrency * (this.quoteBatchSize || 1);
+    }
+
+    // Requests still allowed by the budget (Infinity without one)
+    budgetLeft() {
+        if (!this.requestBudget) {
+            return Infinity;
+        }
+        return Math.max(this.requestBudget - this.rateController.stats().requests, 0);
+    }
+
+    // True once the run may not start any more requests
+    budgetSpent() {
+        return this.budgetLeft() === 0;
+    }
+
+    // Check rows with the provider. Resolves to one result per row: { row, ticker, status, ... }
+    async validateRows(rows) {
+        const tickers = rows.map(row => row.ticker);
+        const options = { timeoutMs: this.quoteBatchSize ? this.quoteTimeoutMs : this.timeoutMs, requireExchange: true };
+        const answers = new Map();
+
+        if (this.quoteBatchSize) {
+            // One multi-symbol request per group; the provider splits each response back per ticker.
+            // Per-symbol follow-up checks share what the budget has left after the group requests.
+            const groups = [];
+            for (let i = 0; i < tickers.length; i += this.quoteBatchSize) {
+                groups.push(tickers.slice(i, i + this.quoteBatchSize));
+            }
+            let allowance = this.budgetLeft() - groups.length;
+            const reserveRequest = () => {
+                if (allowance <= 0) {
+                    return false;
+                }
+                allowance--;
+                return true;
+            };
+            const settled = await Promise.allSettled(groups.map(group => this.provider.validateSymbols(group, { ...options, reserveRequest })));
+            settled.forEach((result) => {
+                if (result.status === 'fulfilled') {
+                    result.value.forEach((value, ticker) => answers.set(ticker, value));
+                }
+            });
+        } else {
+            const settled = await Promise.allSettled(tickers.map(ticker => this.provider.validateSymbol(ticker, options)));
+            settled.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    answers.set(tickers[index], result.value);
+                }
+            });
+        }
+
+        // A provider that threw counts as a network failure and is retried
+        return rows.map(row => ({
+            row,
+            ticker: row.ticker,
+            ...this.toValidationData(answers.get(row.ticker) || { status: ValidationStatus.NETWORK }, row)
+        }));
+    }
+
+    // Turn a provider answer into row values. Transient failures and deferred checks carry no verdict.
+    // An inactive answer for a ticker that was active is labelled NOT_FOUND / DELISTED.
+    toValidationData({ status, meta = null, retryAfterMs = null, deferred = false }, row) {
+        if (deferred) {
+            return { status, transient: true, deferred: true, retryAfterMs: null };
+        }
+        if (status === ValidationStatus.ACTIVE) {
+            return { status, active: true, price: meta.regularMarketPrice, exchange: meta.exchangeName, symbol: meta.symbol || row.ticker, meta };
+        }
+        if (isTransient(status)) {
+            return { status, transient: true, retryAfterMs };
+        }
+        const exchange = row.active !== 1 ? 'INACTIVE' : (status === ValidationStatus.NOT_FOUND ? 'NOT_FOUND' : 'DELISTED');
+        return { status, active: false, price: -1, exchange, meta };
+    }
+
+    // Record a strike for each active row that failed. Resolves with the results still below
+    // the strike threshold; those keep the row active and skip the normal update.
+    async recordStrikes(results) {
+        const pending = [];
+        for (const result of results.filter(({ transient, active, row }) => !transient && !active && row.active === 1)) {
+            result.strikes = await this.strikes.recordStrike(result.ticker, result.status, { checked: true });
+            if (!this.strikes.isConfirmed(result.strikes)) {
+                pending.push(result);
+            }
+        }
+        return pending;
+    }
+
+    // Write a chunk of results inside one transaction. Resolves to { errors, pending } where
+    // `pending` holds the failed active rows that only got a strike.
+    async storeResults(results) {
+        const pending = await this.recordStrikes(results);
+        const updates = results.filter(result => !pending.includes(result));
+        if (updates.length === 0) {
+            return { errors: 0, pending };
+        }
+
+        return new Promise((resolve, reject) => {
+            const query = `
+                UPDATE tickers
+                SET active = ?, price = ?, exchange = ?, last_checked = CURRENT_TIMESTAMP,
+                    validation_status = ?, retry_count = 0, next_retry_at = NULL,
+                    ${STRIKE_RESET_SQL}, ${CHART_META_SET_SQL}
+                WHERE ticker = ?
+            `;
+
+            // An alias also writes its answer to the canonical symbol's row (created if missing,
+            // inheriting the alias's market columns) so the canonical symbol is not requested again
+            const metaColumns = CHART_META_COLUMNS.map(({ column }) => column);
+            const canonicalQuery = `
+                INSERT INTO tickers (ticker, active, price, exchange, validation_status, last_checked, source,
+                    instrument_class, market, country, exchange_suffix, ${metaColumns.join(', ')})
+                SELECT ?, 1, ?, ?, ?, CURRENT_TIMESTAMP, 'alias', instrument_class, market, country, exchange_suffix, ${metaColumns.map(() => '?').join(', ')}
+                FROM tickers WHERE ticker = ?
+                ON CONFLICT(ticker) DO UPDATE SET
+                    active = 1, price = excluded.price, exchange = excluded.exchange,
+                    validation_status = excluded.validation_status, last_checked = CURRENT_TIMESTAMP,
+                    retry_count = 0, next_retry_at = NULL, failure_strikes = 0,
+                    ${metaColumns.map(column => `${column} = COALESCE(excluded.${column}, ${column})`).join(', ')}
+            `;
+
+            let errors = 0;
+            const aliasPairs = [];
+
+            this.db.serialize(() => {
+                this.db.run('BEGIN TRANSACTION');
+                const stmt = this.db.prepare(query);
+                const transientStmt = this.db.prepare(TRANSIENT_UPDATE_SQL);
+                const canonicalStmt = this.db.prepare(canonicalQuery);
+                const onError = ticker => (err) => {
+                    if (err) {
+                        errors++;
+                        console.error(`❌ Error updating ${ticker}:`, err.message);
+                    }
+                };
+
+                updates.forEach(({ ticker, status, transient, deferred, active, price, exchange, symbol, meta }) => {
+                    // A deferred check was never requested: the row stays as it was
+                    if (transient) {
+                        if (!deferred) {
+                            transientStmt.run([status, ticker], onError(ticker));
+                        }
+                        return;
+                    }
+                    stmt.run([
+                        active ? 1 : 0,
+                        price,
+                        exchange,
+                        status,
+                        active ? 1 : 0,
+                        ...chartMetaValues(meta),
+                        ticker
+                    ], onError(ticker));
+
+                    if (active && isAlias(ticker, symbol)) {
+                        aliasPairs.push({ alias: ticker, canonical: symbol });
+                        canonicalStmt.run([symbol, price, exchange, status, ...chartMetaValues(meta), ticker], onError(symbol));
+                    }
+                });
+
+                stmt.finalize();
+                transientStmt.finalize();
+                canonicalStmt.finalize();
+                this.db.run('COMMIT', (err) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    this.aliases.recordAliases(aliasPairs, this.mode.script)
+                        .then(() => resolve({ errors, pending }))
+                        .catch(reject);
+                });
+            });
+        });
+    }
+
+    // Count and log a chunk of stored results and queue transient failures for retry.
+    // `attempts` maps a ticker to how many failed attempts it already had.
+    reportResults(results, pending, counts, attempts = {}) {
+        results.forEach((result) => {
+            const { row, ticker, status, transient, deferred, retryAfterMs, active, price, exchange, symbol, strikes } = result;
+
+            if (deferred) {
+                // Not a failed attempt: queued with the attempts it already had
+                counts.deferred++;
+                this.retryQueue.schedule(row, attempts[ticker] || 0);
+            } else if (transient) {
+                counts.transient++;
+                if (this.retryQueue.schedule(row, (attempts[ticker] || 0) + 1, retryAfterMs) && row.active === 1) {
+                    console.log(`⏳ ${ticker} check failed (${status}) - keeping it active and retrying`);
+                }
+            } else if (active && isAlias(ticker, symbol)) {
+                // Same instrument as another symbol: counted once, under its canonical symbol
+                counts.aliases++;
+                console.log(`🔀 Alias ${ticker} -> ${symbol} - ${exchange} - $${price}`);
+            } else if (active) {
+                counts.active++;
+                if (row.active === 1) {
+                    // Show significant price changes (>10%)
+                    if (row.price > 0 && Math.abs(price - row.price) / row.price > 0.1) {
+                        const change = ((price - row.price) / row.price * 100).toFixed(1);
+                        console.log(`📈 ${ticker}: $${row.price.toFixed(2)} → $${price.toFixed(2)} (${change > 0 ? '+' : ''}${change}%)`);
+                    }
+                    if (row.price !== price) {
+                        counts.priceUpdates++;
+                    }
+                } else if (row.price !== null) {
+                    counts.newlyActive++;
+                    console.log(`✨ Found previously missed ticker: ${ticker} - ${exchange} - $${price}`);
+                } else {
+                    console.log(`✅ Found active  ${ticker} - ${exchange} - $${price}`);
+                }
+            } else {
+                counts.inactive++;
+                if (pending.includes(result)) {
+                    counts.strikes++;
+                    console.log(`🟡 ${ticker} check failed (${status}) - ${this.strikes.describe(strikes)}, keeping it active`);
+                } else if (row.active === 1) {
+                    counts.nowInactive++;
+                    console.log(`⚠️  ${ticker} is now inactive after ${strikes} failed runs: ${row.exchange} → ${exchange}`);
+                }
+            }
+        });
+    }
+
+    // Check rows, write the results and queue transient failures for retry
+    async validateAndStore(rows, counts, attempts = {}) {
+        const results = await this.validateRows(rows);
+
+        let pending = [];
+        try {
+            const stored = await this.storeResults(results);
+            counts.errors += stored.errors;
+            pending = stored.pending;
+        } catch (error) {
+            console.error('❌ Bulk update failed:', error);
+            counts.errors += results.length;
+        }
+
+        this.reportResults(results, pending, counts, attempts);
+    }
+
+    // Retry queued rows whose backoff has expired
+    async processRetries(entries, counts) {
+        const attempts = {};
+        entries.forEach(({ item, attempt }) => {
+            attempts[item.ticker] = attempt - 1;
+        });
+        console.log(`🔁 Retrying ${entries.length} rate-limited / failed checks...`);
+        await this.validateAndStore(entries.map(entry => entry.item), counts, attempts);
+    }
+
+    // Process a page of rows in concurrent chunks sized by the rate controller (times the quote
+    // group size in batch mode). Results are written after every chunk and `onChunk` is called
+    // with the last row written, so an interruption loses at most one chunk of work.
+    // Chunks shrink to what is left of the request budget; the page stops once it is spent.
+    async processBatch(rows, onChunk = null) {
+        const counts = emptyCounts();
+        const perRequest = this.quoteBatchSize || 1;
+
+        console.log(`🚀 Validating batch of ${rows.length} tickers at ${this.rateController.describe()}...`);
+
+        for (let i = 0; i < rows.length && !this.budgetSpent();) {
+            // Due retries go first so rate-limited rows are not starved by new ones
+            const due = this.retryQueue.takeDue(Math.min(this.chunkSize(), this.budgetLeft() * perRequest));
+            if (due.length > 0) {
+                await this.processRetries(due, counts);
+            }
+
+            const chunkSize = Math.min(this.chunkSize(), this.budgetLeft() * perRequest);
+            if (chunkSize === 0) {
+                break;
+            }
+            const chunk = rows.slice(i, i + chunkSize);
+            await this.validateAndStore(chunk, counts);
+            counts.validated += chunk.length;
+            i += chunk.length;
+
+            if (onChunk) {
+                await onChunk(chunk[chunk.length - 1], counts);
+            }
+
+            if (this.stopRequested) {
+                break;
+            }
+        }
+
+        console.log(`💾 Database updated: ${counts.validated} tickers, ${counts.errors} errors`);
+        return counts;
+    }
+
+    // Current database statistics
+    async getStats() {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT
+                    COUNT(*) as total,
+                    SUM(CASE WHEN active = 1 THEN 1 ELSE 0 END) as active_count,
+                    SUM(CASE WHEN active = 0 AND price = -1 THEN 1 ELSE 0 END) as inactive_count,
+                    SUM(CASE WHEN price IS NULL THEN 1 ELSE 0 END) as unvalidated_count,
+                    SUM(CASE WHEN price IS NULL AND validation_status IN (${TRANSIENT_STATUS_SQL}) THEN 1 ELSE 0 END) as retry_pending_count,
+                    COUNT(CASE WHEN price IS NOT NULL THEN 1 END) as validated_count,
+                    SUM(CASE WHEN active = 1 AND failure_strikes > 0 THEN 1 ELSE 0 END) as struck_count,
+                    SUM(CASE WHEN base_ticker IS NOT NULL THEN 1 ELSE 0 END) as variant_count,
+                    SUM(CASE WHEN base_ticker IS NOT NULL AND active = 1 THEN 1 ELSE 0 END) as active_variant_count,
+                    (SELECT COUNT(*) FROM ticker_aliases) as alias_count
+                FROM tickers
+            `;
+
+            this.db.get(query, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    // Estimate completion time
+    calculateETA(remainingTickers, tickersPerSecond) {
+        const remainingSeconds = Math.ceil(remainingTickers / tickersPerSecond);
+        const hours = Math.floor(remainingSeconds / 3600);
+        const minutes = Math.floor((remainingSeconds % 3600) / 60);
+        const seconds = remainingSeconds % 60;
+
+        return `${hours}h ${minutes}m ${seconds}s`;
+    }
+
+    // Close database connection (and pooled proxy connections)
+    close() {
+        if (this.rateController.close) {
+            this.rateController.close();
+        }
+        this.db.close((err) => {
+            if (err) {
+                console.error('❌ Error closing database:', err);
+            } else {
+                console.log('✅ Database connection closed');
+            }
+        });
+    }
+}
+
+// Print recent validation runs
+async function listValidationRuns(engine) {
+    const runs = await engine.runs.listRuns();
+    if (runs.length === 0) {
+        console.log('📭 No validation runs recorded yet');
+        return;
+    }
+
+    console.log('📋 Recent validation runs:');
+    runs.forEach((run) => {
+        const total = run.total ? `/${run.total}` : '';
+        console.log(`   • ${run.run_id} ${run.script} [${run.status}] ${run.processed}${total} processed, ${run.active_count} active - started ${run.started_at}`);
+    });
+}
+
+// Start a new run, or load the one named by --resume (`latest` picks the mode's newest unfinished run)
+async function openValidationRun(engine, resumeId, params) {
+    const script = engine.mode.script;
+    if (resumeId) {
+        const run = resumeId === 'latest'
+            ? await engine.runs.getLatestUnfinishedRun(script)
+            : await engine.runs.getRun(resumeId);
+
+        if (run && run.script !== script) {
+            throw new Error(`Validation run ${run.run_id} belongs to ${run.script}, not ${script}`);
+        }
+        if (run && run.status === RUN_STATUS.COMPLETED) {
+            throw new Error(`Validation run ${run.run_id} already completed`);
+        }
+        if (run) {
+            if (run.status === RUN_STATUS.RUNNING) {
+                console.log(`⚠️  Run ${run.run_id} is still marked running - assuming its previous process died`);
+            }
+            await engine.runs.setStatus(run.run_id, RUN_STATUS.RUNNING);
+            console.log(`♻️  Resuming run ${run.run_id}: ${run.processed} already processed (${run.active_count} active)`);
+            return run;
+        }
+        if (resumeId !== 'latest') {
+            throw new Error(`Unknown validation run: ${resumeId}`);
+        }
+        console.log('📭 No unfinished run to resume - starting a new one');
+    }
+
+    const total = await engine.countCandidates(params);
+    const run = await engine.runs.createRun(script, params, params.limit ? Math.min(params.limit, total) : total);
+    console.log(`🆔 Run ID: ${run.run_id} (resume with --resume ${run.run_id})`);
+    return run;
+}
+
+// Print the lease status of a worker job
+async function listLeases(leases, job) {
+    const status = await leases.getJobStatus(job);
+    if (!status.total) {
+        console.log(`📭 No leases recorded for job ${job}`);
+        return;
+    }
+    console.log(`📋 Job ${job}: ${status.done}/${status.total} ranges done, ${status.leased} leased by ${status.workers} workers, ${status.pending} pending`);
+}
+
+// Validate the selection in `params` page by page from `cursor`, at most `toValidate` rows.
+// Counts are added into `totals`; `onChunk(cursor, batchCounts)` runs after every flushed chunk
+// and `shouldStop()` is asked between pages. Resolves with { validated, cursor }.
+async function validatePages(engine, params, { cursor = null, toValidate, totals, onChunk = null, shouldStop = () => false }) {
+    const startTime = Date.now();
+    let validated = 0;
+
+    const handleChunk = async (lastRow, batchCounts) => {
+        cursor = { priority: lastRow.priority, rowid: lastRow.rowid };
+        if (onChunk) {
+            await onChunk(cursor, batchCounts);
+        }
+    };
+
+    // Pull one priority-ordered page per batch instead of loading the whole selection up front
+    while (validated < toValidate && !engine.stopRequested && !engine.budgetSpent() && !shouldStop()) {
+        const batch = await engine.getCandidates(Math.min(engine.batchSize, toValidate - validated), params, cursor);
+        if (batch.length === 0) {
+            break;
+        }
+        const batchStartTime = Date.now();
+
+        const batchCounts = await engine.processBatch(batch, handleChunk);
+        validated += batchCounts.validated;
+        addCounts(totals, batchCounts);
+
+        const totalTime = Date.now() - startTime;
+        const progress = Math.round((validated / toValidate) * 100);
+        const speed = validated / (totalTime / 1000);
+
+        console.log(`📊 Progress: ${progress}% (${validated}/${toValidate}) - ${Math.round(speed)} tickers/sec`);
+        console.log(`📈 Batch: ${batchCounts.active} active, ${batchCounts.inactive} inactive, ${batchCounts.newlyActive} newly active, ${batchCounts.nowInactive} now inactive, ${batchCounts.strikes} strikes, ${batchCounts.aliases} aliases, ${batchCounts.transient} transient failures, ${batchCounts.deferred} deferred (${Date.now() - batchStartTime}ms)`);
+        console.log(`🚦 Rate: ${engine.rateController.describe()}`);
+        console.log(`⏱️  ETA: ${engine.calculateETA(toValidate - validated, speed)}`);
+        console.log('---');
+    }
+
+    return { validated, cursor };
+}
+
+// Worker loop: claim ranges of `job` and validate the selection inside each one until every
+// range is done (waiting on ranges other workers still hold, in case their leases expire),
+// the worker is stopped, its budget is spent or `limit` rows were validated.
+// `onChunk` checkpoints the worker's own run. Resolves with the number of rows validated.
+async function runLeasedRanges(engine, leases, job, run, params, { totals, onChunk }) {
+    let validated = 0;
+    const limitReached = () => params.limit !== null && validated >= params.limit;
+
+    while (!engine.stopRequested && !engine.budgetSpent() && !limitReached()) {
+        const lease = await leases.claim(job, run.run_id);
+        if (!lease) {
+            const status = await leases.getJobStatus(job);
+            if (!status.leased) {
+                console.log(`🏁 Every range of job ${job} is done`);
+                break;
+            }
+            const waitSeconds = Math.min(Math.max(status.next_expiry_seconds || 0, 1), 10);
+            console.log(`⏳ No free ranges - ${status.leased} still leased by ${status.workers} workers, checking again in ${waitSeconds}s`);
+            for (let waited = 0; waited < waitSeconds && !engine.stopRequested; waited++) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+            continue;
+        }
+
+        const reclaimed = lease.attempts > 1 ? ` (reclaimed, attempt ${lease.attempts})` : '';
+        console.log(`📦 Leased rows ${lease.range_start}-${lease.range_end} of job ${job}${reclaimed}`);
+
+        const rangeParams = { ...params, rowRange: [lease.range_start, lease.range_end] };
+        const available = await engine.countCandidates(rangeParams);
+        const toValidate = params.limit !== null ? Math.min(available, params.limit - validated) : available;
+        let lost = false;
+        let rangeValidated = 0;
+        let page = null;
+        let earlierPages = 0;
+        const renew = async () => {
+            if (!lost && !(await leases.heartbeat(lease, lease.processed + rangeValidated))) {
+                lost = true;
+            }
+        };
+
+        // Renew on a timer too: one chunk can outlast the lease while rate limits back it off
+        const heartbeatTimer = setInterval(() => {
+            renew().catch(error => console.log(`⚠️  Lease heartbeat failed: ${error.message}`));
+        }, leases.leaseSeconds * 1000 / 3);
+        let pages;
+        try {
+            pages = await validatePages(engine, rangeParams, {
+                toValidate,
+                totals,
+                onChunk: async (cursor, batchCounts) => {
+                    await onChunk(cursor, batchCounts);
+                    // batchCounts add up per page; a new object means the previous page is done
+                    if (batchCounts !== page) {
+                        earlierPages = rangeValidated;
+                        page = batchCounts;
+                    }
+                    rangeValidated = earlierPages + batchCounts.validated;
+                    await renew();
+                },
+                shouldStop: () => lost
+            });
+        } finally {
+            clearInterval(heartbeatTimer);
+        }
+        rangeValidated = pages.validated;
+        validated += pages.validated;
+
+        if (lost) {
+            console.log(`⚠️  Lease on rows ${lease.range_start}-${lease.range_end} expired and went to another worker - moving on`);
+        } else if (pages.validated >= available && !engine.stopRequested) {
+            await leases.complete(lease, lease.processed + rangeValidated);
+            console.log(`✅ Rows ${lease.range_start}-${lease.range_end} done (${pages.validated} validated)`);
+        } else {
+            // Stopped, out of budget or at the limit part way through: let another worker finish it
+            await leases.release(lease, lease.processed + rangeValidated);
+            console.log(`↩️  Released rows ${lease.range_start}-${lease.range_end} after ${pages.validated} of ${available}`);
+        }
+    }
+
+    return validated;
+}
+
+// Value following a command line flag, or null
+function flagValue(args, flag) {
+    const index = args.indexOf(flag);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : null;
+}
+
+// Schedule tiers from --tier recent,thin (null when not given); unknown tiers throw
+function parseTierArg(value) {
+    if (!value) {
+        return null;
+    }
+    const known = SCHEDULE_TIERS.map(({ tier }) => tier);
+    const tiers = value.split(',').map(tier => tier.trim()).filter(Boolean);
+    const unknown = tiers.filter(tier => !known.includes(tier));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown schedule tier "${unknown.join(', ')}" (expected one of: ${known.join(', ')})`);
+    }
+    return tiers;
+}
+
+// Command line entry point shared by the validator scripts.
+// `defaultMode` is the script's own mode; --mode picks another one.
+async function runValidation(defaultMode, args = process.argv.slice(2)) {
+    const modeName = flagValue(args, '--mode') || defaultMode;
+    const batchQuotesIndex = args.indexOf('--batch-quotes');
+    const quoteBatchSize = batchQuotesIndex === -1 ? null : (parseInt(args[batchQuotesIndex + 1]) || DEFAULT_QUOTE_BATCH_SIZE);
+    const timeoutMs = parseInt(flagValue(args, '--timeout')) || DEFAULT_TIMEOUT_MS;
+
+    let engine;
+    let tiers;
+    try {
+        tiers = parseTierArg(flagValue(args, '--tier'));
+        engine = new ValidationEngine({ mode: modeName, quoteBatchSize, timeoutMs, requestBudget: parseInt(flagValue(args, '--budget')) || null });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    const { mode } = engine;
+    let run = null;
+
+    // Worker mode (--worker or VALIDATION_WORKER=true) shares the selection with other processes
+    const worker = args.includes('--worker') || ['1', 'true'].includes(String(process.env.VALIDATION_WORKER).toLowerCase());
+    const job = flagValue(args, '--job') || mode.script;
+    const leases = new WorkLeaseStore(engine.db, {
+        leaseSeconds: parseInt(flagValue(args, '--lease-seconds') || process.env.VALIDATION_LEASE_SECONDS) || DEFAULT_LEASE_SECONDS,
+        rangeSize: parseInt(flagValue(args, '--range-size')) || DEFAULT_RANGE_SIZE
+    });
+
+    if (mode.requiresWhere && !flagValue(args, '--where') && !args.includes('--resume') && !args.includes('--runs') && !args.includes('--leases')) {
+        console.error(`❌ --mode ${mode.name} needs a --where "<SQL condition on tickers>"`);
+        engine.close();
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`⚡ All-Tickers Validator v3.0 - ${mode.title}`);
+    console.log('==================================');
+
+    // Stop cleanly after the current chunk; a second signal exits immediately
+    const requestStop = (signal) => {
+        if (engine.stopRequested) {
+            process.exit(1);
+        }
+        console.log(`\n🛑 ${signal} received - finishing the current chunk and saving a checkpoint...`);
+        engine.stopRequested = true;
+    };
+    process.on('SIGINT', requestStop);
+    process.on('SIGTERM', requestStop);
+
+    try {
+        const limit = parseInt(flagValue(args, '--limit')) || null;
+        const dryRun = args.includes('--dry-run');
+        const resumeIndex = args.indexOf('--resume');
+        let resumeId = resumeIndex !== -1 ? (args[resumeIndex + 1] || 'latest') : null;
+
+        await engine.initDatabase();
+        await leases.initTable();
+
+        if (args.includes('--runs')) {
+            await listValidationRuns(engine);
+            return;
+        }
+        if (args.includes('--leases')) {
+            await listLeases(leases, job);
+            return;
+        }
+        if (worker && resumeId) {
+            // Leases track a worker job's progress; a restarted worker just claims the next range
+            console.log('⚠️  --resume is ignored in worker mode - unfinished ranges are picked up through their leases');
+            resumeId = null;
+        }
+
+        const params = {
+            mode: mode.name,
+            ...(worker ? { worker: leases.workerId, job } : {}),
+            limit,
+            staleDays: parseInt(flagValue(args, '--stale-days')) || DEFAULT_STALE_DAYS,
+            where: flagValue(args, '--where'),
+            tiers,
+            filters: {
+                variantsOnly: args.includes('--variants-only'),
+                ...parseTickerFilterArgs(args)
+            }
+        };
+
+        // Get initial stats
+        const initialStats = await engine.getStats();
+        console.log(`📊 Database Status:`);
+        console.log(`   Total: ${initialStats.total}`);
+        console.log(`   ✅ Active: ${initialStats.active_count} (${initialStats.struck_count || 0} with pending strikes)`);
+        console.log(`   ❌ Inactive: ${initialStats.inactive_count}`);
+        console.log(`   🔍 Validated: ${initialStats.validated_count}`);
+        console.log(`   ⏳ Unvalidated: ${initialStats.unvalidated_count}`);
+        console.log(`   🔁 Awaiting retry: ${initialStats.retry_pending_count || 0}`);
+        console.log(`   🔀 Aliases: ${initialStats.alias_count}`);
+        console.log(`   🧬 Variants: ${initialStats.variant_count} (${initialStats.active_variant_count} active)`);
+
+        if (dryRun) {
+            console.log('🧪 DRY RUN MODE - No database updates will be made');
+            const preview = await engine.getCandidates(10, params);
+            const count = await engine.countCandidates(params);
+            console.log(`🎯 Found ${limit ? Math.min(limit, count) : count} tickers to validate`);
+            console.log(`🧪 Would validate: ${preview.map(row => row.ticker).join(', ')}${count > 10 ? '...' : ''}`);
+            return;
+        }
+
+        run = await openValidationRun(engine, resumeId, params);
+        const runParams = run.params;
+        const { filters } = runParams;
+
+        if (filters.variantsOnly) {
+            console.log('🧬 Variants only - validating share class, unit, warrant and preferred rows');
+        }
+        if (describeTickerFilter(filters)) {
+            console.log(`🌍 Filter: ${describeTickerFilter(filters)}`);
+        }
+        if (runParams.where) {
+            console.log(`🔎 Where: ${runParams.where}`);
+        }
+        if (mode.scheduled) {
+            console.log('📅 Due by tier:');
+            (await getScheduleSummary(engine.db)).forEach(({ tier, interval, due, scheduled }) => {
+                const selected = !runParams.tiers || runParams.tiers.length === 0 || runParams.tiers.includes(tier);
+                console.log(`   • ${tier} (${interval}): ${due} due of ${scheduled}${selected ? '' : ' - not selected'}`);
+            });
+        }
+        if (mode.name === 'stale') {
+            console.log(`🕐 Rechecking tickers last checked over ${runParams.staleDays} days ago`);
+        }
+
+        let cursor = { priority: run.cursor_priority, rowid: run.cursor_rowid };
+        const remainingInRun = runParams.limit ? Math.max(runParams.limit - run.processed, 0) : null;
+        const available = await engine.countCandidates(runParams, worker ? null : cursor);
+        const toValidate = remainingInRun !== null ? Math.min(remainingInRun, available) : available;
+
+        if (toValidate === 0) {
+            console.log('🎉 Nothing left to validate in this selection!');
+            await engine.runs.setStatus(run.run_id, RUN_STATUS.COMPLETED);
+            return;
+        }
+
+        console.log(`🎯 Found ${toValidate} tickers to validate${worker ? ' (shared with the other workers)' : ''}`);
+        console.log(`⚡ ${engine.batchSize} per batch, adaptive rate starting at ${engine.rateController.describe()}`);
+        console.log(`🔌 Data source: ${engine.provider.dataSource}`);
+        console.log(`🎯 Strike threshold: ${engine.strikes.threshold} failed runs before an active ticker is marked inactive`);
+        if (engine.quoteBatchSize) {
+            console.log(`📦 Batch quotes: ${engine.quoteBatchSize} symbols per request, chart check for ambiguous results`);
+        }
+
+        const tickersPerSecond = engine.rateController.rate * (engine.quoteBatchSize || 1); // Rough estimate
+        console.log(`⏱️  Estimated completion time: ${engine.calculateETA(toValidate, tickersPerSecond)}`);
+
+        if (runParams.limit) {
+            console.log(`📊 Limited to ${runParams.limit} tickers`);
+        }
+        if (engine.requestBudget) {
+            console.log(`💰 Request budget: ${engine.requestBudget} requests`);
+        }
+        if (worker) {
+            const created = await leases.seedJob(job);
+            console.log(`👷 Worker ${leases.workerId} on job ${job}: ${leases.rangeSize} rowids per range, ${leases.leaseSeconds}s leases`);
+            if (created > 0) {
+                console.log(`🧩 Split the tickers table into ${created} ranges`);
+            }
+        }
+
+        // Run totals carry over from earlier sessions of a resumed run
+        const totals = {
+            ...emptyCounts(),
+            validated: run.processed,
+            active: run.active_count,
+            inactive: run.inactive_count,
+            errors: run.error_count
+        };
+        const baseline = { ...totals };
+
+        const startTime = Date.now();
+
+        // Checkpoint the run after every flushed chunk
+        const checkpoint = async (chunkCursor, batchCounts) => {
+            cursor = chunkCursor;
+            await engine.runs.checkpoint(run.run_id, cursor, {
+                validated: totals.validated + batchCounts.validated,
+                active: totals.active + batchCounts.active,
+                inactive: totals.inactive + batchCounts.inactive,
+                errors: totals.errors + batchCounts.errors
+            });
+        };
+
+        let sessionValidated;
+        if (worker) {
+            sessionValidated = await runLeasedRanges(engine, leases, job, run, { ...runParams, limit: remainingInRun }, { totals, onChunk: checkpoint });
+        } else {
+            ({ validated: sessionValidated } = await validatePages(engine, runParams, { cursor, toValidate, totals, onChunk: checkpoint }));
+        }
+
+        // Give queued transient failures their remaining attempts before finishing
+        if (engine.retryQueue.size > 0 && !engine.stopRequested) {
+            console.log(`🔁 Waiting on ${engine.retryQueue.size} queued retries...`);
+            const retryCounts = emptyCounts();
+            await engine.retryQueue.drain(
+                entries => engine.processRetries(entries, retryCounts),
+                engine.chunkSize(),
+                () => engine.stopRequested || engine.budgetSpent()
+            );
+            addCounts(totals, retryCounts);
+            await engine.runs.checkpoint(run.run_id, cursor, totals);
+        }
+
+        const status = engine.stopRequested ? RUN_STATUS.INTERRUPTED : RUN_STATUS.COMPLETED;
+        await engine.runs.setStatus(run.run_id, status);
+
+        // Final statistics
+        const elapsedSeconds = (Date.now() - startTime) / 1000;
+        const finalStats = await engine.getStats();
+
+        if (status === RUN_STATUS.INTERRUPTED) {
+            console.log(`\n⏸️  Validation interrupted - resume with --resume ${run.run_id}`);
+        } else if (engine.budgetSpent()) {
+            const stillDue = await engine.countCandidates(runParams);
+            console.log(`\n💰 Request budget reached - ${stillDue} tickers still selected for the next run`);
+        } else {
+            console.log('\n🎉 Validation Complete!');
+        }
+        console.log(`🆔 Run: ${run.run_id} (${mode.name})`);
+        console.log(`⏱️  Session time: ${Math.round(elapsedSeconds)}s`);
+        console.log(`📊 Processed: ${sessionValidated} tickers this session, ${totals.validated} in this run`);
+        console.log(`⚡ Average speed: ${Math.round(sessionValidated / Math.max(elapsedSeconds, 0.001))} tickers/sec`);
+        console.log(`✅ Active: ${totals.active - baseline.active} this session, ${totals.active} in this run`);
+        console.log(`❌ Inactive: ${totals.inactive}`);
+        console.log(`✨ Previously inactive, now active: ${totals.newlyActive} this session`);
+        console.log(`⚠️  Active tickers now inactive: ${totals.nowInactive} this session`);
+        console.log(`🟡 Failed checks below the strike threshold (kept active): ${totals.strikes} this session`);
+        console.log(`📈 Price updates: ${totals.priceUpdates} this session`);
+        console.log(`🔀 Aliases of other symbols: ${totals.aliases} this session`);
+        console.log(`🔁 Transient failures: ${totals.transient} (${engine.retryQueue.gaveUp} left for a later run after ${engine.retryQueue.maxAttempts} attempts)`);
+        console.log(`💰 Follow-up checks deferred by the request budget: ${totals.deferred} this session`);
+        console.log(`⚠️  Errors: ${totals.errors}`);
+        const rateStats = engine.rateController.stats();
+        console.log(`🌐 Total API requests: ${rateStats.requests}`);
+        console.log(`🚦 Final rate: ${engine.rateController.describe()} (${rateStats.increases} increases, ${rateStats.decreases} backoffs)`);
+        if (engine.rateController.describeEgresses) {
+            console.log('🌐 Requests per proxy:');
+            engine.rateController.describeEgresses().forEach(line => console.log(`   ${line}`));
+        }
+
+        console.log(`\n📈 Final Database Stats:`);
+        console.log(`   Total: ${finalStats.total}`);
+        console.log(`   Active: ${finalStats.active_count} (${finalStats.struck_count || 0} with pending strikes)`);
+        console.log(`   Inactive: ${finalStats.inactive_count}`);
+        console.log(`   Validated: ${finalStats.validated_count}`);
+        console.log(`   Remaining: ${finalStats.unvalidated_count}`);
+        console.log(`   Awaiting retry: ${finalStats.retry_pending_count || 0}`);
+        console.log(`   Aliases: ${finalStats.alias_count}`);
+
+        if (totals.newlyActive > 0 || totals.nowInactive > 0) {
+            console.log('\n💡 Consider running export scripts to update your output files');
+        }
+
+    } catch (error) {
+        console.error('❌ Error during validation:', error);
+        if (run) {
+            await engine.runs.setStatus(run.run_id, RUN_STATUS.FAILED).catch(() => {});
+        }
+        process.exitCode = 1;
+    } finally {
+        engine.close();
+    }
+}
+
+module.exports = ValidationEngine;
+module.exports.DEFAULT_QUOTE_BATCH_SIZE = DEFAULT_QUOTE_BATCH_SIZE;
+module.exports.DEFAULT_TIMEOUT_MS = DEFAULT_TIMEOUT_MS;
+module.exports.runValidation = runValidation;
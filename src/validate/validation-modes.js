@@ -0,0 +1,85 @@
+// Ticker selections the validation engine can run.
+// A mode only decides which tickers rows are checked (a WHERE fragment over tickers), in what
+// order, how fast requests start and which script name is recorded on validation_runs rows and
+// alias pairs. Everything else (provider calls, retries, strikes, aliases, what gets written) is shared.
+// Scheduled modes select rows whose next_check_at has passed (see src/db/revalidation-schedule.js),
+// most overdue first; checked rows are rescheduled, so they leave the selection without a cursor.
+
+const { DUE_SQL } = require('../db/revalidation-schedule');
+
+// The stale mode rechecks rows last checked longer ago than this
+const DEFAULT_STALE_DAYS = 7;
+
+// Ordering of scheduled modes. Like `unvalidated`, they drain: checked rows leave the selection,
+// so a resumed run needs no cursor.
+const SCHEDULED = { scheduled: true, drains: true, order: 'next_check_at, rowid' };
+
+const VALIDATION_MODES = {
+    // Generated / imported candidates that were never checked, most likely listings first
+    unvalidated: {
+        script: 'validate-tickers',
+        title: 'Validating unvalidated candidates',
+        where: () => 'active = 0 AND price IS NULL',
+        drains: true,
+        // Pacing starts at 25 concurrent / 25 req/s and backs off on 429s or slow replies
+        rate: { name: 'validate', initialRate: 25, maxRate: 100, initialConcurrency: 25, maxConcurrency: 50, latencyTargetMs: 1500 }
+    },
+    // Every checked ticker that is due, whatever its tier (what the revalidation CronJob runs)
+    due: {
+        script: 'revalidate-due',
+        title: 'Revalidating due tickers',
+        where: () => DUE_SQL,
+        ...SCHEDULED,
+        rate: { name: 'revalidate-due', initialRate: 10, maxRate: 40, initialConcurrency: 10, maxConcurrency: 25 }
+    },
+    // Due active tickers, to catch delistings (through the strike threshold) and refresh prices
+    active: {
+        script: 'revalidate-active',
+        title: 'Revalidating active tickers',
+        where: () => `active = 1 AND ${DUE_SQL}`,
+        ...SCHEDULED,
+        rate: { name: 'revalidate-active', initialRate: 8, maxRate: 30, initialConcurrency: 8, maxConcurrency: 20 }
+    },
+    // Due checked tickers that came back inactive, to find listings the first pass missed
+    inactive: {
+        script: 'revalidate-inactive',
+        title: 'Revalidating inactive tickers',
+        where: () => `COALESCE(active, 0) = 0 AND ${DUE_SQL}`,
+        ...SCHEDULED,
+        rate: { name: 'revalidate-inactive', initialRate: 10, maxRate: 40, initialConcurrency: 10, maxConcurrency: 25 }
+    },
+    // Any checked ticker whose last check is older than --stale-days, active or not
+    stale: {
+        script: 'validate-stale',
+        title: 'Rechecking stale tickers',
+        where: ({ staleDays }) => `price IS NOT NULL AND (last_checked IS NULL OR last_checked < datetime('now', '-${parseInt(staleDays) || DEFAULT_STALE_DAYS} days'))`,
+        rate: { name: 'validate-stale', initialRate: 10, maxRate: 40, initialConcurrency: 10, maxConcurrency: 25 }
+    },
+    // Only the --where SQL filter (plus the usual ticker filters)
+    custom: {
+        script: 'validate-custom',
+        title: 'Validating a custom selection',
+        where: () => '1 = 1',
+        requiresWhere: true,
+        rate: { name: 'validate-custom', initialRate: 10, maxRate: 40, initialConcurrency: 10, maxConcurrency: 25 }
+    }
+};
+
+// Multi-symbol quote requests are heavier, so any mode runs fewer of them at once
+const BATCH_QUOTE_RATE = { initialRate: 5, maxRate: 20, initialConcurrency: 4, maxConcurrency: 12, latencyTargetMs: 3000 };
+
+// Mode definition by name; unknown names throw
+function getValidationMode(name) {
+    const mode = VALIDATION_MODES[name];
+    if (!mode) {
+        throw new Error(`Unknown validation mode "${name}" (expected one of: ${Object.keys(VALIDATION_MODES).join(', ')})`);
+    }
+    return { name, ...mode };
+}
+
+module.exports = {
+    VALIDATION_MODES,
+    BATCH_QUOTE_RATE,
+    DEFAULT_STALE_DAYS,
+    getValidationMode
+};
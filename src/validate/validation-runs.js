@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+
+// Persisted validation runs in tickers.db.
+// Each run stores its parameters, a keyset cursor into the priority-ordered
+// candidate list and running counts, so an interrupted run can be resumed
+// with --resume <runId> after a crash or pod restart.
+
+const RUN_STATUS = {
+    RUNNING: 'running',
+    INTERRUPTED: 'interrupted',
+    FAILED: 'failed',
+    COMPLETED: 'completed'
+};
+
+class ValidationRunStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Create the validation_runs table if needed
+    async initTable() {
+        return new Promise((resolve, reject) => {
+            const createTableQuery = `
+                CREATE TABLE IF NOT EXISTS validation_runs (
+                    run_id TEXT PRIMARY KEY,
+                    script TEXT NOT NULL,
+                    params TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    cursor_priority REAL DEFAULT NULL,
+                    cursor_rowid INTEGER DEFAULT NULL,
+                    total INTEGER DEFAULT 0,
+                    processed INTEGER DEFAULT 0,
+                    active_count INTEGER DEFAULT 0,
+                    inactive_count INTEGER DEFAULT 0,
+                    error_count INTEGER DEFAULT 0,
+                    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    finished_at DATETIME DEFAULT NULL
+                )
+            `;
+
+            this.db.run(createTableQuery, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    // Start a new run and return its row
+    async createRun(script, params, total) {
+        const runId = `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+
+        await new Promise((resolve, reject) => {
+            const query = `
+                INSERT INTO validation_runs (run_id, script, params, status, total)
+                VALUES (?, ?, ?, ?, ?)
+            `;
+
+            this.db.run(query, [runId, script, JSON.stringify(params), RUN_STATUS.RUNNING, total], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        return this.getRun(runId);
+    }
+
+    // Load a run by ID with its parameters parsed
+    async getRun(runId) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM validation_runs WHERE run_id = ?', [runId], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? { ...row, params: JSON.parse(row.params) } : null);
+                }
+            });
+        });
+    }
+
+    // Most recent run of a script that did not complete
+    async getLatestUnfinishedRun(script) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT run_id
+                FROM validation_runs
+                WHERE script = ? AND status != ?
+                ORDER BY started_at DESC, rowid DESC
+                LIMIT 1
+            `;
+
+            this.db.get(query, [script, RUN_STATUS.COMPLETED], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? this.getRun(row.run_id) : null);
+                }
+            });
+        });
+    }
+
+    // Recent runs, newest first
+    async listRuns(limit = 20) {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM validation_runs ORDER BY started_at DESC, rowid DESC LIMIT ?', [limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({ ...row, params: JSON.parse(row.params) })));
+                }
+            });
+        });
+    }
+
+    // Persist the cursor and counts after a flushed chunk
+    async checkpoint(runId, cursor, counts) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                UPDATE validation_runs
+                SET cursor_priority = ?, cursor_rowid = ?, processed = ?, active_count = ?,
+                    inactive_count = ?, error_count = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE run_id = ?
+            `;
+
+            this.db.run(query, [
+                cursor.priority,
+                cursor.rowid,
+                counts.validated,
+                counts.active,
+                counts.inactive,
+                counts.errors,
+                runId
+            ], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    // Change a run's status; completed, interrupted and failed runs also get a finish time
+    async setStatus(runId, status) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                UPDATE validation_runs
+                SET status = ?, updated_at = CURRENT_TIMESTAMP,
+                    finished_at = CASE WHEN ? = '${RUN_STATUS.RUNNING}' THEN NULL ELSE CURRENT_TIMESTAMP END
+                WHERE run_id = ?
+            `;
+
+            this.db.run(query, [status, status, runId], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+}
+
+module.exports = ValidationRunStore;
+module.exports.RUN_STATUS = RUN_STATUS;
@@ -0,0 +1,72 @@
+// Outcome of a single validation request, stored in tickers.validation_status.
+// Only ACTIVE, NOT_FOUND and NO_PRICE are answers about the symbol itself; the
+// rest describe a failed request and leave the row eligible for another attempt.
+const ValidationStatus = {
+    ACTIVE: 'ACTIVE',
+    NOT_FOUND: 'NOT_FOUND',
+    NO_PRICE: 'NO_PRICE',
+    RATE_LIMITED: 'RATE_LIMITED',
+    TIMEOUT: 'TIMEOUT',
+    NETWORK: 'NETWORK',
+    SERVER_ERROR: 'SERVER_ERROR'
+};
+
+const TRANSIENT_STATUSES = new Set([
+    ValidationStatus.RATE_LIMITED,
+    ValidationStatus.TIMEOUT,
+    ValidationStatus.NETWORK,
+    ValidationStatus.SERVER_ERROR
+]);
+
+// True when a status describes a failed request rather than the symbol
+function isTransient(status) {
+    return TRANSIENT_STATUSES.has(status);
+}
+
+// Classify a failed HTTP request: axios errors carry response.status,
+// yahoo-finance2 HTTPErrors carry the status as a numeric code
+function classifyError(error) {
+    const status = error.response ? error.response.status : (typeof error.code === 'number' ? error.code : undefined);
+
+    if (status === 404) {
+        return ValidationStatus.NOT_FOUND;
+    }
+    // Yahoo answers throttled or blocked clients with 429, and sometimes 401/403
+    if (status === 429 || status === 401 || status === 403) {
+        return ValidationStatus.RATE_LIMITED;
+    }
+    if (status >= 500) {
+        return ValidationStatus.SERVER_ERROR;
+    }
+    if (status >= 400) {
+        // Any other client error is the server rejecting the symbol
+        return ValidationStatus.NOT_FOUND;
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message || '')) {
+        return ValidationStatus.TIMEOUT;
+    }
+    return ValidationStatus.NETWORK;
+}
+
+// Classify a chart endpoint response body.
+// `requireExchange` also demands an exchange name before a symbol counts as active.
+function classifyChartResponse(data, requireExchange = false) {
+    const chart = data && data.chart;
+    const result = chart && chart.result && chart.result.length > 0 ? chart.result[0] : null;
+
+    if (!result || !result.meta) {
+        return { status: ValidationStatus.NOT_FOUND, meta: null };
+    }
+    if (!result.meta.regularMarketPrice || (requireExchange && !result.meta.exchangeName)) {
+        return { status: ValidationStatus.NO_PRICE, meta: result.meta };
+    }
+    return { status: ValidationStatus.ACTIVE, meta: result.meta };
+}
+
+module.exports = {
+    ValidationStatus,
+    TRANSIENT_STATUSES,
+    isTransient,
+    classifyError,
+    classifyChartResponse
+};
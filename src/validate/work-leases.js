@@ -0,0 +1,243 @@
+const os = require('os');
+
+// Work leases for distributed validation in tickers.db.
+// A job (one validation mode by default) splits the tickers rowid space into fixed-size ranges.
+// Worker processes on any node claim a range at a time, renew the lease while they work through
+// it and mark it done at the end. A lease whose worker stops heartbeating expires and is handed
+// to the next worker that asks, so a crashed pod only delays its range instead of losing it.
+// Rows inserted while a job runs (e.g. by a generator) land above the seeded rowids; once every
+// range has been claimed the job is extended with ranges covering them, so they join the same pass.
+// Finished ranges stay done; a new pass over the whole table runs under a new job name.
+
+const LEASE_STATUS = {
+    PENDING: 'pending',
+    LEASED: 'leased',
+    DONE: 'done'
+};
+
+// Rowids per leased range
+const DEFAULT_RANGE_SIZE = 10000;
+
+// Seconds a lease lives without a heartbeat
+const DEFAULT_LEASE_SECONDS = 300;
+
+// Worker ID from WORKER_ID, else host name (the pod name under Kubernetes) and process ID
+function defaultWorkerId() {
+    return process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+}
+
+class WorkLeaseStore {
+    constructor(db, { workerId = defaultWorkerId(), leaseSeconds = DEFAULT_LEASE_SECONDS, rangeSize = DEFAULT_RANGE_SIZE } = {}) {
+        this.db = db;
+        this.workerId = workerId;
+        this.leaseSeconds = leaseSeconds;
+        this.rangeSize = rangeSize;
+    }
+
+    // Create the validation_leases table if needed
+    async initTable() {
+        const statements = [
+            `CREATE TABLE IF NOT EXISTS validation_leases (
+                lease_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job TEXT NOT NULL,
+                range_start INTEGER NOT NULL,
+                range_end INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT '${LEASE_STATUS.PENDING}',
+                worker_id TEXT DEFAULT NULL,
+                run_id TEXT DEFAULT NULL,
+                attempts INTEGER DEFAULT 0,
+                processed INTEGER DEFAULT 0,
+                leased_at DATETIME DEFAULT NULL,
+                heartbeat_at DATETIME DEFAULT NULL,
+                expires_at DATETIME DEFAULT NULL,
+                finished_at DATETIME DEFAULT NULL,
+                UNIQUE (job, range_start)
+            )`,
+            'CREATE INDEX IF NOT EXISTS idx_validation_leases_job_status ON validation_leases (job, status)'
+        ];
+
+        for (const statement of statements) {
+            await this.run(statement);
+        }
+    }
+
+    // Promise wrapper around db.run resolving with the number of changed rows
+    async run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(query, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    // Split the current tickers rowid space into ranges for `job`, unless the job still has
+    // unfinished ranges. A job whose ranges are all done keeps them as they are and only gains
+    // ranges for rows above its high-water mark (the end of its last range); a new pass over the
+    // whole table takes a new job name. Resolves with the number of ranges created.
+    async seedJob(job) {
+        await this.run('BEGIN IMMEDIATE');
+        try {
+            const bounds = await new Promise((resolve, reject) => {
+                const query = `
+                    SELECT (SELECT COUNT(*) FROM validation_leases WHERE job = ? AND status != '${LEASE_STATUS.DONE}') as open,
+                           (SELECT MAX(range_end) FROM validation_leases WHERE job = ?) as seeded,
+                           (SELECT MIN(rowid) FROM tickers) as first,
+                           (SELECT MAX(rowid) FROM tickers) as last
+                `;
+                this.db.get(query, [job, job], (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                });
+            });
+
+            let created = 0;
+            if (bounds.open === 0 && bounds.first !== null) {
+                const first = bounds.seeded !== null ? bounds.seeded + 1 : bounds.first;
+                for (let start = first; start <= bounds.last; start += this.rangeSize) {
+                    created += await this.run(
+                        'INSERT OR IGNORE INTO validation_leases (job, range_start, range_end) VALUES (?, ?, ?)',
+                        [job, start, Math.min(start + this.rangeSize - 1, bounds.last)]
+                    );
+                }
+            }
+
+            await this.run('COMMIT');
+            return created;
+        } catch (error) {
+            await this.run('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    }
+
+    // Add ranges for rows inserted above the job's last range since it was seeded.
+    // Concurrent workers may race here; UNIQUE (job, range_start) keeps one copy of each range.
+    // Resolves with the number of ranges created.
+    async extendJob(job) {
+        await this.run('BEGIN IMMEDIATE');
+        try {
+            const bounds = await new Promise((resolve, reject) => {
+                const query = `
+                    SELECT (SELECT MAX(range_end) FROM validation_leases WHERE job = ?) as seeded,
+                           (SELECT MAX(rowid) FROM tickers) as last
+                `;
+                this.db.get(query, [job], (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                });
+            });
+
+            let created = 0;
+            if (bounds.seeded !== null && bounds.last !== null) {
+                for (let start = bounds.seeded + 1; start <= bounds.last; start += this.rangeSize) {
+                    created += await this.run(
+                        'INSERT OR IGNORE INTO validation_leases (job, range_start, range_end) VALUES (?, ?, ?)',
+                        [job, start, Math.min(start + this.rangeSize - 1, bounds.last)]
+                    );
+                }
+            }
+
+            await this.run('COMMIT');
+            return created;
+        } catch (error) {
+            await this.run('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    }
+
+    // Claim the lowest pending range of `job`, or failing that one whose lease expired. When
+    // neither is left the job is first extended over rows inserted since it was seeded.
+    // Resolves with the lease or null.
+    async claim(job, runId = null) {
+        const lease = await this.claimFree(job, runId);
+        if (lease || (await this.extendJob(job)) === 0) {
+            return lease;
+        }
+        return this.claimFree(job, runId);
+    }
+
+    // A single UPDATE, so two workers can never claim the same range
+    async claimFree(job, runId) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                UPDATE validation_leases
+                SET status = '${LEASE_STATUS.LEASED}', worker_id = ?, run_id = ?, attempts = attempts + 1,
+                    leased_at = CURRENT_TIMESTAMP, heartbeat_at = CURRENT_TIMESTAMP,
+                    expires_at = datetime('now', '+${this.leaseSeconds} seconds')
+                WHERE lease_id = (
+                    SELECT lease_id FROM validation_leases
+                    WHERE job = ?
+                      AND (status = '${LEASE_STATUS.PENDING}'
+                           OR (status = '${LEASE_STATUS.LEASED}' AND expires_at < CURRENT_TIMESTAMP))
+                    ORDER BY status = '${LEASE_STATUS.LEASED}', range_start
+                    LIMIT 1
+                )
+                RETURNING *
+            `;
+
+            this.db.get(query, [this.workerId, runId, job], (err, row) => {
+                if (err) reject(err);
+                else resolve(row || null);
+            });
+        });
+    }
+
+    // Extend a held lease and record progress. Resolves false when the lease was lost
+    // (it expired and another worker reclaimed it), so the caller should drop the range.
+    async heartbeat(lease, processed) {
+        const changes = await this.run(`
+            UPDATE validation_leases
+            SET heartbeat_at = CURRENT_TIMESTAMP, expires_at = datetime('now', '+${this.leaseSeconds} seconds'), processed = ?
+            WHERE lease_id = ? AND worker_id = ? AND status = '${LEASE_STATUS.LEASED}'
+        `, [processed, lease.lease_id, this.workerId]);
+        return changes > 0;
+    }
+
+    // Mark a held range as finished
+    async complete(lease, processed) {
+        const changes = await this.run(`
+            UPDATE validation_leases
+            SET status = '${LEASE_STATUS.DONE}', processed = ?, finished_at = CURRENT_TIMESTAMP, expires_at = NULL
+            WHERE lease_id = ? AND worker_id = ? AND status = '${LEASE_STATUS.LEASED}'
+        `, [processed, lease.lease_id, this.workerId]);
+        return changes > 0;
+    }
+
+    // Hand a held range back unfinished (on shutdown), so another worker can claim it right away
+    async release(lease, processed) {
+        await this.run(`
+            UPDATE validation_leases
+            SET status = '${LEASE_STATUS.PENDING}', worker_id = NULL, processed = ?, expires_at = NULL
+            WHERE lease_id = ? AND worker_id = ? AND status = '${LEASE_STATUS.LEASED}'
+        `, [processed, lease.lease_id, this.workerId]);
+    }
+
+    // Range counts by status for `job`, plus the seconds until the earliest live lease expires
+    async getJobStatus(job) {
+        return new Promise((resolve, reject) => {
+            const query = `
+                SELECT
+                    COUNT(*) as total,
+                    SUM(CASE WHEN status = '${LEASE_STATUS.PENDING}' THEN 1 ELSE 0 END) as pending,
+                    SUM(CASE WHEN status = '${LEASE_STATUS.LEASED}' THEN 1 ELSE 0 END) as leased,
+                    SUM(CASE WHEN status = '${LEASE_STATUS.DONE}' THEN 1 ELSE 0 END) as done,
+                    COUNT(DISTINCT CASE WHEN status = '${LEASE_STATUS.LEASED}' THEN worker_id END) as workers,
+                    MIN(CASE WHEN status = '${LEASE_STATUS.LEASED}'
+                        THEN MAX(0, CAST(strftime('%s', expires_at) AS INTEGER) - CAST(strftime('%s', 'now') AS INTEGER)) END) as next_expiry_seconds
+                FROM validation_leases
+                WHERE job = ?
+            `;
+
+            this.db.get(query, [job], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+}
+
+module.exports = WorkLeaseStore;
+module.exports.LEASE_STATUS = LEASE_STATUS;
+module.exports.DEFAULT_RANGE_SIZE = DEFAULT_RANGE_SIZE;
+module.exports.DEFAULT_LEASE_SECONDS = DEFAULT_LEASE_SECONDS;
+module.exports.defaultWorkerId = defaultWorkerId;
@@ -0,0 +1,41 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { makeTestDir, removeTestDir, runScript, query } = require('./helpers');
+
+describe('batched quote validation (user-012)', () => {
+    let dir;
+
+    before(() => {
+        dir = makeTestDir();
+        const seedPath = path.join(dir, 'seeds.txt');
+        // GOOG is missing from the mock's multi-symbol answer and needs its own chart check
+        fs.writeFileSync(seedPath, 'A\nAAPL\nGOOG\n');
+        runScript(dir, 'src/db/generate-tickers.js', ['--import', seedPath]);
+    });
+
+    after(() => {
+        removeTestDir(dir);
+    });
+
+    it('defers chart fallbacks the request budget cannot pay for', async () => {
+        const output = runScript(dir, 'src/validate/validate-tickers.js', ['--batch-quotes', '5', '--budget', '1']);
+
+        assert.match(output, /Follow-up checks deferred by the request budget: 1 this session/);
+        const rows = await query(dir, 'SELECT ticker, active, price IS NULL as unchecked FROM tickers ORDER BY ticker');
+        assert.deepStrictEqual(rows, [
+            { ticker: 'A', active: 1, unchecked: 0 },
+            { ticker: 'AAPL', active: 1, unchecked: 0 },
+            { ticker: 'GOOG', active: 0, unchecked: 1 }
+        ]);
+    });
+
+    it('checks the missing symbol once the budget covers it', async () => {
+        const output = runScript(dir, 'src/validate/validate-tickers.js', ['--batch-quotes', '5', '--budget', '2']);
+
+        assert.match(output, /Follow-up checks deferred by the request budget: 0 this session/);
+        const rows = await query(dir, "SELECT active, exchange FROM tickers WHERE ticker = 'GOOG'");
+        assert.deepStrictEqual(rows, [{ active: 1, exchange: 'NMS' }]);
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { makeTestDir, removeTestDir, runScript, query } = require('./helpers');
+
+const { toSqlDateTime, chartMetaValues, CHART_META_COLUMNS } = require('../src/validate/chart-meta');
+
+describe('chart metadata columns (user-013)', () => {
+    let dir;
+
+    before(() => {
+        dir = makeTestDir();
+        runScript(dir, 'src/db/generate-tickers.js', ['--lengths', '1']);
+        runScript(dir, 'src/validate/validate-tickers.js');
+    });
+
+    after(() => {
+        removeTestDir(dir);
+    });
+
+    it('converts epoch seconds, milliseconds and date strings to DATETIME text', () => {
+        assert.strictEqual(toSqlDateTime(942935400), '1999-11-18 14:30:00');
+        assert.strictEqual(toSqlDateTime(1704402000000), '2024-01-04 21:00:00');
+        assert.strictEqual(toSqlDateTime('2024-01-04T21:00:00Z'), '2024-01-04 21:00:00');
+        assert.strictEqual(toSqlDateTime('not a date'), null);
+        assert.deepStrictEqual(chartMetaValues(null), CHART_META_COLUMNS.map(() => null));
+    });
+
+    it('stores the chart meta of active tickers', async () => {
+        const rows = await query(dir, `
+            SELECT canonical_symbol, currency, instrument_type, full_exchange_name, timezone,
+                   first_trade_date, regular_market_time, previous_close
+            FROM tickers WHERE ticker = 'A'
+        `);
+        assert.deepStrictEqual(rows, [{
+            canonical_symbol: 'A',
+            currency: 'USD',
+            instrument_type: 'EQUITY',
+            full_exchange_name: 'NYSE',
+            timezone: 'America/New_York',
+            first_trade_date: '1999-11-18 14:30:00',
+            regular_market_time: '2024-01-04 21:00:00',
+            previous_close: 134.2
+        }]);
+    });
+
+    it('keeps the last known meta when a later check returns none', async () => {
+        // Make A answer NOT_FOUND on its revalidation by pointing the mock at a fixture without it
+        const fixturePath = path.join(dir, 'fixtures.json');
+        fs.writeFileSync(fixturePath, JSON.stringify({ symbols: {} }));
+        await query(dir, "UPDATE tickers SET next_check_at = datetime('now', '-1 minutes') WHERE ticker = 'A'");
+        runScript(dir, 'src/validate/validate-tickers.js', ['--mode', 'due', '--where', "ticker = 'A'"], { MOCK_PROVIDER_FIXTURES: fixturePath });
+
+        const rows = await query(dir, "SELECT failure_strikes, currency, full_exchange_name FROM tickers WHERE ticker = 'A'");
+        assert.deepStrictEqual(rows, [{ failure_strikes: 1, currency: 'USD', full_exchange_name: 'NYSE' }]);
+    });
+
+    it('exports the meta fields with each ticker', () => {
+        runScript(dir, 'src/export/export-results.js', ['--active-only']);
+
+        const exported = JSON.parse(fs.readFileSync(path.join(dir, 'active_tickers.json'), 'utf8'));
+        const ticker = exported.tickers.find(entry => entry.ticker === 'A');
+        assert.strictEqual(ticker.instrumentType, 'EQUITY');
+        assert.strictEqual(ticker.fullExchangeName, 'NYSE');
+        assert.strictEqual(ticker.firstTradeDate, '1999-11-18 14:30:00');
+    });
+});
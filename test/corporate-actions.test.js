@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { makeTestDir, removeTestDir, runScript, close } = require('./helpers');
+
+const CorporateActionsStore = require('../src/return-data/corporate-actions');
+const { buildAdjustedSeries, totalReturnPercent } = CorporateActionsStore;
+const { SYNC_MODE } = require('../src/return-data/history-store');
+
+describe('dividend and split series (user-023)', () => {
+    it('multiplies later splits back into the as-traded close', () => {
+        const series = buildAdjustedSeries(
+            [{ date: '2020-08-28', close: 125 }, { date: '2020-08-31', close: 129 }],
+            [],
+            [{ date: '2020-08-31', numerator: 4, denominator: 1 }]
+        );
+
+        assert.deepStrictEqual(series.map(bar => bar.unadjustedClose), [500, 129]);
+        assert.deepStrictEqual(series.map(bar => bar.totalReturnIndex), [100, 103.2]);
+    });
+
+    it('reinvests dividends on their ex-date in the total-return index', () => {
+        const series = buildAdjustedSeries(
+            [{ date: '2024-01-02', close: 185.64 }, { date: '2024-01-03', close: 184.25 }, { date: '2024-01-04', close: 181.91 }],
+            [{ date: '2024-01-03', amount: 0.24 }]
+        );
+
+        assert.strictEqual(series[1].dividend, 0.24);
+        assert.strictEqual(series[0].dividend, undefined);
+        assert.deepStrictEqual(series.map(bar => bar.totalReturnIndex), [100, 99.3805, 98.1184]);
+        assert.strictEqual(totalReturnPercent(series), '-1.88%');
+        assert.strictEqual(totalReturnPercent(series.slice(0, 1)), 'N/A');
+    });
+
+    it('replaces events on a full sync and upserts them on an incremental one', async () => {
+        const db = new sqlite3.Database(':memory:');
+        try {
+            const store = new CorporateActionsStore(db);
+            await store.initTables();
+
+            await store.saveEvents('XYZ', { dividends: [{ date: new Date('2023-06-01'), amount: 0.2 }], splits: [] }, SYNC_MODE.FULL);
+            await store.saveEvents('XYZ', { dividends: [{ date: new Date('2024-01-03'), amount: 0.25 }], splits: [{ date: new Date('2024-01-04'), numerator: 2, denominator: 1 }] }, SYNC_MODE.INCREMENTAL);
+            const events = await store.getEvents('XYZ');
+            assert.deepStrictEqual(events, {
+                dividends: [{ date: '2023-06-01', amount: 0.2 }, { date: '2024-01-03', amount: 0.25 }],
+                splits: [{ date: '2024-01-04', numerator: 2, denominator: 1, ratio: '2:1' }]
+            });
+            const summary = store.summarize(events);
+            assert.deepStrictEqual([summary.dividendCount, summary.lastSplit], [2, '2:1']);
+
+            await store.saveEvents('XYZ', { dividends: [], splits: [] }, SYNC_MODE.FULL);
+            assert.strictEqual(store.summarize(await store.getEvents('XYZ')), null);
+        } finally {
+            await close(db);
+        }
+    });
+});
+
+describe('corporate action collection and export (user-023)', () => {
+    let dir;
+
+    before(() => {
+        dir = makeTestDir();
+        const seedPath = path.join(dir, 'seeds.txt');
+        fs.writeFileSync(seedPath, 'AAPL\n');
+        runScript(dir, 'src/db/generate-tickers.js', ['--import', seedPath]);
+        runScript(dir, 'src/validate/validate-tickers.js');
+        runScript(dir, 'src/return-data/return-data.js');
+        runScript(dir, 'src/export/export-data.js');
+    });
+
+    after(() => {
+        removeTestDir(dir);
+    });
+
+    it('exports the adjusted series, events and total return with each ticker', () => {
+        const exported = JSON.parse(fs.readFileSync(path.join(dir, 'DATA.json'), 'utf8'));
+        const { data } = exported.tickers.find(entry => entry.ticker === 'AAPL');
+
+        assert.deepStrictEqual(data.historical.map(bar => bar.totalReturnIndex), [100, 99.3805, 98.1184]);
+        assert.deepStrictEqual(data.corporateActions.splits, [{ date: '2020-08-31', numerator: 4, denominator: 1, ratio: '4:1' }]);
+        assert.strictEqual(data.statistics.historicalStats.totalReturn, '-1.88%');
+        assert.strictEqual(data.statistics.corporateActions.lastSplit, '4:1');
+    });
+
+    it('writes every event to DIVIDENDS.csv and SPLITS.csv', () => {
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'DIVIDENDS.csv'), 'utf8'), 'ticker,date,amount\n"AAPL","2024-01-03",0.24\n');
+        assert.strictEqual(
+            fs.readFileSync(path.join(dir, 'SPLITS.csv'), 'utf8'),
+            'ticker,date,numerator,denominator,ratio\n"AAPL","2020-08-31",4,1,"4:1"\n'
+        );
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { makeTestDir, removeTestDir, runScript, query, close } = require('./helpers');
+
+const TickerGenerator = require('../src/db/generate-tickers');
+
+describe('exchange-suffixed generation (user-003)', () => {
+    let dir;
+    let generator;
+
+    before(() => {
+        dir = makeTestDir();
+        process.env.DB_PATH = dir;
+        generator = new TickerGenerator();
+    });
+
+    after(async () => {
+        await close(generator.db);
+        removeTestDir(dir);
+    });
+
+    it('selects markets by suffix, with or without the dot', () => {
+        const markets = generator.loadExchangeSuffixes(null, ['to', '.L']);
+
+        assert.deepStrictEqual(markets.map(market => market.suffix), ['.TO', '.L']);
+        assert.throws(() => generator.loadExchangeSuffixes(null, ['XX']), /Unknown exchange suffix\(es\): \.XX/);
+    });
+
+    it('uses numeric codes for markets with their own roots', () => {
+        const markets = generator.loadExchangeSuffixes(null, ['HK', 'TO']);
+        const rows = [...generator.generateSuffixedTickers(markets, ['RY'])];
+
+        assert.strictEqual(rows.length, generator.countSuffixedTickers(markets, ['RY']));
+        assert.strictEqual(rows.length, 10000 + 1);
+        assert.deepStrictEqual(rows[0], { ticker: 'RY.TO', exchange_suffix: '.TO', market: 'Toronto Stock Exchange', country: 'CA' });
+        assert.deepStrictEqual(rows.slice(1, 3).map(row => row.ticker), ['0000.HK', '0001.HK']);
+        assert.strictEqual(rows[rows.length - 1].ticker, '9999.HK');
+    });
+
+    it('stores market metadata and replaces only the regenerated suffixes', async () => {
+        runScript(dir, 'src/db/generate-tickers.js', ['--suffixes', 'TO,L', '--lengths', '1']);
+        const stored = await query(dir, "SELECT exchange_suffix, market, country, source, COUNT(*) as count FROM tickers GROUP BY exchange_suffix ORDER BY exchange_suffix");
+        assert.deepStrictEqual(stored, [
+            { exchange_suffix: '.L', market: 'London Stock Exchange', country: 'GB', source: 'suffix', count: 26 },
+            { exchange_suffix: '.TO', market: 'Toronto Stock Exchange', country: 'CA', source: 'suffix', count: 26 }
+        ]);
+
+        // Replacing .TO with 1-letter roots drops its never-validated 2-letter rows and leaves .L alone
+        runScript(dir, 'src/db/generate-tickers.js', ['--suffixes', 'TO', '--lengths', '2']);
+        await query(dir, "UPDATE tickers SET price = -1 WHERE ticker = 'AA.TO'");
+        runScript(dir, 'src/db/generate-tickers.js', ['--suffixes', 'TO', '--lengths', '1', '--mode', 'replace']);
+        const remaining = await query(dir, 'SELECT exchange_suffix, COUNT(*) as count FROM tickers GROUP BY exchange_suffix ORDER BY exchange_suffix');
+        assert.deepStrictEqual(remaining, [
+            { exchange_suffix: '.L', count: 26 },
+            { exchange_suffix: '.TO', count: 27 }
+        ]);
+    });
+});
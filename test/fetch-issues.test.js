@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { makeTestDir, removeTestDir, runScript, all, run, close, query } = require('./helpers');
+
+const FetchIssueStore = require('../src/return-data/fetch-issues');
+const { FETCH_ISSUE_KIND, runWithFetchContext, runInFetchSource, recordFetchIssue } = require('../src/providers/fetch-context');
+const { getTickerData } = require('../src/return-data/return-data');
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A provider whose quoteSummary answers fail schema validation, each symbol's after `delays[symbol]` ms
+function slowProvider(delays) {
+    return {
+        dataSource: 'fake',
+        async fetchQuote(symbol) {
+            return { symbol, regularMarketPrice: 10 };
+        },
+        async fetchChart() {
+            return { bars: [], dividends: [], splits: [] };
+        },
+        async fetchProfile(symbol) {
+            return runInFetchSource('quoteSummary', async () => {
+                await pause(delays[symbol]);
+                recordFetchIssue({ kind: FETCH_ISSUE_KIND.VALIDATION, module: 'summaryDetail', path: `/${symbol}`, message: 'Expected union value' });
+                return { summaryDetail: {} };
+            });
+        }
+    };
+}
+
+describe('per-request fetch issue attribution (user-025)', () => {
+    it('attributes issues to the symbol and source whose request raised them', async () => {
+        const [first, second] = await Promise.all(['AAA', 'BBB'].map(symbol => runWithFetchContext(symbol, async (context) => {
+            await pause(symbol === 'AAA' ? 20 : 0);
+            runInFetchSource('chart', () => recordFetchIssue({ kind: FETCH_ISSUE_KIND.WARNING, message: `${symbol} warning` }));
+            return context.issues;
+        })));
+
+        assert.deepStrictEqual(first.map(({ symbol, source, module, message }) => ({ symbol, source, module, message })), [
+            { symbol: 'AAA', source: 'chart', module: 'chart', message: 'AAA warning' }
+        ]);
+        assert.deepStrictEqual(second.map(issue => issue.symbol), ['BBB']);
+        assert.strictEqual(recordFetchIssue({ kind: FETCH_ISSUE_KIND.ERROR, message: 'outside' }), false);
+    });
+
+    it('keeps concurrent tickers apart in getTickerData', async () => {
+        // The first symbol's answer arrives last, after the second one's issue was recorded
+        const provider = slowProvider({ SLOW: 30, FAST: 0 });
+        const [slow, fast] = await Promise.all(['SLOW', 'FAST'].map(symbol => getTickerData(symbol, provider, { profile: { name: 'basic', modules: ['summaryDetail'] } })));
+
+        assert.deepStrictEqual(slow.issues.map(issue => [issue.symbol, issue.module, issue.path]), [['SLOW', 'summaryDetail', '/SLOW']]);
+        assert.deepStrictEqual(fast.issues.map(issue => [issue.symbol, issue.module, issue.path]), [['FAST', 'summaryDetail', '/FAST']]);
+        assert.strictEqual(slow.metadata.hadValidationWarnings, true);
+        assert.strictEqual(slow.metadata.fetchIssues, 1);
+        assert.ok(slow.quote, 'a validation issue does not drop the record');
+    });
+
+    it('stores, summarizes and prunes issues', async () => {
+        const db = new sqlite3.Database(':memory:');
+        try {
+            const store = new FetchIssueStore(db, { retentionDays: 30 });
+            await store.initTables();
+            const since = new Date(Date.now() - 1000);
+            const issue = { source: 'quoteSummary', module: 'summaryDetail', kind: FETCH_ISSUE_KIND.VALIDATION, path: '/x', message: 'bad', occurredAt: new Date().toISOString() };
+
+            assert.strictEqual(await store.record('AAA', [issue, { ...issue, path: '/y' }]), 2);
+            await store.record('BBB', [issue]);
+            assert.deepStrictEqual(await store.summarizeSince(since), [
+                { module: 'summaryDetail', kind: FETCH_ISSUE_KIND.VALIDATION, issues: 3, tickers: 2 }
+            ]);
+
+            await run(db, "UPDATE fetch_issues SET occurred_at = datetime('now', '-31 days') WHERE ticker = 'BBB'");
+            assert.strictEqual(await store.prune(), 1);
+            assert.deepStrictEqual(await all(db, 'SELECT DISTINCT ticker FROM fetch_issues'), [{ ticker: 'AAA' }]);
+        } finally {
+            await close(db);
+        }
+    });
+});
+
+describe('return-data fetch issues (user-025)', () => {
+    let dir;
+
+    before(() => {
+        dir = makeTestDir();
+        const seedPath = path.join(dir, 'seeds.txt');
+        fs.writeFileSync(seedPath, 'A\nAAPL\n');
+        runScript(dir, 'src/db/generate-tickers.js', ['--import', seedPath]);
+        runScript(dir, 'src/validate/validate-tickers.js');
+        runScript(dir, 'src/return-data/return-data.js');
+    });
+
+    after(() => {
+        removeTestDir(dir);
+    });
+
+    it('records the issue against the ticker and module that raised it and still saves the record', async () => {
+        // A's summaryDetail fails schema validation in the mock fixtures; AAPL's does not
+        const issues = await query(dir, 'SELECT ticker, source, module, kind, path FROM fetch_issues', [], 'ticker_data.db');
+        assert.deepStrictEqual(issues, [
+            { ticker: 'A', source: 'quoteSummary', module: 'summaryDetail', kind: FETCH_ISSUE_KIND.VALIDATION, path: '/summaryDetail/dividendYield' }
+        ]);
+
+        const saved = await query(dir, 'SELECT ticker FROM ticker_data ORDER BY ticker', [], 'ticker_data.db');
+        assert.deepStrictEqual(saved.map(row => row.ticker), ['A', 'AAPL']);
+    });
+
+    it('lists the issues of the run in the summary', () => {
+        const summary = JSON.parse(fs.readFileSync(path.join(dir, 'Return-Data-Summary.json'), 'utf8'));
+        assert.deepStrictEqual(summary.fetchIssues, [{ module: 'summaryDetail', kind: FETCH_ISSUE_KIND.VALIDATION, issues: 1, tickers: 1 }]);
+    });
+});
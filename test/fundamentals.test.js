@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { makeTestDir, removeTestDir, runScript, all, run, close, query } = require('./helpers');
+
+const FundamentalsStore = require('../src/return-data/fundamentals-store');
+const { valueAt } = FundamentalsStore;
+const { initTickerDataSchema, SCHEMA_VERSION } = require('../src/return-data/ticker-data-schema');
+
+const RECORD = {
+    metadata: { symbol: 'XYZ' },
+    quote: { shortName: 'XYZ Corp', regularMarketPrice: 12.5, marketCap: 1000000, quoteType: 'EQUITY' },
+    summary: {
+        summaryDetail: { trailingPE: { raw: 14.2, fmt: '14.20' }, dividendYield: 0.03 },
+        assetProfile: { sector: 'Industrials', country: 'Canada' }
+    }
+};
+
+describe('normalized fundamentals tables (user-022)', () => {
+    const consoleLog = console.log;
+    let db;
+    let store;
+
+    before(async () => {
+        db = new sqlite3.Database(':memory:');
+        store = new FundamentalsStore(db);
+        await store.initTables();
+        // Keep the backfill's progress lines out of the test runner's stdout protocol
+        console.log = () => {};
+    });
+
+    after(async () => {
+        console.log = consoleLog;
+        await close(db);
+    });
+
+    it('reads values at dotted paths, unwrapping Yahoo raw values and dates', () => {
+        assert.strictEqual(valueAt(RECORD, 'summary.summaryDetail.trailingPE'), 14.2);
+        assert.strictEqual(valueAt({ quote: { time: new Date('2024-01-04T21:00:00Z') } }, 'quote.time'), '2024-01-04T21:00:00.000Z');
+        assert.strictEqual(valueAt(RECORD, 'summary.assetProfile'), null);
+        assert.strictEqual(valueAt(RECORD, 'summary.financialData.totalRevenue'), null);
+    });
+
+    it('writes one typed row per table that has a source in the record', async () => {
+        await store.write('XYZ', RECORD);
+
+        assert.deepStrictEqual(await all(db, 'SELECT short_name, price, market_cap, trailing_pe FROM quotes'), [
+            { short_name: 'XYZ Corp', price: 12.5, market_cap: 1000000, trailing_pe: 14.2 }
+        ]);
+        assert.deepStrictEqual(await all(db, 'SELECT sector, country FROM company_profiles'), [{ sector: 'Industrials', country: 'Canada' }]);
+        assert.deepStrictEqual(await all(db, 'SELECT dividend_yield FROM key_statistics'), [{ dividend_yield: 0.03 }]);
+        assert.deepStrictEqual(await all(db, 'SELECT * FROM financial_data'), []);
+
+        // The screening query the tables exist for
+        assert.deepStrictEqual(await all(db, 'SELECT ticker FROM quotes WHERE trailing_pe < 15'), [{ ticker: 'XYZ' }]);
+    });
+
+    it('drops the rows whose source is gone from a newer record', async () => {
+        await store.write('XYZ', { ...RECORD, summary: {} });
+
+        assert.strictEqual((await all(db, 'SELECT * FROM quotes')).length, 1);
+        assert.deepStrictEqual(await all(db, 'SELECT * FROM company_profiles'), []);
+        assert.deepStrictEqual(await all(db, 'SELECT * FROM key_statistics'), []);
+    });
+
+    it('backfills records stored by older versions once', async () => {
+        const legacy = new sqlite3.Database(':memory:');
+        try {
+            await run(legacy, 'CREATE TABLE ticker_data (ticker TEXT PRIMARY KEY, last_updated DATETIME, json_data TEXT NOT NULL, created_at DATETIME)');
+            const withHistory = { ...RECORD, historical: [{ date: '2024-01-02', close: 12 }, { date: '2024-01-03', close: 12.5 }] };
+            await run(legacy, 'INSERT INTO ticker_data (ticker, json_data) VALUES (?, ?), (?, ?), (?, ?)', [
+                'XYZ', JSON.stringify(withHistory),
+                'BAD', JSON.stringify({ metadata: { symbol: 'BAD', error: 'Not Found' }, quote: null }),
+                'BROKEN', '{not json'
+            ]);
+
+            await initTickerDataSchema(legacy);
+
+            assert.deepStrictEqual(await all(legacy, 'SELECT ticker, fetch_error FROM ticker_data ORDER BY ticker'), [
+                { ticker: 'BAD', fetch_error: 'Not Found' },
+                { ticker: 'BROKEN', fetch_error: null },
+                { ticker: 'XYZ', fetch_error: null }
+            ]);
+            assert.deepStrictEqual(await all(legacy, 'SELECT ticker, trailing_pe FROM quotes'), [{ ticker: 'XYZ', trailing_pe: 14.2 }]);
+            // Embedded history moves to daily_bars and out of the blob
+            assert.deepStrictEqual(await all(legacy, 'SELECT date, close FROM daily_bars ORDER BY date'), [
+                { date: '2024-01-02', close: 12 },
+                { date: '2024-01-03', close: 12.5 }
+            ]);
+            const [{ json_data: stored }] = await all(legacy, "SELECT json_data FROM ticker_data WHERE ticker = 'XYZ'");
+            assert.strictEqual(JSON.parse(stored).historical, undefined);
+            assert.deepStrictEqual(await all(legacy, 'PRAGMA user_version'), [{ user_version: SCHEMA_VERSION }]);
+
+            // A later start does not backfill again
+            await run(legacy, "DELETE FROM quotes WHERE ticker = 'XYZ'");
+            await initTickerDataSchema(legacy);
+            assert.deepStrictEqual(await all(legacy, 'SELECT * FROM quotes'), []);
+        } finally {
+            await close(legacy);
+        }
+    });
+
+    it('fills the tables when return-data saves a ticker', async () => {
+        const dir = makeTestDir();
+        try {
+            const seedPath = path.join(dir, 'seeds.txt');
+            fs.writeFileSync(seedPath, 'A\n');
+            runScript(dir, 'src/db/generate-tickers.js', ['--import', seedPath]);
+            runScript(dir, 'src/validate/validate-tickers.js');
+            runScript(dir, 'src/return-data/return-data.js');
+
+            const rows = await query(dir, `
+                SELECT q.price, q.market_cap, p.sector, k.shares_outstanding, k.beta, f.total_revenue
+                FROM quotes q
+                JOIN company_profiles p USING (ticker)
+                JOIN key_statistics k USING (ticker)
+                JOIN financial_data f USING (ticker)
+                WHERE q.ticker = 'A'
+            `, [], 'ticker_data.db');
+            assert.deepStrictEqual(rows, [{
+                price: 131.42,
+                market_cap: 38200000000,
+                sector: 'Healthcare',
+                shares_outstanding: 290700000,
+                beta: 1.06,
+                total_revenue: 6510000000
+            }]);
+        } finally {
+            removeTestDir(dir);
+        }
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { makeTestDir, removeTestDir, runScript, all, run, close, query } = require('./helpers');
+
+const TickerGenerator = require('../src/db/generate-tickers');
+
+describe('streaming generation (user-001)', () => {
+    let dir;
+    let generator;
+
+    before(async () => {
+        dir = makeTestDir();
+        process.env.DB_PATH = dir;
+        generator = new TickerGenerator({ mode: 'replace' });
+        await generator.initDatabase();
+    });
+
+    after(async () => {
+        await close(generator.db);
+        removeTestDir(dir);
+    });
+
+    it('yields combinations lazily in odometer order', () => {
+        const combinations = generator.generateTickerCombinations(1, 5);
+        const first = Array.from({ length: 28 }, () => combinations.next().value);
+
+        assert.deepStrictEqual(first.slice(0, 3), ['A', 'B', 'C']);
+        assert.deepStrictEqual(first.slice(25), ['Z', 'AA', 'AB']);
+        assert.strictEqual(generator.countTickerCombinations(1, 5), 26 + 676 + 17576 + 456976 + 11881376);
+    });
+
+    it('writes each chunk in its own transaction', async () => {
+        const statements = [];
+        generator.db.on('trace', sql => statements.push(sql));
+        generator.chunkSize = 100;
+
+        const result = await generator.insertTickers(generator.generateTickerCombinations(1, 2), {
+            total: generator.countTickerCombinations(1, 2),
+            source: 'brute-force'
+        });
+        generator.db.removeAllListeners('trace');
+
+        assert.deepStrictEqual(result, { completed: 702 });
+        assert.strictEqual(statements.filter(sql => sql === 'BEGIN TRANSACTION').length, 8);
+        assert.strictEqual(statements.filter(sql => sql === 'COMMIT').length, 8);
+        const [{ count }] = await all(generator.db, 'SELECT COUNT(*) as count FROM tickers');
+        assert.strictEqual(count, 702);
+    });
+
+    it('rolls back a failed chunk and aborts before a replace deletes anything', async () => {
+        await run(generator.db, "DELETE FROM tickers WHERE ticker IN ('AA', 'AB', 'AC')");
+        await run(generator.db, `CREATE TRIGGER fail_ab BEFORE INSERT ON tickers WHEN NEW.ticker = 'AB'
+            BEGIN SELECT RAISE(ABORT, 'insert refused'); END`);
+        generator.chunkSize = 10;
+
+        try {
+            await assert.rejects(
+                generator.insertTickers(['AA', 'AB', 'AC'], { source: 'brute-force' }),
+                /1 inserts failed - rolled back the chunk of 3 tickers/
+            );
+        } finally {
+            await run(generator.db, 'DROP TRIGGER fail_ab');
+        }
+
+        const rows = await all(generator.db, "SELECT ticker FROM tickers WHERE ticker IN ('AA', 'AB', 'AC')");
+        assert.deepStrictEqual(rows, []);
+        // A completed replace would have removed every brute-force row outside the three candidates
+        const [{ count }] = await all(generator.db, 'SELECT COUNT(*) as count FROM tickers');
+        assert.strictEqual(count, 699);
+    });
+});
+
+describe('generation modes (user-006)', () => {
+    let dir;
+    let seedPath;
+
+    before(() => {
+        dir = makeTestDir();
+        seedPath = path.join(dir, 'seeds.txt');
+        fs.writeFileSync(seedPath, 'A\nAAPL\n');
+        runScript(dir, 'src/db/generate-tickers.js', ['--lengths', '1']);
+        // A validated row that no mode may reset or delete
+        return query(dir, "UPDATE tickers SET active = 1, price = 5 WHERE ticker = 'Z'");
+    });
+
+    after(() => {
+        removeTestDir(dir);
+    });
+
+    it('append inserts new rows and leaves existing ones untouched', async () => {
+        runScript(dir, 'src/db/generate-tickers.js', ['--import', seedPath, '--mode', 'append']);
+
+        const rows = await query(dir, "SELECT ticker, source FROM tickers WHERE ticker IN ('A', 'AAPL') ORDER BY ticker");
+        assert.deepStrictEqual(rows, [
+            { ticker: 'A', source: 'brute-force' },
+            { ticker: 'AAPL', source: 'seed:seeds.txt' }
+        ]);
+    });
+
+    it('merge refreshes metadata of existing rows', async () => {
+        runScript(dir, 'src/db/generate-tickers.js', ['--import', seedPath], { GENERATE_MODE: 'merge' });
+
+        const rows = await query(dir, "SELECT ticker, source FROM tickers WHERE ticker = 'A'");
+        assert.deepStrictEqual(rows, [{ ticker: 'A', source: 'seed:seeds.txt' }]);
+    });
+
+    it('replace deletes only never-validated rows of its own source that it no longer produces', async () => {
+        const grammarPath = path.join(dir, 'grammar.json');
+        fs.writeFileSync(grammarPath, JSON.stringify({ alphabet: 'ABC' }));
+        runScript(dir, 'src/db/generate-tickers.js', ['--lengths', '1', '--grammar', grammarPath, '--mode', 'replace']);
+
+        const rows = await query(dir, 'SELECT ticker, active, price FROM tickers ORDER BY ticker');
+        assert.deepStrictEqual(rows, [
+            { ticker: 'A', active: 0, price: null },
+            { ticker: 'AAPL', active: 0, price: null },
+            { ticker: 'B', active: 0, price: null },
+            { ticker: 'C', active: 0, price: null },
+            { ticker: 'Z', active: 1, price: 5 }
+        ]);
+    });
+
+    it('rejects unknown modes', () => {
+        assert.throws(() => runScript(dir, 'src/db/generate-tickers.js', ['--lengths', '1', '--mode', 'wipe']), /Unknown generation mode: wipe/);
+    });
+});
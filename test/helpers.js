@@ -0,0 +1,84 @@
+// Shared helpers for the node:test suites (npm test).
+// Every suite works in its own throwaway directory used as DB_PATH and OUTPUT_PATH, runs the
+// pipeline scripts against the mock provider and reads back the databases they wrote.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const sqlite3 = require('sqlite3');
+
+const ROOT = path.join(__dirname, '..');
+
+// Create an empty directory for one suite's databases and outputs
+function makeTestDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'all-tickers-test-'));
+}
+
+function removeTestDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Run a pipeline script (relative to the repo root) with the mock provider and its databases in
+// `dir`. Returns stdout; a non-zero exit throws with the script's output.
+function runScript(dir, script, args = [], env = {}) {
+    try {
+        return execFileSync(process.execPath, [path.join(ROOT, script), ...args], {
+            cwd: ROOT,
+            env: { ...process.env, MARKET_DATA_PROVIDER: 'mock', DB_PATH: dir, OUTPUT_PATH: dir, ...env },
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+    } catch (error) {
+        throw new Error(`${script} ${args.join(' ')} failed:\n${error.stdout || ''}${error.stderr || error.message}`);
+    }
+}
+
+// Promise wrappers around db.all / db.run / db.close
+function all(db, query, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(query, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+function run(db, query, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(query, params, function(err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+        });
+    });
+}
+
+function close(db) {
+    return new Promise((resolve, reject) => {
+        db.close((err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+// Rows of one query against `file` in `dir` (tickers.db by default)
+async function query(dir, sql, params = [], file = 'tickers.db') {
+    const db = new sqlite3.Database(path.join(dir, file));
+    try {
+        return await all(db, sql, params);
+    } finally {
+        await close(db);
+    }
+}
+
+module.exports = {
+    ROOT,
+    makeTestDir,
+    removeTestDir,
+    runScript,
+    all,
+    run,
+    close,
+    query
+};
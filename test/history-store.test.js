@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { makeTestDir, removeTestDir, runScript, run, close, query } = require('./helpers');
+
+const HistoryStore = require('../src/return-data/history-store');
+const { SYNC_MODE, HISTORY_START, toDateKey } = HistoryStore;
+const { getTickerData } = require('../src/return-data/return-data');
+
+const bar = (date, close) => ({ date: new Date(date), open: close, high: close, low: close, close, adjClose: close, volume: 1000 });
+
+// A provider that answers from `bars` and remembers the chart ranges it was asked for
+function fakeProvider(bars) {
+    const requests = [];
+    return {
+        dataSource: 'fake',
+        requests,
+        async fetchQuote(symbol) {
+            return { symbol, regularMarketPrice: 10 };
+        },
+        async fetchChart(symbol, { period1, period2 }) {
+            requests.push(period1);
+            return { bars: bars.filter(entry => toDateKey(entry.date) >= period1 && toDateKey(entry.date) <= period2), dividends: [], splits: [] };
+        },
+        async fetchProfile() {
+            return {};
+        }
+    };
+}
+
+describe('incremental price history (user-021)', () => {
+    let db;
+    let history;
+
+    before(async () => {
+        db = new sqlite3.Database(':memory:');
+        history = new HistoryStore(db, { fullSyncDays: 30 });
+        await history.initTables();
+    });
+
+    after(async () => {
+        await close(db);
+    });
+
+    it('downloads the whole history for a ticker without stored bars', async () => {
+        const plan = await history.planFetch('XYZ');
+        assert.deepStrictEqual([plan.mode, plan.reason, plan.period1], [SYNC_MODE.FULL, 'no stored history', HISTORY_START]);
+
+        const state = await history.saveBars('XYZ', [bar('2024-01-02', 10), bar('2024-01-03', 11)], SYNC_MODE.FULL);
+        assert.deepStrictEqual([state.first_date, state.last_date, state.bar_count, state.last_mode], ['2024-01-02', '2024-01-03', 2, SYNC_MODE.FULL]);
+    });
+
+    it('then only asks for bars from the last stored date on', async () => {
+        const plan = await history.planFetch('XYZ');
+        assert.deepStrictEqual([plan.mode, plan.period1, plan.lastBar.close], [SYNC_MODE.INCREMENTAL, '2024-01-03', 11]);
+
+        // The refetched last bar is upserted next to the new one and the full sync date is kept
+        const { last_full_sync_at: fullSyncAt } = await history.getSyncState('XYZ');
+        const state = await history.saveBars('XYZ', [bar('2024-01-03', 11.02), bar('2024-01-04', 12)], SYNC_MODE.INCREMENTAL);
+        assert.deepStrictEqual(
+            [state.first_date, state.last_date, state.bar_count, state.last_mode, state.last_full_sync_at],
+            ['2024-01-02', '2024-01-04', 3, SYNC_MODE.INCREMENTAL, fullSyncAt]
+        );
+        assert.strictEqual((await history.getBar('XYZ', '2024-01-03')).close, 11.02);
+    });
+
+    it('spots a back-adjusted series from the overlapping bar', async () => {
+        const plan = await history.planFetch('XYZ');
+
+        assert.strictEqual(history.isReadjusted(plan, [bar('2024-01-04', 12.05)]), false);
+        assert.strictEqual(history.isReadjusted(plan, [bar('2024-01-04', 6)]), true);
+        assert.strictEqual(history.isReadjusted({ ...plan, mode: SYNC_MODE.FULL }, [bar('2024-01-04', 6)]), false);
+    });
+
+    it('re-syncs in full when asked, when the last full sync is old, and skips current tickers', async () => {
+        assert.strictEqual((await history.planFetch('XYZ', { full: true })).reason, 'requested');
+
+        await run(db, "UPDATE history_sync SET last_full_sync_at = datetime('now', '-31 days') WHERE ticker = 'XYZ'");
+        const stale = await history.planFetch('XYZ');
+        assert.deepStrictEqual([stale.mode, stale.reason], [SYNC_MODE.FULL, 'last full sync over 30 days ago']);
+
+        await run(db, "UPDATE history_sync SET last_full_sync_at = CURRENT_TIMESTAMP, last_date = date('now') WHERE ticker = 'XYZ'");
+        assert.strictEqual((await history.planFetch('XYZ')).mode, SYNC_MODE.CURRENT);
+    });
+
+    it('fetches only the new bars, and everything again after a split', async () => {
+        await history.saveBars('SPLT', [bar('2024-01-02', 100), bar('2024-01-03', 102)], SYNC_MODE.FULL);
+
+        const provider = fakeProvider([bar('2024-01-02', 100), bar('2024-01-03', 102), bar('2024-01-04', 103)]);
+        const incremental = await getTickerData('SPLT', provider, { history });
+        assert.deepStrictEqual(provider.requests, ['2024-01-03']);
+        assert.strictEqual(incremental.metadata.historySync.mode, SYNC_MODE.INCREMENTAL);
+        assert.strictEqual(incremental.historical.length, 2);
+
+        // After a 2:1 split Yahoo halves the earlier closes, so the stored 102 no longer matches
+        const adjusted = fakeProvider([bar('2024-01-02', 50), bar('2024-01-03', 51), bar('2024-01-04', 51.5)]);
+        const resynced = await getTickerData('SPLT', adjusted, { history });
+        assert.deepStrictEqual(adjusted.requests, ['2024-01-03', HISTORY_START]);
+        assert.deepStrictEqual(
+            [resynced.metadata.historySync.mode, resynced.metadata.historySync.reason, resynced.historical.length],
+            [SYNC_MODE.FULL, 'series re-adjusted since 2024-01-03', 3]
+        );
+    });
+});
+
+describe('return-data history sync (user-021)', () => {
+    let dir;
+
+    before(() => {
+        dir = makeTestDir();
+        const seedPath = path.join(dir, 'seeds.txt');
+        fs.writeFileSync(seedPath, 'A\n');
+        runScript(dir, 'src/db/generate-tickers.js', ['--import', seedPath]);
+        runScript(dir, 'src/validate/validate-tickers.js');
+    });
+
+    after(() => {
+        removeTestDir(dir);
+    });
+
+    const summary = () => JSON.parse(fs.readFileSync(path.join(dir, 'Return-Data-Summary.json'), 'utf8'));
+
+    it('stores the bars of the first run with their high-water mark', async () => {
+        runScript(dir, 'src/return-data/return-data.js');
+
+        const [state] = await query(dir, "SELECT first_date, last_date, bar_count, last_mode FROM history_sync WHERE ticker = 'A'", [], 'ticker_data.db');
+        assert.deepStrictEqual(state, { first_date: '2024-01-02', last_date: '2024-01-04', bar_count: 3, last_mode: SYNC_MODE.FULL });
+        assert.strictEqual(summary().history.storedBars, 3);
+    });
+
+    it('downloads everything again with --full-history', () => {
+        const output = runScript(dir, 'src/return-data/return-data.js', ['--full-history']);
+
+        assert.match(output, /History: full re-download requested for every ticker/);
+        assert.deepStrictEqual(summary().history.syncModes, { [SYNC_MODE.FULL]: 1, [SYNC_MODE.INCREMENTAL]: 0, [SYNC_MODE.CURRENT]: 0 });
+    });
+});
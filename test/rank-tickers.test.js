@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { makeTestDir, removeTestDir, runScript, query } = require('./helpers');
+
+const { buildModel, scoreTicker, sourceBoost, symbolRoot, SOURCE_BOOST } = require('../src/db/likelihood-model');
+
+describe('candidate ranking (user-007)', () => {
+    let dir;
+
+    before(() => {
+        dir = makeTestDir();
+    });
+
+    after(() => {
+        removeTestDir(dir);
+    });
+
+    it('scores on the letter-only root of a symbol', () => {
+        assert.strictEqual(symbolRoot('BRK-B'), 'BRK');
+        assert.strictEqual(symbolRoot('shop.to'), 'SHOP');
+        assert.strictEqual(symbolRoot('^GSPC'), 'GSPC');
+        assert.strictEqual(symbolRoot('0700.HK'), '');
+    });
+
+    it('ranks symbols that look like active ones above random letters', () => {
+        const model = buildModel(['AAPL', 'AMZN', 'AMD', 'ABT', 'ADBE', 'AMGN'], [
+            { length: 3, active: 30, validated: 100 },
+            { length: 4, active: 10, validated: 100 }
+        ]);
+        const likely = scoreTicker(model, 'AMT');
+        const unlikely = scoreTicker(model, 'QXZJ');
+
+        assert.strictEqual(model.roots, 6);
+        assert.ok(likely > unlikely, `${likely} <= ${unlikely}`);
+        for (const score of [likely, unlikely]) {
+            assert.ok(score >= 0 && score <= 1);
+        }
+    });
+
+    it('puts curated sources ahead of any score', () => {
+        assert.strictEqual(sourceBoost('seed:watchlist.csv'), SOURCE_BOOST.seed);
+        assert.strictEqual(sourceBoost('universe'), SOURCE_BOOST.universe);
+        assert.strictEqual(sourceBoost('brute-force'), 0);
+        assert.strictEqual(sourceBoost(null), 0);
+    });
+
+    it('stores priorities for unvalidated rows only and validates them highest first', async () => {
+        const seedPath = path.join(dir, 'seeds.txt');
+        fs.writeFileSync(seedPath, 'ZZ\n');
+        runScript(dir, 'src/db/generate-tickers.js', ['--lengths', '1-2']);
+        runScript(dir, 'src/db/generate-tickers.js', ['--import', seedPath]);
+        await query(dir, "UPDATE tickers SET active = 1, price = 10 WHERE ticker IN ('AB', 'AC')");
+
+        runScript(dir, 'src/db/rank-tickers.js');
+
+        const [top] = await query(dir, 'SELECT ticker FROM tickers WHERE price IS NULL ORDER BY priority DESC, rowid LIMIT 1');
+        assert.deepStrictEqual(top, { ticker: 'ZZ' });
+        const validated = await query(dir, 'SELECT DISTINCT priority FROM tickers WHERE price IS NOT NULL');
+        assert.deepStrictEqual(validated, [{ priority: 0 }]);
+        const [{ ranked }] = await query(dir, 'SELECT COUNT(*) as ranked FROM tickers WHERE price IS NULL AND priority > 0');
+        assert.strictEqual(ranked, 700);
+
+        // The first validation pass checks the top-ranked row first
+        runScript(dir, 'src/validate/validate-tickers.js', ['--limit', '1']);
+        const checked = await query(dir, "SELECT ticker FROM tickers WHERE price IS NOT NULL AND ticker NOT IN ('AB', 'AC')");
+        assert.deepStrictEqual(checked, [{ ticker: 'ZZ' }]);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { makeTestDir, removeTestDir, runScript } = require('./helpers');
+
+const RateController = require('../src/network/rate-controller');
+const { parseRetryAfter, isRateLimitError } = RateController;
+
+// A controller that never waits for tokens, so only its slots and pauses pace the test
+function fastController(options = {}) {
+    const controller = new RateController({ initialRate: 1000, maxRate: 2000, initialConcurrency: 2, cooldownMs: 60000, ...options });
+    controller.tokens = 1000;
+    return controller;
+}
+
+describe('AIMD rate controller (user-010)', () => {
+    it('grows rate and concurrency additively after a window of fast replies', async () => {
+        const controller = fastController({ rateStep: 5 });
+
+        for (let i = 0; i < 2; i++) {
+            (await controller.acquire())();
+        }
+
+        assert.deepStrictEqual(
+            { rate: controller.rate, concurrency: controller.concurrency, increases: controller.totals.increases },
+            { rate: 1005, concurrency: 3, increases: 1 }
+        );
+    });
+
+    it('halves on HTTP 429 and pauses for Retry-After, once per cooldown', async () => {
+        const controller = fastController({ initialConcurrency: 8 });
+
+        const first = await controller.acquire();
+        const second = await controller.acquire();
+        const before = Date.now();
+        first({ rateLimited: true, retryAfterMs: 200 });
+        second({ rateLimited: true, retryAfterMs: 50 });
+
+        const stats = controller.stats();
+        assert.deepStrictEqual(
+            { rate: stats.rate, concurrency: stats.concurrency, rateLimited: stats.rateLimited, decreases: stats.decreases },
+            { rate: 500, concurrency: 4, rateLimited: 2, decreases: 1 }
+        );
+
+        (await controller.acquire())();
+        assert.ok(Date.now() - before >= 190, 'acquire waited out the longest Retry-After');
+    });
+
+    it('backs off when average latency passes the target and stops at the floor', () => {
+        const controller = fastController({ initialConcurrency: 4, latencyTargetMs: 100, minRate: 600, minConcurrency: 3 });
+
+        controller.inFlight = 3;
+        controller.release(400);
+        assert.deepStrictEqual({ rate: controller.rate, concurrency: controller.concurrency }, { rate: 750, concurrency: 3 });
+
+        // Once the cooldown is over the next slow reply decreases again, down to the floor only
+        controller.lastDecrease = 0;
+        controller.release(400);
+        controller.lastDecrease = 0;
+        controller.release(400);
+        assert.deepStrictEqual({ rate: controller.rate, concurrency: controller.concurrency }, { rate: 600, concurrency: 3 });
+        assert.strictEqual(controller.totals.decreases, 2);
+    });
+
+    it('holds requests beyond the concurrency limit until a slot frees', async () => {
+        const controller = fastController({ initialConcurrency: 1 });
+        const release = await controller.acquire();
+
+        let acquired = false;
+        const waiting = controller.acquire().then((next) => {
+            acquired = true;
+            return next;
+        });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.strictEqual(acquired, false);
+
+        release();
+        (await waiting)();
+        assert.strictEqual(acquired, true);
+        assert.strictEqual(controller.totals.requests, 2);
+    });
+
+    it('slows validation down when the provider answers 429', () => {
+        const dir = makeTestDir();
+        try {
+            runScript(dir, 'src/db/generate-tickers.js', ['--lengths', '1']);
+            const output = runScript(dir, 'src/validate/validate-tickers.js');
+
+            // C is rate limited in the mock fixtures; the validate mode starts at 25 req/s, 25 concurrent
+            assert.match(output, /slowing to 12\.5 req\/s, 12 concurrent.*\(HTTP 429, pausing 1s\)/);
+        } finally {
+            removeTestDir(dir);
+        }
+    });
+
+    it('reads Retry-After in seconds or as a date and recognizes rate-limit errors', () => {
+        assert.strictEqual(parseRetryAfter({ 'retry-after': '3' }), 3000);
+        const fromDate = parseRetryAfter({ 'Retry-After': new Date(Date.now() + 10000).toUTCString() });
+        assert.ok(fromDate > 8000 && fromDate <= 10000);
+        assert.strictEqual(parseRetryAfter({}), null);
+
+        assert.strictEqual(isRateLimitError({ response: { status: 429 } }), true);
+        assert.strictEqual(isRateLimitError(new Error('Too Many Requests')), true);
+        assert.strictEqual(isRateLimitError(new Error('Not Found')), false);
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { makeTestDir, removeTestDir, runScript, query } = require('./helpers');
+
+const { normalizeSymbol, readSymbolFile, seedSource } = require('../src/db/seed-import');
+const { SOURCE_BOOST } = require('../src/db/likelihood-model');
+
+describe('seed symbol import (user-005)', () => {
+    let dir;
+
+    before(() => {
+        dir = makeTestDir();
+    });
+
+    after(() => {
+        removeTestDir(dir);
+    });
+
+    it("normalizes listing notations to Yahoo's", () => {
+        assert.strictEqual(normalizeSymbol(' $aapl '), 'AAPL');
+        assert.strictEqual(normalizeSymbol('BRK/B'), 'BRK-B');
+        assert.strictEqual(normalizeSymbol('ABC$A'), 'ABC-PA');
+        assert.strictEqual(normalizeSymbol('"^gspc"'), '^GSPC');
+        assert.strictEqual(normalizeSymbol('not a symbol!'), null);
+    });
+
+    it('reads NASDAQ listings without test issues or the trailer', () => {
+        const listing = path.join(dir, 'nasdaqtraded.txt');
+        fs.writeFileSync(listing, [
+            'Nasdaq Traded|Symbol|Security Name|Test Issue',
+            'Y|AAPL|Apple Inc.|N',
+            'Y|ZXZZT|NASDAQ TEST STOCK|Y',
+            'Y|BRK/B|Berkshire Hathaway Class B|N',
+            'Y|aapl|Apple Inc.|N',
+            'File Creation Time: 1018202612:00||'
+        ].join('\n'));
+
+        assert.deepStrictEqual(readSymbolFile(listing), { symbols: ['AAPL', 'BRK-B'], read: 3, invalid: 0, duplicates: 1 });
+        assert.strictEqual(seedSource(listing), 'seed:nasdaqtraded.txt');
+    });
+
+    it('reads exported JSON ticker lists', () => {
+        const exported = path.join(dir, 'active_tickers.json');
+        fs.writeFileSync(exported, JSON.stringify({ tickers: [{ ticker: 'A' }, { symbol: 'msft' }, 'goog'] }));
+
+        assert.deepStrictEqual(readSymbolFile(exported).symbols, ['A', 'MSFT', 'GOOG']);
+    });
+
+    it('labels imported rows as seeds and boosts them ahead of brute force', async () => {
+        const watchlist = path.join(dir, 'watchlist.csv');
+        fs.writeFileSync(watchlist, 'ticker,note\nA,held\nAAPL,watch\n');
+
+        runScript(dir, 'src/db/generate-tickers.js', ['--lengths', '1']);
+        runScript(dir, 'src/db/generate-tickers.js', ['--import', watchlist]);
+
+        const rows = await query(dir, "SELECT ticker, source, priority FROM tickers WHERE ticker IN ('A', 'AAPL', 'B') ORDER BY ticker");
+        assert.deepStrictEqual(rows, [
+            { ticker: 'A', source: 'seed:watchlist.csv', priority: SOURCE_BOOST.seed },
+            { ticker: 'AAPL', source: 'seed:watchlist.csv', priority: SOURCE_BOOST.seed },
+            { ticker: 'B', source: 'brute-force', priority: 0 }
+        ]);
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { makeTestDir, removeTestDir, runScript, run, close, query } = require('./helpers');
+
+const SummaryModuleStore = require('../src/return-data/summary-modules');
+const { getSummaryProfile, parseProfileArg, SUMMARY_PROFILES } = SummaryModuleStore;
+
+describe('summary module profiles (user-024)', () => {
+    it('resolves profiles by name and rejects unknown ones', () => {
+        assert.deepStrictEqual(getSummaryProfile('basic').modules, ['summaryDetail', 'financialData', 'defaultKeyStatistics', 'assetProfile']);
+        assert.strictEqual(getSummaryProfile('full').modules.length, 12);
+        assert.ok(SUMMARY_PROFILES.ownership.includes('majorHoldersBreakdown'));
+        assert.throws(() => getSummaryProfile('everything'), /Unknown summary profile "everything" \(expected one of: basic, fundamentals, ownership, full\)/);
+    });
+
+    it('reads --profile NAME and --profile=NAME', () => {
+        assert.strictEqual(parseProfileArg(['--profile', 'ownership']), 'ownership');
+        assert.strictEqual(parseProfileArg(['--full-history', '--profile=full']), 'full');
+        assert.strictEqual(parseProfileArg(['--profile']), null);
+        assert.strictEqual(parseProfileArg([]), null);
+    });
+
+    it('only plans the modules that are due and reuses the stored ones', async () => {
+        const db = new sqlite3.Database(':memory:');
+        try {
+            const store = new SummaryModuleStore(db);
+            await store.initTables();
+            await run(db, 'CREATE TABLE ticker_data (ticker TEXT PRIMARY KEY, json_data TEXT NOT NULL)');
+            const summary = { summaryDetail: { dividendYield: 0.01 }, assetProfile: { sector: 'Energy' } };
+            await run(db, 'INSERT INTO ticker_data (ticker, json_data) VALUES (?, ?)', ['XYZ', JSON.stringify({ summary })]);
+
+            const fetchedAt = await store.markFetched('XYZ', ['summaryDetail', 'assetProfile', 'earnings'], summary);
+            assert.deepStrictEqual(Object.keys(fetchedAt), ['assetProfile', 'summaryDetail']);
+
+            // summaryDetail refreshes daily, assetProfile monthly; earnings came back empty a week ago
+            await run(db, "UPDATE summary_modules SET fetched_at = datetime('now', '-2 days') WHERE module IN ('summaryDetail', 'assetProfile')");
+            await run(db, "UPDATE summary_modules SET fetched_at = datetime('now', '-8 days') WHERE module = 'earnings'");
+            const plan = await store.planModules('XYZ', ['summaryDetail', 'assetProfile', 'earnings', 'financialData']);
+            assert.deepStrictEqual(plan.due, ['summaryDetail', 'earnings', 'financialData']);
+            assert.deepStrictEqual(plan.fresh, ['assetProfile']);
+            assert.deepStrictEqual(plan.stored, summary);
+
+            assert.deepStrictEqual((await store.planModules('XYZ', ['assetProfile'], { refreshAll: true })).due, ['assetProfile']);
+        } finally {
+            await close(db);
+        }
+    });
+});
+
+describe('return-data summary profiles (user-024)', () => {
+    let dir;
+
+    before(() => {
+        dir = makeTestDir();
+        const seedPath = path.join(dir, 'seeds.txt');
+        fs.writeFileSync(seedPath, 'AAPL\n');
+        runScript(dir, 'src/db/generate-tickers.js', ['--import', seedPath]);
+        runScript(dir, 'src/validate/validate-tickers.js');
+        runScript(dir, 'src/return-data/return-data.js');
+    });
+
+    after(() => {
+        removeTestDir(dir);
+    });
+
+    const summary = () => JSON.parse(fs.readFileSync(path.join(dir, 'Return-Data-Summary.json'), 'utf8'));
+
+    it('fetches only the modules a wider profile adds and keeps the fresh ones', async () => {
+        runScript(dir, 'src/return-data/return-data.js', ['--profile=fundamentals']);
+
+        const { fetched, missing, reused } = summary().summaryModules;
+        assert.deepStrictEqual({ fetched, missing, reused }, { fetched: 2, missing: 4, reused: 4 });
+        const [{ json_data: stored }] = await query(dir, "SELECT json_data FROM ticker_data WHERE ticker = 'AAPL'", [], 'ticker_data.db');
+        const record = JSON.parse(stored);
+        assert.deepStrictEqual(record.metadata.summaryModules.contained.sort(), [
+            'assetProfile', 'calendarEvents', 'defaultKeyStatistics', 'earnings', 'financialData', 'summaryDetail'
+        ]);
+        const absent = await query(dir, "SELECT module FROM summary_modules WHERE ticker = 'AAPL' AND present = 0 ORDER BY module", [], 'ticker_data.db');
+        assert.deepStrictEqual(absent.map(row => row.module), ['balanceSheetHistory', 'cashflowStatementHistory', 'earningsTrend', 'incomeStatementHistory']);
+    });
+
+    it('skips a ticker with nothing due and refetches everything with --refresh-summary', () => {
+        runScript(dir, 'src/return-data/return-data.js', ['--profile', 'fundamentals']);
+        assert.strictEqual(summary().skipped, 1);
+
+        runScript(dir, 'src/return-data/return-data.js', ['--profile', 'fundamentals', '--refresh-summary']);
+        const { fetched, missing, reused } = summary().summaryModules;
+        assert.deepStrictEqual({ fetched, missing, reused }, { fetched: 6, missing: 4, reused: 0 });
+    });
+
+    it('refuses an unknown profile', () => {
+        assert.throws(
+            () => runScript(dir, 'src/return-data/return-data.js', ['--profile', 'everything']),
+            /Unknown summary profile "everything"/
+        );
+    });
+});
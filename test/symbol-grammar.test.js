@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { makeTestDir, removeTestDir, runScript, query } = require('./helpers');
+
+const { DEFAULT_GRAMMAR, loadGrammar, expandVariants, countVariants } = require('../src/db/symbol-grammar');
+
+describe('symbol grammar variants (user-002)', () => {
+    let dir;
+
+    before(() => {
+        dir = makeTestDir();
+    });
+
+    after(() => {
+        removeTestDir(dir);
+    });
+
+    it('expands a base symbol with per-variant separators', () => {
+        const variants = [...expandVariants('BRK')];
+        const tickers = variants.map(variant => variant.ticker);
+
+        assert.strictEqual(variants.length, countVariants(DEFAULT_GRAMMAR));
+        assert.ok(tickers.includes('BRK-B') && tickers.includes('BRK.B'));
+        // Preferred shares only take the dash separator
+        assert.ok(tickers.includes('BRK-PA'));
+        assert.ok(!tickers.includes('BRK.PA'));
+        assert.deepStrictEqual(variants.find(variant => variant.ticker === 'BRK.WS'), {
+            ticker: 'BRK.WS',
+            base_ticker: 'BRK',
+            variant_type: 'warrant'
+        });
+    });
+
+    it('fills keys missing from a custom grammar with the defaults and rejects invalid ones', () => {
+        const customPath = path.join(dir, 'grammar.json');
+        fs.writeFileSync(customPath, JSON.stringify({ variants: [{ type: 'class', suffixes: ['A', 'B'] }] }));
+        const grammar = loadGrammar(customPath);
+
+        assert.strictEqual(grammar.alphabet, DEFAULT_GRAMMAR.alphabet);
+        assert.deepStrictEqual(grammar.separators, DEFAULT_GRAMMAR.separators);
+        assert.strictEqual(countVariants(grammar), 4);
+
+        fs.writeFileSync(customPath, JSON.stringify({ variants: [{ type: 'class' }] }));
+        assert.throws(() => loadGrammar(customPath), /every variant needs a type and a suffixes array/);
+    });
+
+    it('expands only validated active base tickers', async () => {
+        const customPath = path.join(dir, 'grammar.json');
+        fs.writeFileSync(customPath, JSON.stringify({ variants: [{ type: 'class', separators: ['-'], suffixes: ['A', 'B'] }] }));
+
+        runScript(dir, 'src/db/generate-tickers.js', ['--lengths', '1']);
+        runScript(dir, 'src/validate/validate-tickers.js');
+        runScript(dir, 'src/db/generate-tickers.js', ['--variants', '--grammar', customPath]);
+
+        const rows = await query(dir, 'SELECT ticker, base_ticker, variant_type, source FROM tickers WHERE base_ticker IS NOT NULL ORDER BY ticker');
+        assert.deepStrictEqual(rows, [
+            { ticker: 'A-A', base_ticker: 'A', variant_type: 'class', source: 'grammar' },
+            { ticker: 'A-B', base_ticker: 'A', variant_type: 'class', source: 'grammar' }
+        ]);
+    });
+});
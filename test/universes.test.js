@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { makeTestDir, removeTestDir, runScript, query } = require('./helpers');
+
+const { UNIVERSES, loadSeeds, selectUniverses } = require('../src/db/universes');
+
+describe('non-equity universes (user-004)', () => {
+    let dir;
+
+    before(() => {
+        dir = makeTestDir();
+    });
+
+    after(() => {
+        removeTestDir(dir);
+    });
+
+    it('counts exactly what each universe generates from the bundled seeds', () => {
+        const seeds = loadSeeds();
+        for (const universe of UNIVERSES) {
+            assert.strictEqual([...universe.generate(seeds)].length, universe.count(seeds), universe.name);
+        }
+    });
+
+    it('builds Yahoo symbol forms and skips self-pairs', () => {
+        const seeds = {
+            indices: ['^gspc'],
+            currencies: ['usd', 'eur'],
+            cryptoAssets: ['BTC', 'USD'],
+            cryptoQuoteCurrencies: ['USD'],
+            futuresRoots: ['es']
+        };
+        const symbols = Object.fromEntries(selectUniverses(['all']).map(universe => [universe.name, [...universe.generate(seeds)]]));
+
+        assert.deepStrictEqual(symbols, {
+            indices: ['^GSPC'],
+            fx: ['USDEUR=X', 'EURUSD=X'],
+            crypto: ['BTC-USD'],
+            futures: ['ES=F']
+        });
+        assert.throws(() => selectUniverses(['bonds']), /Unknown universe: bonds/);
+    });
+
+    it('stores the instrument class and validates universe rows like any other', async () => {
+        const seedPath = path.join(dir, 'seeds.json');
+        fs.writeFileSync(seedPath, JSON.stringify({ currencies: ['EUR', 'USD'] }));
+
+        runScript(dir, 'src/db/generate-tickers.js', ['--universe', 'fx', '--seed-file', seedPath]);
+        runScript(dir, 'src/validate/validate-tickers.js');
+
+        const rows = await query(dir, 'SELECT ticker, instrument_class, source, active FROM tickers ORDER BY ticker');
+        assert.deepStrictEqual(rows, [
+            { ticker: 'EURUSD=X', instrument_class: 'FX', source: 'universe', active: 1 },
+            { ticker: 'USDEUR=X', instrument_class: 'FX', source: 'universe', active: 0 }
+        ]);
+    });
+});
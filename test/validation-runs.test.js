@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { makeTestDir, removeTestDir, runScript, query, close } = require('./helpers');
+
+const ValidationRunStore = require('../src/validate/validation-runs');
+const { RUN_STATUS } = ValidationRunStore;
+
+describe('resumable validation runs (user-008)', () => {
+    const where = "ticker IN ('A', 'B', 'F', 'G', 'H', 'I')";
+    let dir;
+    let runId;
+
+    before(async () => {
+        dir = makeTestDir();
+        runScript(dir, 'src/db/generate-tickers.js', ['--lengths', '1']);
+
+        // A run whose process died after checkpointing B, the second row of its selection
+        const db = new sqlite3.Database(path.join(dir, 'tickers.db'));
+        const runs = new ValidationRunStore(db);
+        await runs.initTable();
+        const run = await runs.createRun('validate-custom', { mode: 'custom', limit: null, staleDays: 7, where, tiers: [], filters: {} }, 6);
+        await runs.checkpoint(run.run_id, { priority: 0, rowid: 2 }, { validated: 2, active: 1, inactive: 1, errors: 0 });
+        await close(db);
+        runId = run.run_id;
+    });
+
+    after(() => {
+        removeTestDir(dir);
+    });
+
+    it('resumes the latest unfinished run after its checkpoint', async () => {
+        const output = runScript(dir, 'src/validate/validate-tickers.js', ['--mode', 'custom', '--where', where, '--resume', 'latest']);
+        assert.match(output, new RegExp(`Run ${runId} is still marked running`));
+
+        const checked = await query(dir, 'SELECT ticker FROM tickers WHERE last_checked IS NOT NULL ORDER BY ticker');
+        assert.deepStrictEqual(checked.map(row => row.ticker), ['F', 'G', 'H', 'I']);
+    });
+
+    it('carries the counts of earlier sessions into the run', async () => {
+        const runs = await query(dir, 'SELECT run_id, status, processed, active_count, inactive_count FROM validation_runs');
+        assert.deepStrictEqual(runs, [{ run_id: runId, status: RUN_STATUS.COMPLETED, processed: 6, active_count: 1, inactive_count: 5 }]);
+    });
+
+    it('refuses to resume a completed run', () => {
+        assert.throws(
+            () => runScript(dir, 'src/validate/validate-tickers.js', ['--mode', 'custom', '--where', where, '--resume', runId]),
+            new RegExp(`Validation run ${runId} already completed`)
+        );
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { makeTestDir, removeTestDir, runScript, all, run, close, query } = require('./helpers');
+
+const WorkLeaseStore = require('../src/validate/work-leases');
+const { LEASE_STATUS } = WorkLeaseStore;
+
+describe('distributed validation leases (user-019)', () => {
+    let dir;
+    let db;
+    let first;
+    let second;
+
+    before(async () => {
+        dir = makeTestDir();
+        runScript(dir, 'src/db/generate-tickers.js', ['--lengths', '1']);
+        db = new sqlite3.Database(path.join(dir, 'tickers.db'));
+        first = new WorkLeaseStore(db, { workerId: 'worker-1', rangeSize: 10, leaseSeconds: 60 });
+        second = new WorkLeaseStore(db, { workerId: 'worker-2', rangeSize: 10, leaseSeconds: 60 });
+        await first.initTable();
+    });
+
+    after(async () => {
+        await close(db);
+        removeTestDir(dir);
+    });
+
+    const ranges = job => all(db, 'SELECT range_start, range_end, status, worker_id FROM validation_leases WHERE job = ? ORDER BY range_start', [job]);
+
+    it('splits the rowid space once while the job has open ranges', async () => {
+        assert.strictEqual(await first.seedJob('job'), 3);
+        assert.strictEqual(await second.seedJob('job'), 0);
+        assert.deepStrictEqual((await ranges('job')).map(range => [range.range_start, range.range_end]), [[1, 10], [11, 20], [21, 26]]);
+    });
+
+    it('hands each range to one worker at a time', async () => {
+        const a = await first.claim('job');
+        const b = await second.claim('job');
+
+        assert.deepStrictEqual([a.range_start, b.range_start], [1, 11]);
+        assert.strictEqual(await first.heartbeat(b, 5), false);
+        assert.strictEqual(await second.heartbeat(b, 5), true);
+    });
+
+    it('reclaims expired leases and tells the old holder it lost them', async () => {
+        await run(db, "UPDATE validation_leases SET expires_at = datetime('now', '-1 seconds') WHERE range_start = 1");
+        await second.claim('job'); // 21-26, the last pending range
+        const reclaimed = await second.claim('job');
+
+        assert.deepStrictEqual([reclaimed.range_start, reclaimed.attempts], [1, 2]);
+        assert.strictEqual(await first.heartbeat({ lease_id: reclaimed.lease_id }, 3), false);
+    });
+
+    it('puts released ranges straight back up for claiming', async () => {
+        const [held] = await all(db, 'SELECT * FROM validation_leases WHERE range_start = 11');
+        await second.release(held, 5);
+
+        const claimed = await first.claim('job');
+        assert.deepStrictEqual([claimed.range_start, claimed.processed, claimed.worker_id], [11, 5, 'worker-1']);
+    });
+
+    it('keeps a finished job done and only extends it over new rows', async () => {
+        const held = await all(db, `SELECT * FROM validation_leases WHERE status = '${LEASE_STATUS.LEASED}'`);
+        for (const lease of held) {
+            await (lease.worker_id === 'worker-1' ? first : second).complete(lease, 10);
+        }
+        assert.strictEqual(await first.seedJob('job'), 0);
+        assert.strictEqual((await first.getJobStatus('job')).done, 3);
+
+        await run(db, "INSERT INTO tickers (ticker) VALUES ('AA'), ('AB')");
+        assert.strictEqual(await first.seedJob('job'), 1);
+        assert.deepStrictEqual(await ranges('job'), [
+            { range_start: 1, range_end: 10, status: LEASE_STATUS.DONE, worker_id: 'worker-2' },
+            { range_start: 11, range_end: 20, status: LEASE_STATUS.DONE, worker_id: 'worker-1' },
+            { range_start: 21, range_end: 26, status: LEASE_STATUS.DONE, worker_id: 'worker-2' },
+            { range_start: 27, range_end: 28, status: LEASE_STATUS.PENDING, worker_id: null }
+        ]);
+    });
+
+    it('lets a worker process validate the whole job range by range', async () => {
+        runScript(dir, 'src/validate/validate-tickers.js', ['--worker', '--job', 'cli', '--range-size', '10'], { WORKER_ID: 'pod-1' });
+
+        const leases = await query(dir, "SELECT range_start, status, worker_id, processed FROM validation_leases WHERE job = 'cli' ORDER BY range_start");
+        assert.deepStrictEqual(leases, [
+            { range_start: 1, status: LEASE_STATUS.DONE, worker_id: 'pod-1', processed: 10 },
+            { range_start: 11, status: LEASE_STATUS.DONE, worker_id: 'pod-1', processed: 10 },
+            { range_start: 21, status: LEASE_STATUS.DONE, worker_id: 'pod-1', processed: 8 }
+        ]);
+        const [{ unchecked }] = await query(dir, 'SELECT COUNT(*) as unchecked FROM tickers WHERE price IS NULL AND next_retry_at IS NULL');
+        assert.strictEqual(unchecked, 0);
+    });
+});